@@ -0,0 +1,236 @@
+/**
+ * настройки кеша по умолчанию:
+ * Ttl - сколько мс ответ считается свежим и отдается без запроса к серверу,
+ * StaleWhileRevalidate - сколько мс после Ttl устаревший ответ еще отдается сразу, а в фоне запрашивается новый,
+ * MaxEntries - максимальное кол-во записей, самые давно использованные удаляются первыми,
+ * Vary - заголовки запроса, значения которых всегда входят в ключ записи,
+ * к ним добавляются заголовки из Vary ответа сервера
+ */
+export const CACHE_OPTIONS = {
+  Ttl: 0,
+  StaleWhileRevalidate: 0,
+  MaxEntries: 100,
+  Vary: ["Accept", "Accept-Language"],
+};
+
+/**
+ * @param {object} Headers объект с заголовками
+ * @param {string} Name имя заголовка в нижнем регистре
+ * @returns {string} значение заголовка в любом регистре имени или пустая строка
+ */
+function getHeaderValue(Headers, Name) {
+  const Key = Object.keys(Headers || {}).find(Item => Item.toLowerCase() === Name);
+  return Key === undefined ? "" : String(Headers[Key]);
+}
+
+/**
+ * Кеш ответов GET-запросов в памяти,
+ * хранит тело ответа в ArrayBuffer, поэтому из одной записи можно получить сколько угодно объектов Response,
+ * так же хранит промисы выполняющихся запросов для объединения одинаковых запросов
+ */
+export class ResponseCache {
+  /**
+   * @param {object} Options настройки кеша, поля как у CACHE_OPTIONS
+   */
+  constructor(Options = {}) {
+    this.Options = Object.assign({}, CACHE_OPTIONS, Options || {});
+    /**
+     * записи кеша по ключу, Map сохраняет порядок добавления, что используется для вытеснения старых записей
+     */
+    this.Entries = new Map();
+    /**
+     * промисы выполняющихся запросов по ключу
+     */
+    this.Pending = new Map();
+    /**
+     * имена заголовков из Vary ответов (в нижнем регистре) по основному ключу записи (пользователь и адрес)
+     */
+    this.VaryByUrl = new Map();
+    /**
+     * номер поколения, увеличивается при каждом удалении записей,
+     * ответ запроса, начатого до удаления, в кеш уже не сохраняется
+     */
+    this.Generation = 0;
+  }
+
+  /**
+   * @param {string} BaseKey основной ключ записи - пользователь и полный адрес запроса
+   * @param {object} Headers заголовки запроса
+   * @returns {string} ключ записи, ответы на запросы с разными значениями заголовков из Options.Vary
+   * и из Vary прошлых ответов на этот адрес хранятся отдельно
+   */
+  getKey(BaseKey, Headers) {
+    const Names = this.Options.Vary.map(Name => Name.toLowerCase());
+    (this.VaryByUrl.get(BaseKey) || []).forEach((Name) => {
+      if (Names.indexOf(Name) === -1) {
+        Names.push(Name);
+      }
+    });
+    return BaseKey + " " + Names.sort().map(Name => Name + "=" + getHeaderValue(Headers, Name)).join("&");
+  }
+  /**
+   * Запоминает заголовки из Vary ответа, следующие ключи записей этого адреса будут учитывать их значения
+   *
+   * @param {string} BaseKey основной ключ записи
+   * @param {object} Entry запись кеша, созданная createEntry
+   */
+  rememberVary(BaseKey, Entry) {
+    if (!Entry.Vary.length) {
+      return;
+    }
+    this.VaryByUrl.delete(BaseKey);
+    this.VaryByUrl.set(BaseKey, Entry.Vary);
+    while (this.VaryByUrl.size > this.Options.MaxEntries) {
+      this.VaryByUrl.delete(this.VaryByUrl.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} Key
+   * @returns {object|undefined} запись кеша
+   */
+  get(Key) {
+    const Entry = this.Entries.get(Key);
+    if (Entry) {
+      // переносим запись в конец, как последнюю использованную
+      this.Entries.delete(Key);
+      this.Entries.set(Key, Entry);
+    }
+    return Entry;
+  }
+
+  /**
+   * @param {string} Key
+   * @param {object} Entry запись кеша, созданная createEntry
+   */
+  set(Key, Entry) {
+    this.Entries.delete(Key);
+    this.Entries.set(Key, Entry);
+    while (this.Entries.size > this.Options.MaxEntries) {
+      this.Entries.delete(this.Entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {object} Entry запись кеша
+   * @returns {string} 'fresh' - можно отдать без запроса, 'stale' - можно отдать и обновить в фоне,
+   * 'expired' - нужен запрос к серверу
+   */
+  getState(Entry) {
+    const Now = Date.now();
+    if (Entry.ExpiresAt > Now) {
+      return "fresh";
+    }
+    if (Entry.ExpiresAt + this.Options.StaleWhileRevalidate > Now) {
+      return "stale";
+    }
+    return "expired";
+  }
+
+  /**
+   * Создает запись кеша из ответа сервера, полностью читая его тело,
+   * срок свежести берется из Cache-Control: max-age, а если его нет - из Options.Ttl
+   *
+   * @param {string} Url полный адрес запроса
+   * @param {object} Resp ответ сервера, объект Response
+   * @returns {Promise} промис с записью кеша
+   */
+  async createEntry(Url, Resp) {
+    const Body = await Resp.arrayBuffer();
+    const CacheControl = Resp.headers.get("Cache-Control") || "";
+    const MaxAge = /max-age=(\d+)/i.exec(CacheControl);
+    const Ttl = MaxAge ? Number(MaxAge[1]) * 1000 : this.Options.Ttl;
+    const Headers = [];
+    Resp.headers.forEach((Value, Name) => Headers.push([Name, Value]));
+    const Vary = (Resp.headers.get("Vary") || "").split(",").map(Name => Name.trim().toLowerCase()).filter(Boolean);
+    return {
+      Url,
+      Status: Resp.status,
+      StatusText: Resp.statusText,
+      Headers,
+      Body,
+      ETag: Resp.headers.get("ETag"),
+      LastModified: Resp.headers.get("Last-Modified"),
+      NoStore: /no-store/i.test(CacheControl),
+      Vary,
+      ExpiresAt: Date.now() + Ttl,
+    };
+  }
+
+  /**
+   * @param {object} Entry запись кеша
+   * @returns {boolean} true, если запись имеет смысл хранить:
+   * она свежая какое-то время или ее можно проверить условным запросом,
+   * ответ с Vary: * зависит не только от заголовков запроса и не хранится
+   */
+  isStorable(Entry) {
+    if (Entry.NoStore || Entry.Status !== 200 || Entry.Vary.indexOf("*") !== -1) {
+      return false;
+    }
+    return Entry.ExpiresAt > Date.now() || !!Entry.ETag || !!Entry.LastModified;
+  }
+
+  /**
+   * продлевает срок свежести записи после ответа 304 Not Modified
+   *
+   * @param {object} Entry запись кеша
+   * @param {object} Resp ответ 304
+   */
+  refreshEntry(Entry, Resp) {
+    const CacheControl = Resp.headers.get("Cache-Control") || "";
+    const MaxAge = /max-age=(\d+)/i.exec(CacheControl);
+    Entry.ExpiresAt = Date.now() + (MaxAge ? Number(MaxAge[1]) * 1000 : this.Options.Ttl);
+    Entry.ETag = Resp.headers.get("ETag") || Entry.ETag;
+    Entry.LastModified = Resp.headers.get("Last-Modified") || Entry.LastModified;
+  }
+
+  /**
+   * @param {object} Entry запись кеша
+   * @returns {Response} новый объект Response с копией тела записи
+   */
+  toResponse(Entry) {
+    // у ответов 204, 205 и 304 не может быть тела
+    const NullBody = [204, 205, 304].indexOf(Entry.Status) !== -1;
+    return new Response(NullBody ? null : Entry.Body.slice(0), {
+      status: Entry.Status,
+      statusText: Entry.StatusText,
+      headers: Entry.Headers,
+    });
+  }
+
+  /**
+   * Удаляет записи, адрес которых подходит под Match
+   *
+   * @param {string|RegExp|function|array} Match строка - начало адреса, RegExp - шаблон адреса,
+   * функция (Url, Key) => boolean, массив любых из них
+   */
+  invalidate(Match) {
+    this.Generation++;
+    const Matches = Array.isArray(Match) ? Match : [Match];
+    this.Entries.forEach((Entry, Key) => {
+      const Matched = Matches.some((Item) => {
+        if (typeof Item === "function") {
+          return Item(Entry.Url, Key);
+        }
+        if (Item instanceof RegExp) {
+          return Item.test(Entry.Url);
+        }
+        return Entry.Url.indexOf(Item) === 0;
+      });
+      if (Matched) {
+        this.Entries.delete(Key);
+      }
+    });
+  }
+
+  /**
+   * удаляет все записи
+   */
+  clear() {
+    this.Generation++;
+    this.Entries.clear();
+    this.VaryByUrl.clear();
+  }
+}
+
+export default ResponseCache;
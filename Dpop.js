@@ -0,0 +1,209 @@
+import { createRequestId } from "./Id";
+
+/**
+ * заголовок, в котором передается доказательство владения ключом (RFC 9449)
+ */
+export const DPOP_HEADER = "DPoP";
+/**
+ * заголовок ответа, в котором сервер передает nonce для следующих доказательств
+ */
+export const DPOP_NONCE_HEADER = "DPoP-Nonce";
+/**
+ * алгоритм подписи доказательств - ECDSA P-256 с SHA-256
+ */
+export const DPOP_ALGORITHM = "ES256";
+
+/**
+ * @param {Uint8Array|string} Input байты или строка (кодируется в UTF-8)
+ * @returns {string} строка base64url без заполнения =
+ */
+export function base64UrlEncode(Input) {
+  const Bytes = typeof Input === "string" ? new TextEncoder().encode(Input) : Input;
+  let Binary = "";
+  Bytes.forEach((Byte) => {
+    Binary += String.fromCharCode(Byte);
+  });
+  return btoa(Binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * @param {string} Text строка
+ * @returns {Promise} промис с SHA-256 хешем строки в Uint8Array
+ */
+async function sha256(Text) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(Text)));
+}
+
+/**
+ * @param {string} Url адрес запроса, относительный адрес в браузере дополняется адресом страницы
+ * @returns {URL|null}
+ */
+function parseUrl(Url) {
+  try {
+    return new URL(Url, typeof location !== "undefined" ? location.href : undefined);
+  } catch (Err) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} Url адрес запроса
+ * @returns {string} значение htu - адрес без строки запроса и фрагмента
+ */
+export function getDpopHtu(Url) {
+  const Parsed = parseUrl(Url);
+  return Parsed ? Parsed.origin + Parsed.pathname : String(Url).split(/[?#]/)[0];
+}
+
+/**
+ * Проверяет, требует ли сервер повторить запрос с nonce:
+ * сервер ресурса отвечает 401 с WWW-Authenticate: DPoP error="use_dpop_nonce",
+ * сервер авторизации - 400 с телом { "error": "use_dpop_nonce" }
+ *
+ * @param {object} Resp ответ сервера, объект Response
+ * @returns {Promise} промис с true, если это требование nonce
+ */
+export async function isDpopNonceChallenge(Resp) {
+  if (Resp.status === 401) {
+    return /use_dpop_nonce/.test(Resp.headers.get("WWW-Authenticate") || "");
+  }
+  if (Resp.status !== 400) {
+    return false;
+  }
+  try {
+    const Body = await Resp.clone().json();
+    return Boolean(Body && Body.error === "use_dpop_nonce");
+  } catch (Err) {
+    return false;
+  }
+}
+
+/**
+ * Создает доказательства DPoP (RFC 9449) - JWT, подписанные закрытым ключом клиента,
+ * ключевая пара ES256 создается через WebCrypto как неизвлекаемая (закрытый ключ нельзя экспортировать),
+ * поэтому украденный токен без этого ключа использовать нельзя.
+ * Хранит последний nonce, полученный от каждого сервера (источника)
+ */
+export class DpopSigner {
+  /**
+   * @param {object} Options {
+   * KeyPair, // {CryptoKeyPair|function} своя ключевая пара ES256 или функция, возвращающая промис с ней
+   * // (например, загруженная из IndexedDB, что бы ключ пережил перезагрузку страницы), по умолчанию создается новая
+   * }
+   */
+  constructor({ KeyPair } = {}) {
+    this.KeyPairSource = KeyPair || null;
+    this.KeyPairPromise = null;
+    this.PublicJwk = null;
+    /**
+     * последний nonce каждого сервера: источник => nonce
+     */
+    this.Nonces = new Map();
+  }
+
+  /**
+   * @returns {Promise} промис с ключевой парой, создается один раз
+   */
+  getKeyPair() {
+    if (!this.KeyPairPromise) {
+      this.KeyPairPromise = Promise.resolve()
+        .then(() => {
+          if (typeof this.KeyPairSource === "function") {
+            return this.KeyPairSource();
+          }
+          if (this.KeyPairSource) {
+            return this.KeyPairSource;
+          }
+          if (typeof crypto === "undefined" || !crypto.subtle) {
+            throw new Error("[DpopSigner] WebCrypto (crypto.subtle) недоступен!");
+          }
+          return crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, false, ["sign", "verify"]);
+        })
+        .catch((Err) => {
+          // при ошибке следующий вызов попробует снова
+          this.KeyPairPromise = null;
+          throw Err;
+        });
+    }
+    return this.KeyPairPromise;
+  }
+  /**
+   * @returns {Promise} промис с открытым ключом в формате JWK { kty, crv, x, y }
+   */
+  async getPublicJwk() {
+    if (!this.PublicJwk) {
+      const KeyPair = await this.getKeyPair();
+      const { kty, crv, x, y } = await crypto.subtle.exportKey("jwk", KeyPair.publicKey);
+      this.PublicJwk = { kty, crv, x, y };
+    }
+    return this.PublicJwk;
+  }
+  /**
+   * @returns {Promise} промис с отпечатком открытого ключа (RFC 7638) в base64url,
+   * например для параметра dpop_jkt запроса авторизации
+   */
+  async getThumbprint() {
+    const { crv, kty, x, y } = await this.getPublicJwk();
+    return base64UrlEncode(await sha256(JSON.stringify({ crv, kty, x, y })));
+  }
+
+  /**
+   * Создает доказательство для одного запроса, у каждого доказательства свой jti
+   *
+   * @param {string} Method метод запроса
+   * @param {string} Url адрес запроса
+   * @param {string} AccessToken Access токен, который отправляется с запросом, его хеш передается в ath,
+   * для запросов к серверу авторизации (обновление токенов) не передается
+   * @returns {Promise} промис со строкой доказательства для заголовка DPoP
+   */
+  async createProof(Method, Url, AccessToken = null) {
+    const KeyPair = await this.getKeyPair();
+    const Header = { typ: "dpop+jwt", alg: DPOP_ALGORITHM, jwk: await this.getPublicJwk() };
+    const Payload = {
+      jti: createRequestId(),
+      htm: (Method || "GET").toUpperCase(),
+      htu: getDpopHtu(Url),
+      iat: Math.floor(Date.now() / 1000),
+    };
+    const Nonce = this.Nonces.get(this.getNonceKey(Url));
+    if (Nonce) {
+      Payload.nonce = Nonce;
+    }
+    if (AccessToken) {
+      Payload.ath = base64UrlEncode(await sha256(AccessToken));
+    }
+    const Input = base64UrlEncode(JSON.stringify(Header)) + "." + base64UrlEncode(JSON.stringify(Payload));
+    // WebCrypto возвращает подпись ECDSA в формате r||s, как и требует JWS
+    const Signature = await crypto.subtle.sign(
+      { name: "ECDSA", hash: "SHA-256" },
+      KeyPair.privateKey,
+      new TextEncoder().encode(Input)
+    );
+    return Input + "." + base64UrlEncode(new Uint8Array(Signature));
+  }
+  /**
+   * Запоминает nonce из заголовка DPoP-Nonce ответа
+   *
+   * @param {string} Url адрес запроса
+   * @param {object} Resp ответ сервера, объект Response
+   * @returns {boolean} true, если в ответе был nonce
+   */
+  acceptNonce(Url, Resp) {
+    const Nonce = Resp && Resp.headers ? Resp.headers.get(DPOP_NONCE_HEADER) : null;
+    if (!Nonce) {
+      return false;
+    }
+    this.Nonces.set(this.getNonceKey(Url), Nonce);
+    return true;
+  }
+  /**
+   * @param {string} Url адрес запроса
+   * @returns {string} источник адреса, nonce у каждого сервера свой
+   */
+  getNonceKey(Url) {
+    const Parsed = parseUrl(Url);
+    return Parsed ? Parsed.origin : "";
+  }
+}
+
+export default DpopSigner;
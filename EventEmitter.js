@@ -0,0 +1,71 @@
+/**
+ * Простой источник событий для FetchViaJwt,
+ * ошибка в одном обработчике не мешает вызову остальных и не прерывает запрос,
+ * она выбрасывается асинхронно и попадает в глобальный обработчик ошибок
+ */
+export class EventEmitter {
+  constructor() {
+    this.Listeners = {};
+  }
+
+  /**
+   * подписывает обработчик на событие
+   *
+   * @param {string} EventName имя события
+   * @param {function} Listener обработчик, получает аргументы, переданные в emit
+   * @returns {function} функция, вызов которой отписывает обработчик
+   */
+  on(EventName, Listener) {
+    if (!this.Listeners[EventName]) {
+      this.Listeners[EventName] = [];
+    }
+    this.Listeners[EventName].push(Listener);
+    return () => this.off(EventName, Listener);
+  }
+
+  /**
+   * подписывает обработчик, который будет вызван только один раз
+   *
+   * @param {string} EventName имя события
+   * @param {function} Listener обработчик
+   * @returns {function} функция, вызов которой отписывает обработчик
+   */
+  once(EventName, Listener) {
+    const OnceListener = (...Args) => {
+      this.off(EventName, OnceListener);
+      Listener(...Args);
+    };
+    return this.on(EventName, OnceListener);
+  }
+
+  /**
+   * отписывает обработчик от события
+   *
+   * @param {string} EventName имя события
+   * @param {function} Listener обработчик
+   */
+  off(EventName, Listener) {
+    if (this.Listeners[EventName]) {
+      this.Listeners[EventName] = this.Listeners[EventName].filter(Item => Item !== Listener);
+    }
+  }
+
+  /**
+   * вызывает все обработчики события с переданными аргументами
+   *
+   * @param {string} EventName имя события
+   * @param  {...any} Args аргументы для обработчиков
+   */
+  emit(EventName, ...Args) {
+    const Listeners = (this.Listeners[EventName] || []).slice();
+    Listeners.forEach((Listener) => {
+      try {
+        Listener(...Args);
+      } catch (Err) {
+        setTimeout(() => { throw Err; });
+      }
+    });
+  }
+}
+
+export default EventEmitter;
@@ -0,0 +1,169 @@
+/**
+ * настройки GraphQL по умолчанию
+ */
+export const GRAPHQL_OPTIONS = {
+  /**
+   * адрес GraphQL, относительный адрес дополняется BaseUrl
+   */
+  Url: "/graphql",
+  /**
+   * отправлять вместо текста запроса его SHA-256 хеш (Automatic Persisted Queries),
+   * текст отправляется, только если сервер его еще не знает
+   */
+  PersistedQueries: false,
+  /**
+   * объединять операции, вызванные в течение BatchInterval мс, в один HTTP-запрос с массивом операций
+   */
+  Batch: false,
+  BatchInterval: 10,
+  /**
+   * сколько операций максимум в одном пакете
+   */
+  BatchMax: 10,
+};
+/**
+ * код ошибки GraphQL (extensions.code), который обрабатывается как ответ 401
+ */
+export const GRAPHQL_UNAUTHENTICATED = "UNAUTHENTICATED";
+/**
+ * код ошибки GraphQL, с которым сервер отвечает на неизвестный ему хеш запроса
+ */
+export const GRAPHQL_PERSISTED_QUERY_NOT_FOUND = "PERSISTED_QUERY_NOT_FOUND";
+
+/**
+ * уже вычисленные хеши текстов запросов
+ */
+const QueryHashes = new Map();
+
+/**
+ * @param {object} Err одна ошибка из массива errors ответа GraphQL
+ * @returns {string|null} код ошибки из extensions.code
+ */
+export function getGraphQLErrorCode(Err) {
+  if (!Err || !Err.extensions || !Err.extensions.code) {
+    return Err && Err.message === "PersistedQueryNotFound" ? GRAPHQL_PERSISTED_QUERY_NOT_FOUND : null;
+  }
+  return String(Err.extensions.code);
+}
+
+/**
+ * @param {object} Result ответ GraphQL { data, errors }
+ * @param {string} Code код ошибки
+ * @returns {boolean} true, если среди ошибок ответа есть ошибка с этим кодом
+ */
+export function hasGraphQLErrorCode(Result, Code) {
+  return Boolean(Result && Array.isArray(Result.errors) && Result.errors.some(Err => getGraphQLErrorCode(Err) === Code));
+}
+
+/**
+ * @param {string} Query текст запроса GraphQL
+ * @returns {string|null} имя первой именованной операции (query Users { ... } - Users)
+ */
+export function getOperationName(Query) {
+  const Match = /(?:^|[^\w])(?:query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/.exec(Query || "");
+  return Match ? Match[1] : null;
+}
+
+/**
+ * @param {string} Query текст запроса GraphQL
+ * @returns {Promise} промис с SHA-256 хешем текста в hex или null, если WebCrypto недоступен
+ */
+export async function getQueryHash(Query) {
+  if (QueryHashes.has(Query)) {
+    return QueryHashes.get(Query);
+  }
+  if (typeof crypto === "undefined" || !crypto.subtle) {
+    return null;
+  }
+  const Digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(Query));
+  const Hash = Array.from(new Uint8Array(Digest)).map(Byte => Byte.toString(16).padStart(2, "0")).join("");
+  QueryHashes.set(Query, Hash);
+  return Hash;
+}
+
+/**
+ * @param {object} Operation операция { query, variables, operationName }
+ * @param {string} Hash SHA-256 хеш текста запроса
+ * @returns {object} операция без текста запроса, с хешем в extensions.persistedQuery
+ */
+export function createPersistedOperation(Operation, Hash) {
+  return {
+    operationName: Operation.operationName,
+    variables: Operation.variables,
+    extensions: Object.assign({}, Operation.extensions || {}, {
+      persistedQuery: { version: 1, sha256Hash: Hash },
+    }),
+  };
+}
+
+/**
+ * Собирает операции GraphQL в пакеты: операции с одинаковым ключом, добавленные в течение Interval мс,
+ * отправляются одним вызовом send, каждая операция получает свой элемент массива результатов
+ */
+export class GraphQLBatcher {
+  /**
+   * @param {object} Options {
+   * Interval, // {number} сколько мс ждать следующие операции
+   * MaxSize, // {number} при этом кол-ве операций пакет отправляется сразу
+   * send, // {function} (Operations, Context) => Promise с массивом результатов в том же порядке
+   * }
+   */
+  constructor({ Interval = GRAPHQL_OPTIONS.BatchInterval, MaxSize = GRAPHQL_OPTIONS.BatchMax, send }) {
+    this.Interval = Interval;
+    this.MaxSize = MaxSize;
+    this.send = send;
+    /**
+     * ожидающие отправки пакеты: ключ => { Items, Context, Timer }
+     */
+    this.Batches = new Map();
+  }
+
+  /**
+   * @param {string} Key ключ пакета, в один пакет попадают операции с одинаковым адресом, заголовками и настройками
+   * @param {object} Operation тело операции
+   * @param {object} Context данные, которые получит send вместе с пакетом
+   * @returns {Promise} промис с результатом этой операции
+   */
+  add(Key, Operation, Context) {
+    return new Promise((resolve, reject) => {
+      let Batch = this.Batches.get(Key);
+      if (!Batch) {
+        Batch = { Items: [], Context, Timer: setTimeout(() => this.flush(Key), this.Interval) };
+        this.Batches.set(Key, Batch);
+      }
+      Batch.Items.push({ Operation, resolve, reject });
+      if (Batch.Items.length >= this.MaxSize) {
+        this.flush(Key);
+      }
+    });
+  }
+  /**
+   * отправляет пакет, не дожидаясь Interval
+   *
+   * @param {string} Key ключ пакета
+   */
+  flush(Key) {
+    const Batch = this.Batches.get(Key);
+    if (!Batch) {
+      return;
+    }
+    this.Batches.delete(Key);
+    clearTimeout(Batch.Timer);
+    Promise.resolve()
+      .then(() => this.send(Batch.Items.map(Item => Item.Operation), Batch.Context))
+      .then(Results => Batch.Items.forEach((Item, Index) => Item.resolve(Results[Index])))
+      .catch(Err => Batch.Items.forEach(Item => Item.reject(Err)));
+  }
+  /**
+   * удаляет ожидающие пакеты без отправки, их операции отклоняются с ошибкой Err
+   *
+   * @param {Error} Err ошибка для операций
+   */
+  clear(Err) {
+    this.Batches.forEach((Batch) => {
+      clearTimeout(Batch.Timer);
+      Batch.Items.forEach(Item => Item.reject(Err));
+    });
+    this.Batches.clear();
+  }
+}
@@ -0,0 +1,9 @@
+/**
+ * @returns {string} случайный идентификатор, через crypto.randomUUID, если он доступен
+ */
+export function createRequestId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+}
@@ -0,0 +1,58 @@
+import fs from "fs";
+
+/**
+ * Хранилище токенов в JSON-файле для консольных приложений на Node,
+ * вынесено в отдельный модуль, что бы браузерные сборки не тянули модуль fs.
+ * Файл создается с правами только для владельца (0600), так как содержит токены
+ */
+export class JsonFileStorageAdapter {
+  /**
+   * @param {string} FilePath путь к JSON-файлу, если файла нет, то он будет создан при первой записи
+   */
+  constructor(FilePath) {
+    this.FilePath = FilePath;
+    this.Values = null;
+  }
+  get(Key) {
+    const Values = this.read();
+    return Object.prototype.hasOwnProperty.call(Values, Key) ? Values[Key] : null;
+  }
+  set(Key, Value) {
+    const Values = this.read();
+    Values[Key] = Value;
+    this.write(Values);
+  }
+  remove(Key) {
+    const Values = this.read();
+    delete Values[Key];
+    this.write(Values);
+  }
+
+  /**
+   * читает файл один раз, дальше значения берутся из памяти
+   *
+   * @returns {object}
+   */
+  read() {
+    if (!this.Values) {
+      try {
+        this.Values = JSON.parse(fs.readFileSync(this.FilePath, "utf8")) || {};
+      } catch (Err) {
+        if (Err.code !== "ENOENT") {
+          throw Err;
+        }
+        this.Values = {};
+      }
+    }
+    return this.Values;
+  }
+
+  /**
+   * @param {object} Values
+   */
+  write(Values) {
+    fs.writeFileSync(this.FilePath, JSON.stringify(Values, null, 2), { encoding: "utf8", mode: 0o600 });
+  }
+}
+
+export default JsonFileStorageAdapter;
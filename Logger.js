@@ -0,0 +1,74 @@
+/**
+ * уровни журнала, сообщения с уровнем ниже заданного не записываются,
+ * silent - журнал выключен
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+/**
+ * чем заменяются скрытые значения
+ */
+export const REDACTED = "[REDACTED]";
+
+/**
+ * имена полей и заголовков (без учета регистра), значения которых не попадают в журнал
+ */
+export const REDACT_KEYS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "dpop",
+  "password",
+  "token",
+  "access_token",
+  "refresh_token",
+  "id_token",
+  "client_secret",
+];
+
+/**
+ * Возвращает копию значения для журнала, в которой скрыты значения полей из Keys,
+ * Bearer-токены и JWT в строках, ошибки превращаются в объекты { name, message, status }
+ *
+ * @param {*} Value значение
+ * @param {array} Keys имена скрываемых полей в нижнем регистре, по умолчанию REDACT_KEYS
+ * @param {number} Depth служебный параметр, глубина вложенности
+ * @returns {*}
+ */
+export function redact(Value, Keys = REDACT_KEYS, Depth = 0) {
+  if (typeof Value === "string") {
+    return Value
+      .replace(/\b(Bearer|DPoP)\s+[^\s,;]+/gi, "$1 " + REDACTED)
+      .replace(/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED);
+  }
+  if (!Value || typeof Value !== "object" || Depth > 5) {
+    return Value;
+  }
+  if (Value instanceof Error) {
+    return { name: Value.name, message: redact(Value.message, Keys, Depth + 1), status: Value.status };
+  }
+  if (Array.isArray(Value)) {
+    return Value.map(Item => redact(Item, Keys, Depth + 1));
+  }
+  let Entries;
+  if (typeof Headers !== "undefined" && Value instanceof Headers) {
+    Entries = [];
+    Value.forEach((Item, Name) => Entries.push([Name, Item]));
+  } else if (Object.getPrototypeOf(Value) === Object.prototype || Object.getPrototypeOf(Value) === null) {
+    Entries = Object.keys(Value).map(Key => [Key, Value[Key]]);
+  } else {
+    // FormData, Blob, Response и другие объекты в журнал не раскрываются
+    return "[" + (Value.constructor && Value.constructor.name || "object") + "]";
+  }
+  const Result = {};
+  Entries.forEach(([Key, Item]) => {
+    Result[Key] = Keys.indexOf(String(Key).toLowerCase()) !== -1 ? REDACTED : redact(Item, Keys, Depth + 1);
+  });
+  return Result;
+}
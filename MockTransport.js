@@ -0,0 +1,472 @@
+import { isAbsoluteUrl } from "./Url";
+import { createProgressEvent } from "./XhrTransport";
+
+/**
+ * кодирует строку в base64url (без = в конце), в браузере через btoa, в Node - через Buffer
+ *
+ * @param {string} Value
+ * @returns {string}
+ */
+function encodeBase64Url(Value) {
+  const Base64 = typeof btoa === "function"
+    ? btoa(unescape(encodeURIComponent(Value)))
+    : Buffer.from(Value, "utf8").toString("base64");
+  return Base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Создает неподписанный JWT с переданным payload для тестов,
+ * FetchViaJwt читает из него только поле exp, подпись не проверяется
+ *
+ * @param {object} Payload например { sub: "1", exp: 1700000000 }
+ * @returns {string}
+ */
+export function createTestJwt(Payload) {
+  return encodeBase64Url(JSON.stringify({ alg: "none", typ: "JWT" }))
+    + "." + encodeBase64Url(JSON.stringify(Payload))
+    + ".";
+}
+
+/**
+ * Тестовый транспорт для FetchViaJwt, подменяет стандартный fetch:
+ * отвечает по зарегистрированным маршрутам, может отвечать очередью разных ответов,
+ * имитировать задержку, сетевые ошибки, сервер авторизации (ответы 401, истечение и обновление токенов)
+ * и сохраняет все полученные запросы в this.Requests.
+ *
+ * const Mock = new MockTransport();
+ * const $fetch = new FetchViaJwt("/refresh", { transport: Mock.transport, Storage: new MemoryStorageAdapter() });
+ * Mock.on("GET", "/users/:id", Request => ({ body: { id: Request.Params.id } }));
+ */
+export class MockTransport {
+  /**
+   * @param {object} Options {
+   * Latency, // {number} задержка каждого ответа в мс, по умолчанию 0
+   * }
+   */
+  constructor({ Latency = 0 } = {}) {
+    this.Latency = Latency;
+    /**
+     * зарегистрированные маршруты, проверяются по порядку, одноразовые ответы - раньше постоянных
+     */
+    this.Routes = [];
+    /**
+     * все полученные запросы { Method, Url, Path, Params, Query, Headers, Body, Data, Time }
+     */
+    this.Requests = [];
+    /**
+     * состояние имитации сервера авторизации, см. this.auth
+     */
+    this.Auth = null;
+    /**
+     * функция, которую нужно передать в параметр transport конструктора FetchViaJwt
+     */
+    this.transport = (Url, Init) => this.handle(Url, Init);
+  }
+
+  /**
+   * Регистрирует постоянный ответ для маршрута
+   *
+   * @param {string} Method метод запроса или "*" для любого метода
+   * @param {string|RegExp|function} UrlPattern адрес с параметрами пути (/users/:id) и звездочкой (/files/*),
+   * RegExp для полного адреса или функция (Request) => boolean,
+   * строка без схемы сравнивается только с путем адреса, без строки запроса
+   * @param {*} Reply ответ: объект { status, body, headers, delay, networkError }, код ответа (число),
+   * объект Response или функция (Request) => любой из них (можно асинхронная)
+   * @param {object} Options не обязательный параметр { auth }, auth = false - маршрут открыт
+   * и при включенной имитации сервера авторизации отвечает без проверки токена
+   * @returns {MockTransport} this, для цепочки вызовов
+   */
+  on(Method, UrlPattern, Reply, { auth = true } = {}) {
+    this.Routes.push({ Method: Method.toUpperCase(), UrlPattern, Replies: [Reply], Once: false, Auth: auth });
+    return this;
+  }
+  /**
+   * Регистрирует очередь одноразовых ответов для маршрута:
+   * каждый совпавший запрос получает следующий ответ из очереди,
+   * когда очередь закончится, маршрут перестает совпадать и запросы идут к постоянным маршрутам
+   *
+   * @param {string} Method метод запроса или "*"
+   * @param {string|RegExp|function} UrlPattern шаблон адреса, как в this.on
+   * @param  {...any} Replies ответы по порядку
+   * @returns {MockTransport} this
+   */
+  queue(Method, UrlPattern, ...Replies) {
+    // одноразовые ответы проверяются раньше постоянных
+    this.Routes.unshift({ Method: Method.toUpperCase(), UrlPattern, Replies, Once: true, Auth: true });
+    return this;
+  }
+  /**
+   * то же, что queue с одним ответом, Options { auth } - как в this.on
+   */
+  once(Method, UrlPattern, Reply, { auth = true } = {}) {
+    this.queue(Method, UrlPattern, Reply);
+    this.Routes[0].Auth = auth;
+    return this;
+  }
+
+  /**
+   * Включает имитацию сервера авторизации:
+   * по адресу RefreshUrl выдаются новые токены (JWT с полями sub и exp) в обмен на текущий Refresh токен,
+   * запросы к защищенным адресам без действующего Access токена в заголовке Authorization получают 401,
+   * токен принимается в схемах Bearer и DPoP (DPoP - только вместе с заголовком доказательства DPoP)
+   *
+   * @param {object} Options {
+   * RefreshUrl, // {string} адрес обновления токенов, по умолчанию "/refresh"
+   * AccessTokenName, // {string} имя Access токена в ответе, по умолчанию "BEARER"
+   * RefreshTokenName, // {string} имя Refresh токена в ответе и запросе, по умолчанию "REFRESH"
+   * Subject, // {string} поле sub выдаваемых токенов, по умолчанию "1"
+   * Ttl, // {number} срок действия Access токена в секундах, по умолчанию 3600
+   * Protected, // {string|RegExp|function|array} шаблоны защищенных адресов, как в this.on, по умолчанию все адреса
+   * Schemes, // {array} принимаемые схемы заголовка Authorization, по умолчанию ["Bearer", "DPoP"]
+   * }
+   * @returns {object} первая пара токенов { [AccessTokenName], [RefreshTokenName] } для начального хранилища
+   */
+  auth({
+    RefreshUrl = "/refresh",
+    AccessTokenName = "BEARER",
+    RefreshTokenName = "REFRESH",
+    Subject = "1",
+    Ttl = 3600,
+    Protected = null,
+    Schemes = ["Bearer", "DPoP"],
+  } = {}) {
+    this.Auth = {
+      RefreshUrl,
+      AccessTokenName,
+      RefreshTokenName,
+      Subject,
+      Ttl,
+      Protected: Protected === null ? null : [].concat(Protected),
+      Schemes: Schemes.map(Scheme => Scheme.toLowerCase()),
+      Counter: 0,
+      AccessToken: null,
+      RefreshToken: null,
+      RefreshCount: 0,
+      RefreshReplies: [],
+    };
+    return this.issueTokens();
+  }
+  /**
+   * выдает новую пару токенов, предыдущие перестают действовать
+   *
+   * @returns {object} пара токенов
+   */
+  issueTokens() {
+    const Auth = this.Auth;
+    Auth.Counter++;
+    Auth.AccessToken = createTestJwt({
+      sub: Auth.Subject,
+      jti: String(Auth.Counter),
+      exp: Math.floor(Date.now() / 1000) + Auth.Ttl,
+    });
+    Auth.RefreshToken = "refresh-" + Auth.Counter;
+    return { [Auth.AccessTokenName]: Auth.AccessToken, [Auth.RefreshTokenName]: Auth.RefreshToken };
+  }
+  /**
+   * текущий Access токен перестает приниматься сервером (срок в самом токене не меняется),
+   * следующий запрос получит 401 и клиент должен обновить токены
+   */
+  expireAccessToken() {
+    this.Auth.AccessToken = null;
+  }
+  /**
+   * следующие запросы обновления токенов получат переданные ответы вместо новых токенов,
+   * например rejectRefresh(401) имитирует отозванный Refresh токен
+   *
+   * @param  {...any} Replies ответы, как в this.on
+   */
+  rejectRefresh(...Replies) {
+    this.Auth.RefreshReplies.push(...(Replies.length ? Replies : [401]));
+  }
+
+  /**
+   * @param {string} Method метод или "*"
+   * @param {string|RegExp|function} UrlPattern не обязательный параметр, шаблон адреса, как в this.on
+   * @returns {array} полученные запросы, подходящие под метод и адрес
+   */
+  calls(Method = "*", UrlPattern = null) {
+    return this.Requests.filter(Request => this.matchMethod(Method.toUpperCase(), Request)
+      && (UrlPattern === null || this.matchUrl(UrlPattern, Request)));
+  }
+  /**
+   * удаляет маршруты, запросы и имитацию сервера авторизации
+   */
+  reset() {
+    this.Routes = [];
+    this.Requests = [];
+    this.Auth = null;
+  }
+
+  /**
+   * Обрабатывает запрос так, как это сделал бы сервер, имеет тот же интерфейс, что и стандартный fetch
+   *
+   * @param {string} Url адрес запроса
+   * @param {object} Init настройки запроса fetch { method, headers, body, signal }
+   * @returns {Promise} промис с объектом Response
+   */
+  async handle(Url, Init = {}) {
+    const Request = this.createRequest(Url, Init);
+    this.Requests.push(Request);
+    if (Init.onUploadProgress && Init.body !== undefined && Init.body !== null) {
+      // тело считается отправленным сразу и целиком
+      const Size = this.getBodySize(Init.body);
+      Init.onUploadProgress(createProgressEvent(Size || 0, Size));
+    }
+    const Reply = await this.findReply(Request);
+    const ReplyValue = typeof Reply === "function" ? await Reply(Request) : Reply;
+    const Delay = ReplyValue && typeof ReplyValue === "object" && ReplyValue.delay !== undefined
+      ? ReplyValue.delay
+      : this.Latency;
+    await this.wait(Delay, Init.signal);
+    if (ReplyValue && ReplyValue.networkError) {
+      // так стандартный fetch сообщает о сетевой ошибке
+      throw new TypeError("Failed to fetch");
+    }
+    return this.createResponse(ReplyValue);
+  }
+  /**
+   * @param {string} Url
+   * @param {object} Init
+   * @returns {object} объект запроса, который получают обработчики маршрутов и который сохраняется в this.Requests
+   */
+  createRequest(Url, Init) {
+    const Parsed = new URL(Url, "http://localhost");
+    const Headers = {};
+    if (Init.headers) {
+      const Entries = typeof Init.headers.forEach === "function" && !Array.isArray(Init.headers)
+        ? (() => { const Items = []; Init.headers.forEach((Value, Name) => Items.push([Name, Value])); return Items; })()
+        : Object.entries(Init.headers);
+      // имена заголовков приводятся к нижнему регистру, как в объекте Headers
+      Entries.forEach(([Name, Value]) => { Headers[Name.toLowerCase()] = Value; });
+    }
+    let Data = Init.body === undefined ? null : Init.body;
+    if (typeof Data === "string") {
+      try {
+        Data = JSON.parse(Data);
+      } catch (Err) {
+        // не JSON, оставляем строку
+      }
+    }
+    const Query = {};
+    Parsed.searchParams.forEach((Value, Key) => { Query[Key] = Value; });
+    return {
+      Method: (Init.method || "GET").toUpperCase(),
+      Url,
+      Origin: isAbsoluteUrl(Url) ? Parsed.origin : "",
+      Path: Parsed.pathname,
+      Params: {},
+      Query,
+      Headers,
+      Body: Init.body === undefined ? null : Init.body,
+      Data,
+      Time: Date.now(),
+    };
+  }
+  /**
+   * @param {*} Body тело запроса
+   * @returns {number|null} размер тела в байтах или null, если его нельзя узнать (FormData)
+   */
+  getBodySize(Body) {
+    if (typeof Body === "string") {
+      return new TextEncoder().encode(Body).length;
+    }
+    if (typeof Blob !== "undefined" && Body instanceof Blob) {
+      return Body.size;
+    }
+    if (Body instanceof ArrayBuffer || ArrayBuffer.isView(Body)) {
+      return Body.byteLength;
+    }
+    if (typeof URLSearchParams !== "undefined" && Body instanceof URLSearchParams) {
+      return new TextEncoder().encode(Body.toString()).length;
+    }
+    return null;
+  }
+  /**
+   * @param {object} Request объект запроса
+   * @returns {*} ответ первого подходящего маршрута или ответ имитации сервера авторизации
+   */
+  findReply(Request) {
+    const Auth = this.Auth;
+    if (Auth && this.matchUrl(Auth.RefreshUrl, Request)) {
+      return this.replyRefresh(Request);
+    }
+    const Protected = Auth && this.isProtected(Request);
+    const Index = this.Routes.findIndex(Route => this.matchMethod(Route.Method, Request)
+      && this.matchUrl(Route.UrlPattern, Request));
+    const Route = Index === -1 ? null : this.Routes[Index];
+    // ответ 401 не расходует одноразовые ответы маршрута
+    if (Protected && (!Route || Route.Auth !== false) && !this.isAuthorized(Request)) {
+      return { status: 401, body: { message: "Unauthorized" } };
+    }
+    if (!Route) {
+      throw new Error("[MockTransport] Нет маршрута для " + Request.Method + " " + Request.Url);
+    }
+    if (!Route.Once) {
+      return Route.Replies[0];
+    }
+    const Reply = Route.Replies.shift();
+    if (!Route.Replies.length) {
+      this.Routes.splice(Index, 1);
+    }
+    return Reply;
+  }
+  /**
+   * @param {object} Request
+   * @returns {boolean} true, если адрес запроса подходит под Protected имитации сервера авторизации
+   */
+  isProtected(Request) {
+    const Protected = this.Auth.Protected;
+    if (!Protected) {
+      return true;
+    }
+    // параметры пути из шаблонов Protected в запрос не попадают
+    const Params = Request.Params;
+    Request.Params = {};
+    const Result = Protected.some(UrlPattern => this.matchUrl(UrlPattern, Request));
+    Request.Params = Params;
+    return Result;
+  }
+  /**
+   * @param {object} Request
+   * @returns {boolean} true, если в заголовке Authorization действующий Access токен в одной из схем Auth.Schemes
+   */
+  isAuthorized(Request) {
+    const Match = /^(\S+)\s+(.+)$/.exec(Request.Headers["authorization"] || "");
+    if (!Match || Match[2] !== this.Auth.AccessToken) {
+      return false;
+    }
+    const Scheme = Match[1].toLowerCase();
+    if (this.Auth.Schemes.indexOf(Scheme) === -1) {
+      return false;
+    }
+    // токен, привязанный к ключу, действует только вместе с доказательством владения ключом
+    return Scheme !== "dpop" || !!Request.Headers["dpop"];
+  }
+  /**
+   * ответ имитации сервера авторизации на запрос обновления токенов
+   *
+   * @param {object} Request
+   * @returns {*}
+   */
+  replyRefresh(Request) {
+    const Auth = this.Auth;
+    Auth.RefreshCount++;
+    if (Auth.RefreshReplies.length) {
+      return Auth.RefreshReplies.shift();
+    }
+    // Refresh токен может прийти в строке запроса (fetchTokensDefault), в JSON-теле
+    // или в теле application/x-www-form-urlencoded (режим OAuth2)
+    const JsonBody = Request.Data && typeof Request.Data === "object" && !(Request.Data instanceof URLSearchParams);
+    const RefreshToken = Request.Query[Auth.RefreshTokenName]
+      || (JsonBody ? Request.Data[Auth.RefreshTokenName] : new URLSearchParams(String(Request.Body || "")).get("refresh_token"));
+    if (RefreshToken !== Auth.RefreshToken) {
+      return { status: 401, body: { message: "Invalid refresh token" } };
+    }
+    return { body: this.issueTokens() };
+  }
+  /**
+   * @param {string} Method метод маршрута или "*"
+   * @param {object} Request
+   * @returns {boolean}
+   */
+  matchMethod(Method, Request) {
+    return Method === "*" || Method === Request.Method;
+  }
+  /**
+   * проверяет адрес запроса по шаблону, параметры пути из шаблона записываются в Request.Params
+   *
+   * @param {string|RegExp|function} UrlPattern
+   * @param {object} Request
+   * @returns {boolean}
+   */
+  matchUrl(UrlPattern, Request) {
+    if (typeof UrlPattern === "function") {
+      return !!UrlPattern(Request);
+    }
+    if (UrlPattern instanceof RegExp) {
+      return UrlPattern.test(Request.Url);
+    }
+    const Absolute = isAbsoluteUrl(UrlPattern);
+    const Target = Absolute ? Request.Origin + Request.Path : Request.Path;
+    const Pattern = Absolute ? UrlPattern.replace(/\?.*$/, "") : new URL(UrlPattern, "http://localhost").pathname;
+    const Names = [];
+    const Source = Pattern
+      .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (Match, Name) => {
+        Names.push(Name);
+        return "([^/]+)";
+      });
+    const Result = new RegExp("^" + Source + "$").exec(Target);
+    if (!Result) {
+      return false;
+    }
+    Names.forEach((Name, Index) => { Request.Params[Name] = decodeURIComponent(Result[Index + 1]); });
+    return true;
+  }
+  /**
+   * ждет Delay мс, при отмене сигналом отклоняется с AbortError, как стандартный fetch
+   *
+   * @param {number} Delay
+   * @param {AbortSignal} Signal
+   * @returns {Promise}
+   */
+  wait(Delay, Signal) {
+    return new Promise((resolve, reject) => {
+      const createAbortError = () => {
+        const Err = new Error("The operation was aborted.");
+        Err.name = "AbortError";
+        return Err;
+      };
+      if (Signal && Signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(Timer);
+        reject(createAbortError());
+      };
+      const Timer = setTimeout(() => {
+        if (Signal) {
+          Signal.removeEventListener("abort", onAbort);
+        }
+        resolve();
+      }, Delay || 0);
+      if (Signal) {
+        Signal.addEventListener("abort", onAbort);
+      }
+    });
+  }
+  /**
+   * @param {*} Reply ответ маршрута
+   * @returns {Response}
+   */
+  createResponse(Reply) {
+    if (typeof Response !== "undefined" && Reply instanceof Response) {
+      return Reply;
+    }
+    const Spec = typeof Reply === "number" ? { status: Reply } : (Reply || {});
+    const Status = Spec.status || 200;
+    const Headers = Object.assign({}, Spec.headers || {});
+    let Body = Spec.body === undefined ? null : Spec.body;
+    const RawBody = Body === null
+      || typeof Body === "string"
+      || (typeof Blob !== "undefined" && Body instanceof Blob)
+      || Body instanceof ArrayBuffer
+      || ArrayBuffer.isView(Body)
+      || (typeof ReadableStream !== "undefined" && Body instanceof ReadableStream);
+    if (!RawBody) {
+      Body = JSON.stringify(Body);
+      if (!Object.keys(Headers).some(Name => Name.toLowerCase() === "content-type")) {
+        Headers["Content-Type"] = "application/json";
+      }
+    }
+    // у ответов 204, 205 и 304 не может быть тела
+    if ([204, 205, 304].indexOf(Status) !== -1) {
+      Body = null;
+    }
+    return new Response(Body, { status: Status, statusText: Spec.statusText || "", headers: Headers });
+  }
+}
+
+export default MockTransport;
@@ -0,0 +1,221 @@
+import { LocalStorageAdapter, MemoryStorageAdapter } from "./Storages";
+import { createRequestId } from "./Id";
+
+/**
+ * ключ, под которым очередь сохраняется в хранилище по умолчанию
+ */
+export const OFFLINE_QUEUE_STORAGE_KEY = "FetchViaJwt:OfflineQueue";
+/**
+ * заголовок, в котором с изменяющими запросами передается ключ идемпотентности
+ */
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+/**
+ * методы запросов, которые могут попасть в очередь
+ */
+export const OFFLINE_QUEUE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Очередь изменяющих запросов, не отправленных из-за отсутствия сети.
+ * Хранит запросы и запросы, от которых сервер окончательно отказался, в адаптере хранилища
+ * (тот же интерфейс get, set, remove, что и у хранилищ токенов) в виде JSON-строки,
+ * поэтому очередь переживает перезагрузку страницы.
+ * Отправку запросов из очереди выполняет FetchViaJwt.replayOfflineQueue
+ */
+export class OfflineQueue {
+  /**
+   * @param {object} Options {
+   * Storage, // {object} адаптер хранилища, по умолчанию в браузере localStorage, иначе память
+   * StorageKey, // {string} ключ в хранилище, по умолчанию OFFLINE_QUEUE_STORAGE_KEY
+   * IdempotencyHeader, // {string} заголовок ключа идемпотентности, по умолчанию IDEMPOTENCY_HEADER, false - не добавлять
+   * MaxAttempts, // {number} сколько раз повторять запрос, на который сервер ответил временной ошибкой (5xx, 408, 429), по умолчанию 5
+   * ReplayDelay, // {number} пауза в мс перед автоматической отправкой после отправки, остановленной ошибкой, по умолчанию 1000,
+   * // после каждой следующей такой отправки удваивается
+   * MaxReplayDelay, // {number} максимальная пауза в мс, по умолчанию 60000
+   * }
+   */
+  constructor({
+    Storage,
+    StorageKey = OFFLINE_QUEUE_STORAGE_KEY,
+    IdempotencyHeader = IDEMPOTENCY_HEADER,
+    MaxAttempts = 5,
+    ReplayDelay = 1000,
+    MaxReplayDelay = 60000,
+  } = {}) {
+    this.Storage = Storage || (typeof localStorage !== "undefined" ? new LocalStorageAdapter() : new MemoryStorageAdapter());
+    this.StorageKey = StorageKey;
+    this.IdempotencyHeader = IdempotencyHeader;
+    this.MaxAttempts = MaxAttempts;
+    this.ReplayDelay = ReplayDelay;
+    this.MaxReplayDelay = MaxReplayDelay;
+  }
+
+  /**
+   * проверяет, можно ли сохранить запрос в очереди,
+   * FormData, Blob, ArrayBuffer и URLSearchParams в JSON не сохраняются, такие запросы в очередь не попадают
+   *
+   * @param {string} Method метод запроса
+   * @param {*} Data данные запроса
+   * @returns {boolean}
+   */
+  accepts(Method, Data) {
+    if (OFFLINE_QUEUE_METHODS.indexOf(Method) === -1) {
+      return false;
+    }
+    if (Data === null || Data === undefined || typeof Data === "string") {
+      return true;
+    }
+    return Object.getPrototypeOf(Data) === Object.prototype || Array.isArray(Data);
+  }
+
+  /**
+   * @returns {object} сохраненное состояние { Entries, Failures }
+   */
+  read() {
+    const Value = this.Storage.get(this.StorageKey);
+    if (!Value) {
+      return { Entries: [], Failures: [] };
+    }
+    try {
+      const Result = JSON.parse(Value);
+      return { Entries: Result.Entries || [], Failures: Result.Failures || [] };
+    } catch (Err) {
+      return { Entries: [], Failures: [] };
+    }
+  }
+  /**
+   * @param {object} State состояние { Entries, Failures }
+   */
+  write(State) {
+    if (!State.Entries.length && !State.Failures.length) {
+      this.Storage.remove(this.StorageKey);
+      return;
+    }
+    this.Storage.set(this.StorageKey, JSON.stringify(State));
+  }
+
+  /**
+   * добавляет запрос в конец очереди
+   *
+   * @param {object} Request { Url, Method, Data, Headers, Config }, Config без signal и timeout
+   * @returns {object} запись очереди { Id, IdempotencyKey, Url, Method, Data, Headers, Config, Attempts, CreatedAt, LastError }
+   */
+  add(Request) {
+    const State = this.read();
+    const Entry = {
+      Id: createRequestId(),
+      IdempotencyKey: this.getIdempotencyKey(Request.Headers),
+      Url: Request.Url,
+      Method: Request.Method,
+      Data: Request.Data === undefined ? null : Request.Data,
+      Headers: Request.Headers || {},
+      Config: Request.Config || {},
+      Attempts: 0,
+      CreatedAt: Date.now(),
+      LastError: null,
+    };
+    State.Entries.push(Entry);
+    this.write(State);
+    return Entry;
+  }
+  /**
+   * @returns {object|undefined} первая запись очереди
+   */
+  peek() {
+    return this.read().Entries[0];
+  }
+  /**
+   * удаляет запись из очереди и из списка отказов
+   *
+   * @param {string} Id идентификатор записи
+   */
+  remove(Id) {
+    const State = this.read();
+    State.Entries = State.Entries.filter(Entry => Entry.Id !== Id);
+    State.Failures = State.Failures.filter(Entry => Entry.Id !== Id);
+    this.write(State);
+  }
+  /**
+   * обновляет поля записи в очереди
+   *
+   * @param {string} Id идентификатор записи
+   * @param {object} Fields новые значения полей
+   */
+  update(Id, Fields) {
+    const State = this.read();
+    State.Entries = State.Entries.map(Entry => Entry.Id === Id ? Object.assign({}, Entry, Fields) : Entry);
+    this.write(State);
+  }
+  /**
+   * переносит запись из очереди в список отказов
+   *
+   * @param {string} Id идентификатор записи
+   * @param {object} LastError описание ошибки { name, message, status }
+   */
+  fail(Id, LastError) {
+    const State = this.read();
+    const Entry = State.Entries.find(Item => Item.Id === Id);
+    if (!Entry) {
+      return;
+    }
+    State.Entries = State.Entries.filter(Item => Item.Id !== Id);
+    State.Failures.push(Object.assign({}, Entry, { LastError }));
+    this.write(State);
+  }
+  /**
+   * возвращает записи из списка отказов в конец очереди для повторной отправки
+   */
+  retryFailed() {
+    const State = this.read();
+    State.Entries = State.Entries.concat(State.Failures.map(Entry => Object.assign({}, Entry, { Attempts: 0 })));
+    State.Failures = [];
+    this.write(State);
+  }
+  /**
+   * удаляет все записи и отказы
+   */
+  clear() {
+    this.Storage.remove(this.StorageKey);
+  }
+  /**
+   * @param {number} Failures сколько отправок подряд остановилось на ошибке
+   * @returns {number} пауза в мс перед следующей автоматической отправкой
+   */
+  getReplayDelay(Failures) {
+    return Math.min(this.ReplayDelay * Math.pow(2, Math.max(Failures - 1, 0)), this.MaxReplayDelay);
+  }
+  /**
+   * @returns {number} кол-во запросов, ожидающих отправки
+   */
+  size() {
+    return this.read().Entries.length;
+  }
+
+  /**
+   * @param {object} Headers заголовки запроса
+   * @returns {string|null} значение заголовка ключа идемпотентности
+   */
+  getIdempotencyKey(Headers) {
+    if (!this.IdempotencyHeader || !Headers) {
+      return null;
+    }
+    const Name = Object.keys(Headers).find(Key => Key.toLowerCase() === this.IdempotencyHeader.toLowerCase());
+    return Name ? Headers[Name] : null;
+  }
+  /**
+   * возвращает копию заголовков, в которой есть ключ идемпотентности,
+   * если его не передали явно, то добавляется Key или новый ключ
+   *
+   * @param {object} Headers заголовки запроса
+   * @param {string} Key не обязательный параметр, ключ, который нужно добавить вместо нового
+   * @returns {object}
+   */
+  withIdempotencyKey(Headers, Key = null) {
+    const Result = Object.assign({}, Headers || {});
+    if (this.IdempotencyHeader && !this.getIdempotencyKey(Result)) {
+      Result[this.IdempotencyHeader] = Key || createRequestId();
+    }
+    return Result;
+  }
+}
+
+export default OfflineQueue;
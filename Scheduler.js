@@ -0,0 +1,170 @@
+/**
+ * ограничения планировщика по умолчанию
+ */
+export const SCHEDULER_OPTIONS = {
+  /**
+   * сколько запросов одновременно ждут ответа сервера
+   */
+  MaxConcurrent: 6,
+  /**
+   * сколько из них к одному серверу (источнику)
+   */
+  MaxPerOrigin: 6,
+};
+/**
+ * приоритеты запросов, запрос с большим приоритетом отправляется раньше,
+ * можно передать и число
+ */
+export const REQUEST_PRIORITIES = {
+  high: 10,
+  normal: 0,
+  low: -10,
+};
+
+/**
+ * @param {string|number} Priority имя приоритета из REQUEST_PRIORITIES или число
+ * @returns {number}
+ */
+function getPriorityValue(Priority) {
+  if (typeof Priority === "number" && !isNaN(Priority)) {
+    return Priority;
+  }
+  return REQUEST_PRIORITIES[Priority] !== undefined ? REQUEST_PRIORITIES[Priority] : REQUEST_PRIORITIES.normal;
+}
+
+/**
+ * @returns {Error} ошибка отмены, как у fetch
+ */
+function createAbortError() {
+  const Err = new Error("The operation was aborted.");
+  Err.name = "AbortError";
+  return Err;
+}
+
+/**
+ * Очередь запросов с ограничением кол-ва одновременных запросов (всего и к одному серверу) и приоритетами:
+ * задачи с большим приоритетом запускаются раньше, с одинаковым - в порядке добавления.
+ * Очередь можно приостановить, уже запущенные задачи при этом продолжают выполняться
+ */
+export class RequestScheduler {
+  /**
+   * @param {object} Options {
+   * MaxConcurrent, // {number} сколько задач выполняется одновременно
+   * MaxPerOrigin, // {number} сколько задач одного источника выполняется одновременно
+   * }
+   */
+  constructor({
+    MaxConcurrent = SCHEDULER_OPTIONS.MaxConcurrent,
+    MaxPerOrigin = SCHEDULER_OPTIONS.MaxPerOrigin,
+  } = {}) {
+    this.MaxConcurrent = MaxConcurrent;
+    this.MaxPerOrigin = MaxPerOrigin;
+    /**
+     * ожидающие задачи, упорядоченные по приоритету
+     */
+    this.Queue = [];
+    this.Active = 0;
+    this.ActiveByOrigin = new Map();
+    /**
+     * причины остановки очереди, очередь работает, когда их нет
+     */
+    this.Pauses = new Set();
+  }
+
+  /**
+   * Добавляет задачу в очередь
+   *
+   * @param {function} Task функция, возвращающая промис, место в очереди занято, пока промис не завершится
+   * @param {object} Options {
+   * Priority, // {string|number} приоритет, по умолчанию 'normal'
+   * Origin, // {string} источник запроса для ограничения MaxPerOrigin
+   * Signal, // {AbortSignal} отмена сигналом удаляет задачу из очереди, запущенную задачу отменяет сама Task
+   * }
+   * @returns {Promise} промис с результатом Task
+   */
+  schedule(Task, { Priority = "normal", Origin = "", Signal = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (Signal && Signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      const Item = { Task, Priority: getPriorityValue(Priority), Origin, Signal, resolve, reject, onAbort: null };
+      if (Signal) {
+        Item.onAbort = () => {
+          this.Queue = this.Queue.filter(QueueItem => QueueItem !== Item);
+          reject(createAbortError());
+        };
+        Signal.addEventListener("abort", Item.onAbort);
+      }
+      const Index = this.Queue.findIndex(QueueItem => QueueItem.Priority < Item.Priority);
+      this.Queue.splice(Index === -1 ? this.Queue.length : Index, 0, Item);
+      this.next();
+    });
+  }
+  /**
+   * запускает ожидающие задачи, пока есть свободные места
+   */
+  next() {
+    if (this.Pauses.size) {
+      return;
+    }
+    let Index = 0;
+    while (Index < this.Queue.length && this.Active < this.MaxConcurrent) {
+      const Item = this.Queue[Index];
+      if ((this.ActiveByOrigin.get(Item.Origin) || 0) >= this.MaxPerOrigin) {
+        // этот сервер занят, задачи к другим серверам могут идти дальше
+        Index++;
+        continue;
+      }
+      this.Queue.splice(Index, 1);
+      this.run(Item);
+    }
+  }
+  /**
+   * @param {object} Item задача из очереди
+   */
+  run(Item) {
+    if (Item.Signal) {
+      Item.Signal.removeEventListener("abort", Item.onAbort);
+    }
+    this.Active++;
+    this.ActiveByOrigin.set(Item.Origin, (this.ActiveByOrigin.get(Item.Origin) || 0) + 1);
+    Promise.resolve()
+      .then(() => Item.Task())
+      .then(Item.resolve, Item.reject)
+      .finally(() => {
+        this.Active--;
+        const Count = this.ActiveByOrigin.get(Item.Origin) - 1;
+        if (Count > 0) {
+          this.ActiveByOrigin.set(Item.Origin, Count);
+        } else {
+          this.ActiveByOrigin.delete(Item.Origin);
+        }
+        this.next();
+      });
+  }
+
+  /**
+   * останавливает запуск новых задач
+   *
+   * @param {*} Reason причина остановки, очередь продолжит работу, когда будут сняты все причины
+   */
+  pause(Reason = "manual") {
+    this.Pauses.add(Reason);
+  }
+  /**
+   * @param {*} Reason причина остановки, переданная в pause
+   */
+  resume(Reason = "manual") {
+    this.Pauses.delete(Reason);
+    this.next();
+  }
+  /**
+   * @returns {object} { Active, Queued, Paused }
+   */
+  getState() {
+    return { Active: this.Active, Queued: this.Queue.length, Paused: this.Pauses.size > 0 };
+  }
+}
+
+export default RequestScheduler;
@@ -0,0 +1,141 @@
+import { getCookie, setCookie } from "./Cookies";
+
+/**
+ * Адаптеры хранилищ для токенов.
+ * Каждый адаптер реализует три синхронных метода:
+ * get(Key) - возвращает строку или null,
+ * set(Key, Value) - сохраняет строку,
+ * remove(Key) - удаляет значение.
+ * Любой объект с такими методами можно передать в FetchViaJwt как собственное хранилище
+ */
+
+/**
+ * Хранилище в памяти текущего процесса (вкладки),
+ * подходит для Node, SSR, web workers и тестов, значения теряются при перезагрузке
+ */
+export class MemoryStorageAdapter {
+  /**
+   * @param {object} InitialValues не обязательный параметр, начальные значения { ключ: значение }
+   */
+  constructor(InitialValues = {}) {
+    this.Values = Object.assign({}, InitialValues);
+  }
+  get(Key) {
+    return Object.prototype.hasOwnProperty.call(this.Values, Key) ? this.Values[Key] : null;
+  }
+  set(Key, Value) {
+    this.Values[Key] = Value;
+  }
+  remove(Key) {
+    delete this.Values[Key];
+  }
+}
+
+/**
+ * Хранилище поверх объекта, реализующего интерфейс Web Storage (localStorage, sessionStorage)
+ */
+export class WebStorageAdapter {
+  /**
+   * @param {Storage} Storage объект localStorage, sessionStorage или совместимый с ними
+   */
+  constructor(Storage) {
+    this.Storage = Storage;
+  }
+  get(Key) {
+    return this.Storage.getItem(Key);
+  }
+  set(Key, Value) {
+    this.Storage.setItem(Key, Value);
+  }
+  remove(Key) {
+    this.Storage.removeItem(Key);
+  }
+}
+
+/**
+ * Хранилище в localStorage, значения доступны во всех вкладках и сохраняются после перезагрузки
+ */
+export class LocalStorageAdapter extends WebStorageAdapter {
+  constructor() {
+    super(localStorage);
+  }
+}
+
+/**
+ * Хранилище в sessionStorage, значения доступны только в текущей вкладке
+ */
+export class SessionStorageAdapter extends WebStorageAdapter {
+  constructor() {
+    super(sessionStorage);
+  }
+}
+
+/**
+ * Хранилище в cookie
+ */
+export class CookieStorageAdapter {
+  /**
+   * @param {object} Options не обязательный параметр, настройки cookie (path, domain, secure...),
+   * передаются в setCookie при сохранении значения
+   */
+  constructor(Options = {}) {
+    this.Options = Options;
+  }
+  get(Key) {
+    return getCookie(Key) || null;
+  }
+  set(Key, Value) {
+    setCookie(Key, Value, this.Options);
+  }
+  remove(Key) {
+    setCookie(Key, "", Object.assign({}, this.Options, { "max-age": -1 }));
+  }
+}
+
+/**
+ * Хранилище поверх другого адаптера, добавляющее префикс к ключам,
+ * позволяет хранить в одном хранилище токены с одинаковыми именами для разных серверов
+ */
+export class PrefixedStorageAdapter {
+  /**
+   * @param {object} Storage адаптер хранилища { get, set, remove }
+   * @param {string} Prefix префикс ключей
+   */
+  constructor(Storage, Prefix) {
+    this.Storage = Storage;
+    this.Prefix = Prefix;
+  }
+  get(Key) {
+    return this.Storage.get(this.Prefix + Key);
+  }
+  set(Key, Value) {
+    this.Storage.set(this.Prefix + Key, Value);
+  }
+  remove(Key) {
+    this.Storage.remove(this.Prefix + Key);
+  }
+}
+
+/**
+ * Создает хранилище по умолчанию для Access токена:
+ * в браузере это cookie, в остальных окружениях (Node, web worker) - память
+ *
+ * @returns {object} адаптер хранилища
+ */
+export function createDefaultAccessTokenStorage() {
+  return typeof document !== "undefined"
+    ? new CookieStorageAdapter()
+    : new MemoryStorageAdapter();
+}
+
+/**
+ * Создает хранилище по умолчанию для Refresh токена:
+ * в браузере это localStorage, в остальных окружениях (Node, web worker) - память
+ *
+ * @returns {object} адаптер хранилища
+ */
+export function createDefaultRefreshTokenStorage() {
+  return typeof localStorage !== "undefined"
+    ? new LocalStorageAdapter()
+    : new MemoryStorageAdapter();
+}
@@ -0,0 +1,203 @@
+/**
+ * через сколько мс по умолчанию переподключаться к потоку после разрыва соединения,
+ * сервер может изменить это значение полем retry (text/event-stream)
+ */
+export const STREAM_RETRY_DELAY = 3000;
+
+/**
+ * Разбирает поток text/event-stream (Server-Sent Events) по частям, как это делает EventSource:
+ * поля data, event, id, retry, строки-комментарии (начинаются с :) пропускаются,
+ * сообщение отправляется после пустой строки, незаконченное сообщение в конце потока отбрасывается
+ */
+export class EventStreamParser {
+  constructor() {
+    this.Buffer = "";
+    this.Data = [];
+    this.Event = "";
+    /**
+     * идентификатор последнего сообщения, при переподключении передается в заголовке Last-Event-ID
+     */
+    this.LastEventId = "";
+    /**
+     * задержка переподключения из поля retry или null
+     */
+    this.Retry = null;
+  }
+
+  /**
+   * @param {string} Text очередная часть потока
+   * @returns {array} готовые сообщения { Event, Data, Id, Retry }
+   */
+  push(Text) {
+    this.Buffer += Text;
+    const Messages = [];
+    let Match = /\r\n|\r|\n/.exec(this.Buffer);
+    while (Match) {
+      // \r в конце части может оказаться началом \r\n, ждем следующую часть
+      if (Match[0] === "\r" && Match.index === this.Buffer.length - 1) {
+        break;
+      }
+      const Line = this.Buffer.slice(0, Match.index);
+      this.Buffer = this.Buffer.slice(Match.index + Match[0].length);
+      const Message = this.parseLine(Line);
+      if (Message) {
+        Messages.push(Message);
+      }
+      Match = /\r\n|\r|\n/.exec(this.Buffer);
+    }
+    return Messages;
+  }
+
+  /**
+   * @param {string} Line строка потока без перевода строки
+   * @returns {object|null} сообщение, если строка пустая и данные накоплены
+   */
+  parseLine(Line) {
+    if (Line === "") {
+      const Message = this.Data.length
+        ? { Event: this.Event || "message", Data: this.Data.join("\n"), Id: this.LastEventId, Retry: this.Retry }
+        : null;
+      this.Data = [];
+      this.Event = "";
+      return Message;
+    }
+    if (Line[0] === ":") {
+      return null;
+    }
+    const Colon = Line.indexOf(":");
+    const Field = Colon === -1 ? Line : Line.slice(0, Colon);
+    let Value = Colon === -1 ? "" : Line.slice(Colon + 1);
+    if (Value[0] === " ") {
+      Value = Value.slice(1);
+    }
+    switch (Field) {
+      case "data":
+        this.Data.push(Value);
+        break;
+      case "event":
+        this.Event = Value;
+        break;
+      case "id":
+        if (Value.indexOf("\0") === -1) {
+          this.LastEventId = Value;
+        }
+        break;
+      case "retry":
+        if (/^\d+$/.test(Value)) {
+          this.Retry = Number(Value);
+        }
+        break;
+      default:
+        // неизвестные поля по спецификации игнорируются
+    }
+    return null;
+  }
+
+  /**
+   * @returns {array} в конце потока незаконченное сообщение отбрасывается, поэтому всегда пустой массив
+   */
+  flush() {
+    this.Buffer = "";
+    this.Data = [];
+    this.Event = "";
+    return [];
+  }
+}
+
+/**
+ * Разбирает поток NDJSON (JSON-значение на каждой строке) по частям,
+ * пустые строки пропускаются
+ */
+export class NdjsonParser {
+  constructor() {
+    this.Buffer = "";
+  }
+
+  /**
+   * @param {string} Text очередная часть потока
+   * @returns {array} разобранные значения
+   */
+  push(Text) {
+    this.Buffer += Text;
+    const Lines = this.Buffer.split("\n");
+    this.Buffer = Lines.pop();
+    return this.parseLines(Lines);
+  }
+
+  /**
+   * @returns {array} значение из последней строки, если после нее не было перевода строки
+   */
+  flush() {
+    const Lines = [this.Buffer];
+    this.Buffer = "";
+    return this.parseLines(Lines);
+  }
+
+  /**
+   * @param {array} Lines строки
+   * @returns {array}
+   */
+  parseLines(Lines) {
+    return Lines
+      .map(Line => Line.trim())
+      .filter(Line => Line !== "")
+      .map(Line => JSON.parse(Line));
+  }
+}
+
+/**
+ * @param {object} Resp ответ сервера, объект Response
+ * @param {string} Format формат, заданный явно: 'sse' или 'ndjson'
+ * @returns {string} формат потока, если не задан явно, то определяется по Content-Type, по умолчанию 'sse'
+ */
+export function getStreamFormat(Resp, Format) {
+  if (Format) {
+    return Format;
+  }
+  const ContentType = (Resp.headers && Resp.headers.get("Content-Type")) || "";
+  return /ndjson|jsonl|json-seq/i.test(ContentType) ? "ndjson" : "sse";
+}
+
+/**
+ * Читает тело ответа по частям и возвращает разобранные сообщения по мере их получения,
+ * при отмене Signal чтение прекращается
+ *
+ * @param {object} Resp ответ сервера, объект Response
+ * @param {string} Format 'sse' или 'ndjson'
+ * @param {AbortSignal} Signal не обязательный сигнал отмены
+ * @param {object} Parser не обязательный парсер, по умолчанию создается по Format
+ * @returns {AsyncGenerator} сообщения SSE { Event, Data, Id, Retry } или значения NDJSON
+ */
+export async function* readStream(Resp, Format = "sse", Signal = null, Parser = null) {
+  if (!Resp.body) {
+    return;
+  }
+  const StreamParser = Parser || (Format === "ndjson" ? new NdjsonParser() : new EventStreamParser());
+  const Reader = Resp.body.getReader();
+  const Decoder = new TextDecoder();
+  const cancel = () => Reader.cancel().catch(() => {});
+  if (Signal) {
+    if (Signal.aborted) {
+      cancel();
+    } else {
+      Signal.addEventListener("abort", cancel);
+    }
+  }
+  try {
+    while (true) {
+      const { done, value } = await Reader.read();
+      if (done) {
+        break;
+      }
+      yield* StreamParser.push(Decoder.decode(value, { stream: true }));
+    }
+    yield* StreamParser.push(Decoder.decode());
+    yield* StreamParser.flush();
+  } finally {
+    if (Signal) {
+      Signal.removeEventListener("abort", cancel);
+    }
+    // генератор могли закрыть раньше конца потока (break в for await), соединение больше не нужно
+    cancel();
+  }
+}
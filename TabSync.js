@@ -0,0 +1,210 @@
+/**
+ * имя канала по умолчанию, через который общаются вкладки
+ */
+export const TAB_SYNC_CHANNEL_NAME = "FetchViaJwt";
+/**
+ * время в миллисекундах, на которое вкладка захватывает право обновления токенов,
+ * если вкладка закроется во время обновления, то через это время право перейдет к другой
+ */
+export const TAB_SYNC_LOCK_TTL = 10000;
+/**
+ * задержка в миллисекундах перед проверкой, что захват права обновления не перехватила другая вкладка
+ */
+const TAB_SYNC_LOCK_CONFIRM_DELAY = 50;
+
+/**
+ * сообщение с новыми токенами
+ */
+export const TAB_MESSAGE_TOKENS = "tokens";
+/**
+ * сообщение о неудачном обновлении токенов
+ */
+export const TAB_MESSAGE_REFRESH_FAILED = "refresh-failed";
+/**
+ * сообщение о выходе пользователя, токены нужно удалить во всех вкладках
+ */
+export const TAB_MESSAGE_LOGOUT = "logout";
+
+/**
+ * Синхронизация между вкладками браузера,
+ * сообщения передаются через BroadcastChannel,
+ * а если он не поддерживается, то через событие storage у localStorage.
+ * Право на обновление токенов захватывается одной вкладкой через запись в localStorage с ограниченным сроком действия
+ */
+export class TabSync {
+  /**
+   * @param {string} ChannelName имя канала, вкладки с одинаковым именем обмениваются сообщениями
+   * @param {function} onMessage функция, которая вызывается с объектом каждого сообщения от других вкладок
+   */
+  constructor(ChannelName = TAB_SYNC_CHANNEL_NAME, onMessage = () => { }) {
+    this.CHANNEL_NAME = ChannelName;
+    this.LOCK_KEY = ChannelName + ":refresh-lock";
+    this.MESSAGE_KEY = ChannelName + ":message";
+    this.TabId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+    this.onMessage = onMessage;
+    /**
+     * функции, ожидающие сообщения определенного типа, вызываются после this.onMessage
+     */
+    this.Waiters = [];
+    this.Channel = null;
+    this.StorageListener = null;
+
+    if (typeof BroadcastChannel === "function") {
+      this.Channel = new BroadcastChannel(ChannelName);
+      this.Channel.onmessage = (Event) => this.dispatch(Event.data);
+    } else if (typeof window !== "undefined" && window.addEventListener) {
+      // событие storage приходит только в другие вкладки,
+      // поэтому своя вкладка свои же сообщения не получит
+      this.StorageListener = (Event) => {
+        if (Event.key !== this.MESSAGE_KEY || !Event.newValue) {
+          return;
+        }
+        try {
+          this.dispatch(JSON.parse(Event.newValue));
+        } catch (Err) {
+          // чужие или поврежденные данные просто пропускаем
+        }
+      };
+      window.addEventListener("storage", this.StorageListener);
+    }
+  }
+
+  /**
+   * передает сообщение this.onMessage и всем ожидающим этот тип сообщения
+   *
+   * @param {object} Message
+   */
+  dispatch(Message) {
+    if (!Message || typeof Message !== "object") {
+      return;
+    }
+    this.onMessage(Message);
+    const Waiters = this.Waiters.filter(Waiter => Waiter.Types.indexOf(Message.type) !== -1);
+    Waiters.forEach(Waiter => Waiter.resolve(Message));
+  }
+
+  /**
+   * отправляет сообщение всем остальным вкладкам
+   *
+   * @param {object} Message объект с полем type и данными, должен сериализоваться в JSON
+   */
+  post(Message) {
+    if (this.Channel) {
+      this.Channel.postMessage(Message);
+      return;
+    }
+    const Storage = this.getStorage();
+    if (Storage) {
+      // уникальная метка нужна, что бы одинаковые сообщения подряд тоже вызывали событие storage
+      Storage.setItem(this.MESSAGE_KEY, JSON.stringify(Object.assign({}, Message, { Nonce: Math.random() })));
+      Storage.removeItem(this.MESSAGE_KEY);
+    }
+  }
+
+  /**
+   * возвращает промис, который разрешится первым сообщением одного из указанных типов,
+   * или null, если за время Timeout такого сообщения не было
+   *
+   * @param {array} Types массив типов сообщений
+   * @param {number} Timeout время ожидания в миллисекундах
+   * @returns {Promise}
+   */
+  waitForMessage(Types, Timeout = TAB_SYNC_LOCK_TTL) {
+    return new Promise((resolve) => {
+      const Waiter = {
+        Types,
+        resolve: (Message) => {
+          clearTimeout(Timer);
+          this.Waiters = this.Waiters.filter(Item => Item !== Waiter);
+          resolve(Message);
+        },
+      };
+      const Timer = setTimeout(() => Waiter.resolve(null), Timeout);
+      this.Waiters.push(Waiter);
+    });
+  }
+
+  /**
+   * Пытается захватить право обновления токенов для этой вкладки,
+   * если право уже захвачено другой вкладкой и срок захвата не истек, то промис вернет false
+   *
+   * @returns {Promise} промис с true, если право получено этой вкладкой
+   */
+  acquireLock() {
+    const Storage = this.getStorage();
+    if (!Storage) {
+      return Promise.resolve(true);
+    }
+    const Lock = this.readLock();
+    if (Lock && Lock.TabId !== this.TabId && Lock.Expires > Date.now()) {
+      return Promise.resolve(false);
+    }
+    Storage.setItem(this.LOCK_KEY, JSON.stringify({ TabId: this.TabId, Expires: Date.now() + TAB_SYNC_LOCK_TTL }));
+    // две вкладки могли записать блокировку одновременно,
+    // после паузы в хранилище останется только одна из записей
+    return new Promise(resolve => setTimeout(resolve, TAB_SYNC_LOCK_CONFIRM_DELAY))
+      .then(() => {
+        const ConfirmedLock = this.readLock();
+        return !!ConfirmedLock && ConfirmedLock.TabId === this.TabId;
+      });
+  }
+
+  /**
+   * @returns {number} сколько мс осталось до истечения права обновления, захваченного другой вкладкой,
+   * 0 - право никем не захвачено или принадлежит этой вкладке
+   */
+  getLockRemaining() {
+    const Lock = this.readLock();
+    return Lock && Lock.TabId !== this.TabId ? Math.max(Lock.Expires - Date.now(), 0) : 0;
+  }
+
+  /**
+   * освобождает право обновления токенов, если оно принадлежит этой вкладке
+   */
+  releaseLock() {
+    const Storage = this.getStorage();
+    const Lock = this.readLock();
+    if (Storage && Lock && Lock.TabId === this.TabId) {
+      Storage.removeItem(this.LOCK_KEY);
+    }
+  }
+
+  /**
+   * @returns {object|null} текущая запись о захвате права обновления { TabId, Expires }
+   */
+  readLock() {
+    const Storage = this.getStorage();
+    if (!Storage) {
+      return null;
+    }
+    try {
+      return JSON.parse(Storage.getItem(this.LOCK_KEY));
+    } catch (Err) {
+      return null;
+    }
+  }
+
+  /**
+   * @returns {object|null} localStorage, если он доступен в этом окружении
+   */
+  getStorage() {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  }
+
+  /**
+   * закрывает канал и отписывается от событий, после этого экземпляр больше не используется
+   */
+  close() {
+    if (this.Channel) {
+      this.Channel.close();
+      this.Channel = null;
+    }
+    if (this.StorageListener) {
+      window.removeEventListener("storage", this.StorageListener);
+      this.StorageListener = null;
+    }
+    this.Waiters.forEach(Waiter => Waiter.resolve(null));
+  }
+}
+
+export default TabSync;
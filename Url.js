@@ -0,0 +1,216 @@
+/**
+ * Формат сериализации параметров строки запроса по умолчанию:
+ * ArrayFormat - массивы: 'repeat' (a=1&a=2), 'brackets' (a[]=1&a[]=2), 'comma' (a=1,2),
+ * ObjectFormat - вложенные объекты: 'brackets' (a[b]=1) или 'dot' (a.b=1)
+ */
+export const QUERY_FORMAT = {
+  ArrayFormat: "repeat",
+  ObjectFormat: "brackets",
+};
+
+/**
+ * @param {string} Url
+ * @returns {boolean} true, если адрес абсолютный (со схемой или начинается с //)
+ */
+export function isAbsoluteUrl(Url) {
+  return /^[a-z][a-z\d+\-.]*:/i.test(Url) || Url.indexOf("//") === 0;
+}
+
+/**
+ * Соединяет базовый адрес и относительный адрес запроса,
+ * абсолютные адреса возвращаются без изменений
+ *
+ * @param {string} BaseUrl базовый адрес, например https://api.site.ru/v1
+ * @param {string} Url адрес запроса, например /users
+ * @returns {string}
+ */
+export function joinUrl(BaseUrl, Url) {
+  if (!BaseUrl || isAbsoluteUrl(Url)) {
+    return Url;
+  }
+  if (!Url) {
+    return BaseUrl;
+  }
+  return BaseUrl.replace(/\/+$/, "") + "/" + Url.replace(/^\/+/, "");
+}
+
+/**
+ * Подставляет параметры пути вида :id в адрес,
+ * значения кодируются через encodeURIComponent
+ *
+ * @param {string} Url адрес с параметрами, например /users/:id/posts/:postId
+ * @param {object} Params объект со значениями параметров { id: 1, postId: 2 }
+ * @returns {string}
+ */
+export function applyPathParams(Url, Params) {
+  if (!Params) {
+    return Url;
+  }
+  // :8080 (порт) и :// (схема) не подходят под шаблон, так как имя параметра начинается с буквы
+  return Url.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (Match, Name) => {
+    if (!Object.prototype.hasOwnProperty.call(Params, Name)) {
+      return Match;
+    }
+    const Value = Params[Name];
+    if (Value === undefined || Value === null) {
+      throw new TypeError("[applyPathParams] Не передано значение параметра пути: " + Name);
+    }
+    return encodeURIComponent(String(Value));
+  });
+}
+
+/**
+ * Преобразует объект в строку запроса (без знака ?),
+ * undefined пропускаются, null передаются как пустые значения, даты - в формате ISO
+ *
+ * @param {object} Data объект с данными
+ * @param {object} Format формат сериализации, поля как у QUERY_FORMAT
+ * @returns {string}
+ */
+export function serializeQuery(Data, Format = QUERY_FORMAT) {
+  if (!Data) {
+    return "";
+  }
+  if (typeof URLSearchParams !== "undefined" && Data instanceof URLSearchParams) {
+    return Data.toString();
+  }
+  const FullFormat = Object.assign({}, QUERY_FORMAT, Format || {});
+  const Pairs = [];
+  Object.keys(Data).forEach(Key => appendQueryValue(Pairs, encodeURIComponent(Key), Data[Key], FullFormat));
+  return Pairs.join("&");
+}
+
+/**
+ * рекурсивно добавляет в Pairs пары ключ=значение для значения Value
+ *
+ * @param {array} Pairs массив готовых пар
+ * @param {string} Key уже закодированный ключ
+ * @param {*} Value значение
+ * @param {object} Format формат сериализации
+ */
+function appendQueryValue(Pairs, Key, Value, Format) {
+  if (Value === undefined) {
+    return;
+  }
+  if (Value === null) {
+    Pairs.push(Key + "=");
+    return;
+  }
+  if (Value instanceof Date) {
+    Pairs.push(Key + "=" + encodeURIComponent(Value.toISOString()));
+    return;
+  }
+  if (Array.isArray(Value)) {
+    const Scalar = Value.every(Item => Item === null || typeof Item !== "object" || Item instanceof Date);
+    if (Scalar && Format.ArrayFormat === "comma") {
+      const Items = Value
+        .filter(Item => Item !== undefined)
+        .map(Item => encodeURIComponent(Item instanceof Date ? Item.toISOString() : (Item === null ? "" : String(Item))));
+      Pairs.push(Key + "=" + Items.join(","));
+      return;
+    }
+    Value.forEach((Item, Index) => {
+      // массивы объектов всегда сериализуются с индексами, иначе их поля нельзя сопоставить
+      const ItemKey = !Scalar
+        ? createNestedKey(Key, String(Index), Format)
+        : (Format.ArrayFormat === "brackets" ? Key + "[]" : Key);
+      appendQueryValue(Pairs, ItemKey, Item, Format);
+    });
+    return;
+  }
+  if (typeof Value === "object") {
+    Object.keys(Value).forEach(
+      SubKey => appendQueryValue(Pairs, createNestedKey(Key, encodeURIComponent(SubKey), Format), Value[SubKey], Format)
+    );
+    return;
+  }
+  Pairs.push(Key + "=" + encodeURIComponent(String(Value)));
+}
+
+/**
+ * @param {string} Key родительский ключ
+ * @param {string} SubKey вложенный ключ
+ * @param {object} Format формат сериализации
+ * @returns {string} ключ вложенного значения, a[b] или a.b
+ */
+function createNestedKey(Key, SubKey, Format) {
+  return Format.ObjectFormat === "dot" ? Key + "." + SubKey : Key + "[" + SubKey + "]";
+}
+
+/**
+ * Добавляет строку запроса к адресу с учетом уже имеющихся параметров и якоря (#)
+ *
+ * @param {string} Url
+ * @param {string} QueryString строка запроса без знака ?
+ * @returns {string}
+ */
+export function appendQuery(Url, QueryString) {
+  if (!QueryString) {
+    return Url;
+  }
+  const HashIndex = Url.indexOf("#");
+  const Hash = HashIndex === -1 ? "" : Url.slice(HashIndex);
+  const Path = HashIndex === -1 ? Url : Url.slice(0, HashIndex);
+  const Separator = Path.indexOf("?") === -1 ? "?" : (/[?&]$/.test(Path) ? "" : "&");
+  return Path + Separator + QueryString + Hash;
+}
+
+/**
+ * Формирует полный адрес запроса: подставляет параметры пути,
+ * добавляет базовый адрес и строку запроса
+ *
+ * @param {string} Url адрес запроса
+ * @param {object} Options { BaseUrl, Params, Query, QueryFormat }
+ * @returns {string}
+ */
+export function buildUrl(Url, { BaseUrl = "", Params = null, Query = null, QueryFormat = QUERY_FORMAT } = {}) {
+  const PathUrl = applyPathParams(Url || "", Params);
+  return appendQuery(joinUrl(BaseUrl, PathUrl), serializeQuery(Query, QueryFormat));
+}
+
+/**
+ * Проверяет, что абсолютный адрес Url подходит под правило Rule:
+ * строка с одним источником (https://api.site.ru) - совпадает источник (схема, хост и порт),
+ * строка с путем (https://api.site.ru/v1) - совпадает источник и путь начинается с этого пути по границе сегмента,
+ * RegExp - проверяется весь адрес, функция (Url) => boolean
+ *
+ * @param {string|RegExp|function} Rule правило
+ * @param {string} Url абсолютный адрес, адреса вида //host считаются https
+ * @returns {boolean}
+ */
+export function matchUrlPrefix(Rule, Url) {
+  if (typeof Rule === "function") {
+    return !!Rule(Url);
+  }
+  if (Rule instanceof RegExp) {
+    return Rule.test(Url);
+  }
+  let Target;
+  let Allowed;
+  try {
+    Target = new URL(Url.indexOf("//") === 0 ? "https:" + Url : Url);
+    Allowed = new URL(Rule.indexOf("//") === 0 ? "https:" + Rule : Rule);
+  } catch (Err) {
+    return false;
+  }
+  if (Target.origin !== Allowed.origin) {
+    return false;
+  }
+  const Prefix = Allowed.pathname.replace(/\/+$/, "");
+  return !Prefix || Target.pathname === Prefix || Target.pathname.indexOf(Prefix + "/") === 0;
+}
+
+/**
+ * @param {string} Url адрес запроса
+ * @returns {string} источник (схема, хост и порт) абсолютного адреса, для относительного - пустая строка
+ */
+export function getUrlOrigin(Url) {
+  if (!isAbsoluteUrl(Url)) {
+    return "";
+  }
+  try {
+    return new URL(Url.indexOf("//") === 0 ? "https:" + Url : Url).origin;
+  } catch (Err) {
+    return "";
+  }
+}
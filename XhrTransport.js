@@ -0,0 +1,97 @@
+/**
+ * @param {number} Loaded сколько байт передано
+ * @param {number|null} Total сколько байт всего, null - неизвестно
+ * @returns {object} объект события прогресса { Loaded, Total, Progress }, Progress - доля от 0 до 1 или null
+ */
+export function createProgressEvent(Loaded, Total) {
+  return {
+    Loaded,
+    Total,
+    Progress: Total ? Math.min(Loaded / Total, 1) : null,
+  };
+}
+
+/**
+ * @param {string} RawHeaders заголовки ответа из XMLHttpRequest.getAllResponseHeaders
+ * @returns {array} пары [имя, значение]
+ */
+function parseResponseHeaders(RawHeaders) {
+  return (RawHeaders || "")
+    .split(/\r?\n/)
+    .filter(Line => Line.indexOf(":") > 0)
+    .map((Line) => {
+      const Index = Line.indexOf(":");
+      return [Line.slice(0, Index).trim(), Line.slice(Index + 1).trim()];
+    });
+}
+
+/**
+ * Отправляет запрос через XMLHttpRequest с интерфейсом стандартного fetch,
+ * в отличие от fetch сообщает о прогрессе отправки тела запроса через Init.onUploadProgress.
+ * Сетевая ошибка и таймаут отклоняют промис с TypeError, отмена сигналом - с AbortError, как у fetch
+ *
+ * @param {string} Url адрес запроса
+ * @param {object} Init настройки запроса fetch { method, headers, body, credentials, signal },
+ * дополнительно onUploadProgress - функция, получающая { Loaded, Total, Progress }
+ * @returns {Promise} промис с объектом Response
+ */
+export function xhrTransport(Url, Init = {}) {
+  return new Promise((resolve, reject) => {
+    const Xhr = new XMLHttpRequest();
+    const Signal = Init.signal;
+    const createAbortError = () => {
+      const Err = new Error("The operation was aborted.");
+      Err.name = "AbortError";
+      return Err;
+    };
+    if (Signal && Signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => Xhr.abort();
+    const cleanup = () => {
+      if (Signal) {
+        Signal.removeEventListener("abort", onAbort);
+      }
+    };
+
+    Xhr.open((Init.method || "GET").toUpperCase(), Url, true);
+    Xhr.responseType = "arraybuffer";
+    Xhr.withCredentials = Init.credentials === "include";
+    const Headers = Init.headers || {};
+    if (typeof Headers.forEach === "function" && !Array.isArray(Headers)) {
+      Headers.forEach((Value, Name) => Xhr.setRequestHeader(Name, Value));
+    } else {
+      Object.keys(Headers).forEach(Name => Xhr.setRequestHeader(Name, Headers[Name]));
+    }
+    if (Init.onUploadProgress && Xhr.upload) {
+      Xhr.upload.onprogress = (Event) => {
+        Init.onUploadProgress(createProgressEvent(Event.loaded, Event.lengthComputable ? Event.total : null));
+      };
+    }
+
+    Xhr.onload = () => {
+      cleanup();
+      // у ответов 204, 205 и 304 не может быть тела
+      const NullBody = [204, 205, 304].indexOf(Xhr.status) !== -1;
+      resolve(new Response(NullBody ? null : Xhr.response, {
+        status: Xhr.status,
+        statusText: Xhr.statusText,
+        headers: parseResponseHeaders(Xhr.getAllResponseHeaders()),
+      }));
+    };
+    Xhr.onerror = () => {
+      cleanup();
+      reject(new TypeError("Failed to fetch"));
+    };
+    Xhr.ontimeout = Xhr.onerror;
+    Xhr.onabort = () => {
+      cleanup();
+      reject(createAbortError());
+    };
+    if (Signal) {
+      Signal.addEventListener("abort", onAbort);
+    }
+    Xhr.send(Init.body === undefined ? null : Init.body);
+  });
+}
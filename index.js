@@ -1,5 +1,38 @@
-import { generateGetUrl, checkFetchResponseStatus, getFetchResponseStatus } from "./Helpers";
-import { getCookie, setCookie } from "./Cookies";
+import { checkFetchResponseStatus, getFetchResponseStatus } from "./Helpers";
+import { buildUrl, joinUrl, isAbsoluteUrl, matchUrlPrefix, getUrlOrigin, QUERY_FORMAT } from "./Url";
+import { createDefaultAccessTokenStorage, createDefaultRefreshTokenStorage, PrefixedStorageAdapter } from "./Storages";
+import {
+  TabSync, TAB_SYNC_CHANNEL_NAME, TAB_SYNC_LOCK_TTL,
+  TAB_MESSAGE_TOKENS, TAB_MESSAGE_REFRESH_FAILED, TAB_MESSAGE_LOGOUT,
+} from "./TabSync";
+import { EventEmitter } from "./EventEmitter";
+import { ResponseCache } from "./Cache";
+import { OfflineQueue } from "./OfflineQueue";
+import { LOG_LEVELS, REDACT_KEYS, redact } from "./Logger";
+import { xhrTransport, createProgressEvent } from "./XhrTransport";
+import { EventStreamParser, readStream, getStreamFormat, STREAM_RETRY_DELAY } from "./Streams";
+import {
+  GraphQLBatcher, GRAPHQL_OPTIONS, GRAPHQL_UNAUTHENTICATED, GRAPHQL_PERSISTED_QUERY_NOT_FOUND,
+  hasGraphQLErrorCode, getGraphQLErrorCode, getOperationName, getQueryHash, createPersistedOperation,
+} from "./GraphQL";
+import { DpopSigner, DPOP_HEADER, isDpopNonceChallenge } from "./Dpop";
+import { RequestScheduler } from "./Scheduler";
+
+export {
+  MemoryStorageAdapter, WebStorageAdapter, LocalStorageAdapter, SessionStorageAdapter, CookieStorageAdapter,
+  PrefixedStorageAdapter,
+} from "./Storages";
+export { buildUrl, serializeQuery, applyPathParams, joinUrl, matchUrlPrefix, getUrlOrigin, QUERY_FORMAT } from "./Url";
+export { ResponseCache, CACHE_OPTIONS } from "./Cache";
+export { LOG_LEVELS, REDACT_KEYS, REDACTED, redact } from "./Logger";
+export { xhrTransport } from "./XhrTransport";
+export { EventStreamParser, NdjsonParser, readStream, STREAM_RETRY_DELAY } from "./Streams";
+export { OfflineQueue, OFFLINE_QUEUE_STORAGE_KEY, IDEMPOTENCY_HEADER, OFFLINE_QUEUE_METHODS } from "./OfflineQueue";
+export {
+  GraphQLBatcher, GRAPHQL_OPTIONS, GRAPHQL_UNAUTHENTICATED, GRAPHQL_PERSISTED_QUERY_NOT_FOUND, getGraphQLErrorCode,
+} from "./GraphQL";
+export { DpopSigner, DPOP_HEADER, DPOP_NONCE_HEADER, getDpopHtu } from "./Dpop";
+export { RequestScheduler, SCHEDULER_OPTIONS, REQUEST_PRIORITIES } from "./Scheduler";
 
 /**
  * короткоживущий многоразовый токен для получения данных
@@ -13,6 +46,78 @@ export const JWT_REFRESH_TOKEN_NAME = 'REFRESH';
  * ограничение на кол-во неудачных попыток запроса к API обновления токенов
  */
 export const MAX_CALL_COUNT = 3;
+/**
+ * запас времени в секундах до истечения срока действия Access токена (поле exp),
+ * в течение которого токен уже считается просроченным и обновляется заранее,
+ * компенсирует расхождение часов клиента и сервера
+ */
+export const CLOCK_SKEW = 30;
+/**
+ * политика повторов запросов при сетевых ошибках и ответах с кодами из StatusCodes,
+ * по умолчанию повторы выключены (MaxAttempts = 1)
+ */
+export const RETRY_POLICY = {
+  MaxAttempts: 1, // общее кол-во попыток, включая первую
+  BaseDelay: 300, // базовая задержка в мс, удваивается с каждой попыткой
+  MaxDelay: 10000, // максимальная задержка в мс, в том числе для Retry-After
+  StatusCodes: [408, 429, 500, 502, 503, 504], // коды ответа, при которых запрос повторяется
+  RespectRetryAfter: true, // учитывать заголовок ответа Retry-After
+  RetryNonIdempotent: false, // разрешить повтор неидемпотентных методов (POST, PATCH)
+};
+
+/**
+ * событие - токены обновлены, обработчик получает объект с новыми токенами
+ */
+export const EVENT_TOKENS_REFRESHED = "tokensRefreshed";
+/**
+ * событие - сессия завершилась без участия пользователя 
+ * (сервер отклонил Refresh токен, превышено MAX_CALL_COUNT, нет токенов),
+ * обработчик получает объект ошибки, обычно здесь нужно перейти на страницу входа
+ */
+export const EVENT_SESSION_EXPIRED = "sessionExpired";
+/**
+ * событие - пользователь вошел через login, обработчик получает объект с токенами
+ */
+export const EVENT_LOGGED_IN = "loggedIn";
+/**
+ * событие - пользователь вышел через logout в этой или другой вкладке,
+ * обработчик получает объект { Remote }, Remote = true, если выход был в другой вкладке
+ */
+export const EVENT_LOGGED_OUT = "loggedOut";
+/**
+ * политика для адресов, не входящих в AllowedOrigins: запрос отправляется без заголовка Authorization
+ */
+export const ORIGIN_POLICY_OMIT = "omit";
+/**
+ * политика для адресов, не входящих в AllowedOrigins: запрос отклоняется с ErrorOriginNotAllowed
+ */
+export const ORIGIN_POLICY_REJECT = "reject";
+/**
+ * причина сохранения запроса в очереди: нет сети (navigator.onLine = false)
+ */
+export const QUEUE_REASON_OFFLINE = "offline";
+/**
+ * причина сохранения запроса в очереди: запрос не дошел до сервера из-за сетевой ошибки
+ */
+export const QUEUE_REASON_NETWORK = "network";
+/**
+ * причина сохранения запроса в очереди: сеть есть, но в очереди остались более ранние запросы,
+ * запрос будет отправлен после них
+ */
+export const QUEUE_REASON_PENDING = "pending";
+/**
+ * событие - запрос без сети сохранен в очереди, обработчик получает запись очереди
+ */
+export const EVENT_REQUEST_QUEUED = "requestQueued";
+/**
+ * событие - запрос из очереди отправлен, обработчик получает объект { Entry, Response }
+ */
+export const EVENT_QUEUED_REQUEST_SENT = "queuedRequestSent";
+/**
+ * событие - сервер отказал запросу из очереди, запрос перенесен в список отказов,
+ * обработчик получает объект { Entry, Error }
+ */
+export const EVENT_QUEUED_REQUEST_FAILED = "queuedRequestFailed";
 
 /**
  * код ответа, что пользователь не авторизован
@@ -22,6 +127,90 @@ const HTTP_UNAUTHORIZED_CODE = 401;
  * код ответа, что страница (адрес) не найдена
  */
 const HTTP_PAGE_NOT_FOUND = 404;
+/**
+ * методы, повтор которых не меняет результат на сервере
+ */
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE", "TRACE"];
+
+/**
+ * сигналы отмены, созданные в withAbortScope,
+ * вызовы с таким сигналом уже находятся внутри области отмены и новую не создают
+ */
+const ScopedSignals = new WeakSet();
+/**
+ * ошибки стандартного fetch (TypeError), означающие, что запрос не дошел до сервера,
+ * так их можно отличить от других TypeError, например, из-за неверных параметров запроса
+ */
+const NetworkErrors = new WeakSet();
+/**
+ * счетчики запроса для метрик по сигналу отмены его области (см. withAbortScope),
+ * сигнал один на весь цикл запроса, включая повторы и запрос после обновления токенов,
+ * Refreshed - запрос ждал обновления токенов (см. getValidAccessToken и refreshTokensAndRepeatRequest)
+ */
+const RequestStats = new WeakMap();
+/**
+ * Access токен, с которым последний раз ушел запрос, по сигналу отмены его области (см. withAbortScope),
+ * после ответа 401 с ним сравнивается текущий токен, что бы понять, не обновил ли его уже кто-то другой
+ */
+const SentAccessTokens = new WeakMap();
+/**
+ * производные клиенты, созданные методом extend: клиент => { Root, Headers, Config },
+ * Root - исходный объект, которому принадлежат токены и все остальное состояние
+ */
+const DerivedClients = new WeakMap();
+
+/**
+ * Проверяет, что данные запроса нужно передать в fetch как есть, без JSON.stringify:
+ * строки, FormData, Blob (File), ArrayBuffer и типизированные массивы, URLSearchParams
+ * 
+ * @param {*} Data данные (тело) запроса
+ * @returns {boolean}
+ */
+function isRawBody(Data) {
+  return typeof Data === "string"
+    || (typeof FormData !== "undefined" && Data instanceof FormData)
+    || (typeof Blob !== "undefined" && Data instanceof Blob)
+    || (typeof ArrayBuffer !== "undefined" && (Data instanceof ArrayBuffer || ArrayBuffer.isView(Data)))
+    || (typeof URLSearchParams !== "undefined" && Data instanceof URLSearchParams);
+}
+
+/**
+ * @param {object} Headers объект с заголовками
+ * @returns {boolean} true, если среди заголовков есть Content-Type в любом регистре
+ */
+function hasContentType(Headers) {
+  return Object.keys(Headers || {}).some(Key => Key.toLowerCase() === "content-type");
+}
+
+/**
+ * возвращает промис, который разрешится через Ms миллисекунд,
+ * или будет отклонен, если раньше сработает сигнал отмены
+ * 
+ * @param {number} Ms 
+ * @param {AbortSignal} Signal 
+ * @returns {Promise}
+ */
+function delay(Ms, Signal) {
+  return new Promise((resolve, reject) => {
+    if (Signal && Signal.aborted) {
+      reject(new ErrorAbort("[delay]"));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(Timer);
+      reject(new ErrorAbort("[delay]"));
+    };
+    const Timer = setTimeout(() => {
+      if (Signal) {
+        Signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, Ms);
+    if (Signal) {
+      Signal.addEventListener("abort", onAbort);
+    }
+  });
+}
 
 export class Error401 extends Error {
   constructor(Message = "") {
@@ -55,12 +244,158 @@ export class ErrorNoAccessToken extends Error {
   }
 }
 
+export class ErrorTimeout extends Error {
+  constructor(Message = "", Timeout) {
+    const Separator = Message ? " " : "";
+    super(Message + Separator + "Превышено время ожидания ответа сервера: " + Timeout + " мс!");
+    this.name = "ErrorTimeout";
+    this.timeout = Timeout;
+  }
+}
+
+export class ErrorAbort extends Error {
+  constructor(Message = "") {
+    const Separator = Message ? " " : "";
+    super(Message + Separator + "Запрос отменен!");
+    this.name = "ErrorAbort";
+  }
+}
+
+export class ErrorQueued extends Error {
+  /**
+   * @param {string} Message 
+   * @param {object} Entry запись очереди
+   * @param {Error} Cause сетевая ошибка, из-за которой запрос попал в очередь, или null
+   * @param {string} Reason причина: QUEUE_REASON_OFFLINE, QUEUE_REASON_NETWORK или QUEUE_REASON_PENDING,
+   * по умолчанию - сетевая ошибка, если передана Cause, иначе нет сети
+   */
+  constructor(Message = "", Entry = {}, Cause = null, Reason = Cause ? QUEUE_REASON_NETWORK : QUEUE_REASON_OFFLINE) {
+    const Separator = Message ? " " : "";
+    const Details = {
+      [QUEUE_REASON_OFFLINE]: "Нет сети, запрос сохранен в очереди и будет отправлен позже!",
+      [QUEUE_REASON_NETWORK]: "Запрос не дошел до сервера, он сохранен в очереди и будет отправлен позже!",
+      [QUEUE_REASON_PENDING]: "В очереди есть неотправленные запросы, запрос сохранен в очереди и будет отправлен после них!",
+    };
+    super(Message + Separator + (Details[Reason] || Details[QUEUE_REASON_OFFLINE]));
+    this.name = "ErrorQueued";
+    this.id = Entry.Id || null;
+    this.idempotencyKey = Entry.IdempotencyKey || null;
+    this.cause = Cause;
+    this.reason = Reason;
+  }
+}
+
+export class ErrorOriginNotAllowed extends Error {
+  /**
+   * @param {string} Message 
+   * @param {string} Url адрес запроса
+   */
+  constructor(Message = "", Url = "") {
+    const Separator = Message ? " " : "";
+    super(Message + Separator + "Адрес не входит в список разрешенных для передачи токена: " + Url);
+    this.name = "ErrorOriginNotAllowed";
+    this.url = Url;
+  }
+}
+
 export class ErrorHTTPStatus extends Error {
-  constructor(Message = "", Status) {
+  /**
+   * @param {string} Message 
+   * @param {number} Status код ответа сервера
+   * @param {object} Details не обязательный параметр, подробности ответа: {
+   * headers, // {Headers} заголовки ответа
+   * body, // {*} тело ответа, разобранное как JSON, если это возможно, иначе строка
+   * problem, // {object|null} тело ответа в формате RFC 7807 (application/problem+json)
+   * method, // {string} метод запроса
+   * url, // {string} адрес запроса
+   * }
+   */
+  constructor(Message = "", Status, Details = {}) {
     const Separator = Message ? " " : "";
     super(Message + Separator + "Код ответа сервера: " + Status);
     this.name = "ErrorHTTPStatus";
     this.status = Status;
+    this.headers = Details.headers || null;
+    this.body = Details.body !== undefined ? Details.body : null;
+    this.problem = Details.problem || null;
+    this.method = Details.method || null;
+    this.url = Details.url || null;
+  }
+}
+
+export class ErrorGraphQL extends Error {
+  /**
+   * @param {string} Message 
+   * @param {array} Errors массив errors из ответа GraphQL
+   * @param {object} Details {
+   * data, // {*} данные, которые сервер успел вернуть вместе с ошибками
+   * operationName, // {string} имя операции
+   * }
+   */
+  constructor(Message = "", Errors = [], Details = {}) {
+    const Separator = Message ? " " : "";
+    const Messages = Errors.map(Err => Err && Err.message).filter(Boolean).join("; ");
+    super(Message + Separator + "Ошибка GraphQL" + (Messages ? ": " + Messages : "!"));
+    this.name = "ErrorGraphQL";
+    this.errors = Errors;
+    /**
+     * код первой ошибки (extensions.code), например BAD_USER_INPUT, FORBIDDEN
+     */
+    this.code = Errors.length ? getGraphQLErrorCode(Errors[0]) : null;
+    this.data = Details.data !== undefined ? Details.data : null;
+    this.operationName = Details.operationName || null;
+  }
+}
+
+export class ErrorInvalidGrant extends ErrorHTTPStatus {
+  constructor(Message = "", Status, Details = {}) {
+    const Separator = Message ? " " : "";
+    super(Message + Separator + "Сервер авторизации отклонил Refresh токен (invalid_grant)!", Status, Details);
+    this.name = "ErrorInvalidGrant";
+  }
+}
+
+export class ErrorRefreshFailed extends Error {
+  /**
+   * @param {string} Message 
+   * @param {object} Details {
+   * status, // {number|null} код ответа сервера, полученный другой вкладкой
+   * rejected, // {boolean} сервер отклонил Refresh токен, сессия закончилась
+   * }
+   */
+  constructor(Message = "", Details = {}) {
+    const Separator = Message ? " " : "";
+    super(Message + Separator + "Не удалось обновить токены в другой вкладке!");
+    this.name = "ErrorRefreshFailed";
+    this.status = Details.status || null;
+    this.rejected = Boolean(Details.rejected);
+  }
+}
+
+/**
+ * Декодирует полезную нагрузку (payload) JWT-токена без проверки подписи,
+ * 
+ * @param {string} Token JWT-токен вида header.payload.signature
+ * @returns {object|null} объект с полями payload или null, если токен не является JWT
+ */
+export function decodeJwtPayload(Token) {
+  if (typeof Token !== "string") {
+    return null;
+  }
+  const Parts = Token.split(".");
+  if (Parts.length !== 3) {
+    return null;
+  }
+  try {
+    const Base64 = Parts[1].replace(/-/g, "+").replace(/_/g, "/");
+    const Padded = Base64 + "=".repeat((4 - Base64.length % 4) % 4);
+    const Json = typeof atob === "function"
+      ? decodeURIComponent(Array.prototype.map.call(atob(Padded), Char => "%" + ("00" + Char.charCodeAt(0).toString(16)).slice(-2)).join(""))
+      : Buffer.from(Padded, "base64").toString("utf8");
+    const Payload = JSON.parse(Json);
+    return Payload && typeof Payload === "object" ? Payload : null;
+  } catch (Err) {
+    return null;
   }
 }
 
@@ -71,45 +406,164 @@ export class FetchViaJwt {
    * это обязательный параметр, но если в объекте настройки передана функция fetchTokens, 
    * то здесь может быть пустая строка 
    * @param {object} params объект с настройками экземпляра FetchViaJwt: {
+   * JwtLoginUrl, // {string} адрес для входа методом login, на него POST-запросом отправляются учетные данные
+   * JwtLogoutUrl, // {string} адрес для отзыва Refresh токена на сервере методом logout
+   * fetchLogin, // {function} можно передать функцию запроса входа, получает учетные данные, должна вернуть промис с объектом токенов
+   * fetchLogout, // {function} можно передать функцию запроса отзыва токенов, получает Refresh токен
+   * OAuth2, // {object} включает режим OAuth2: токены обновляются POST-запросом grant_type=refresh_token, { ClientId, ClientSecret, Scope }
+   * BaseUrl, // {string} базовый адрес, к которому добавляются относительные адреса запросов, в том числе JwtRefreshUrl
+   * AllowedOrigins, // {array} источники и префиксы адресов, которым передается Access токен: строки (https://api.site.ru, https://site.ru/api), RegExp или функции (Url) => boolean, по умолчанию - все адреса
+   * OriginPolicy, // {string} что делать с запросом на адрес не из AllowedOrigins: 'omit' - отправить без токена (по умолчанию), 'reject' - отклонить с ErrorOriginNotAllowed
+   * Origins, // {object} отдельные токены для других серверов: { "https://billing.site.ru": { JwtRefreshUrl, JwtAccessTokenName, Storage, fetchTokens, ... } }
+   * QueryFormat, // {object} формат строки запроса { ArrayFormat: 'repeat'|'brackets'|'comma', ObjectFormat: 'brackets'|'dot' }
    * JwtAccessTokenName, // {string} под этим именем должен приходить с сервера и будет сохраняться access-токен, по умолчанию JWT_ACCESS_TOKEN_NAME = "BEARER"
    * JwtRefreshTokenName, // {string} под этим именем должен приходить с сервера и будет сохраняться refresh-токен, по умолчанию JWT_REFRESH_TOKEN_NAME = "REFRESH"
-   * getAccessToken, // {function} можно передать функцию получения access-токена, по умолчанию берет из cookie 
-   * setAccessToken, // {function} можно передать функцию установки access-токена, по умолчанию помещает в cookie
-   * getRefreshToken, // {function} можно передать функцию получения refresh-токена, по умолчанию берет из localStorage
-   * setRefreshToken, // {function} можно передать функцию установки refresh-токена, по умолчанию помещает в localStorage
+   * AccessTokenHeader, // {string} заголовок ответа на запрос обновления токенов, из которого берется access-токен, если он есть в ответе, по умолчанию токен берется из тела
+   * Storage, // {object} адаптер хранилища { get, set, remove } для обоих токенов (см. Storages.js)
+   * AccessTokenStorage, // {object} адаптер хранилища access-токена, по умолчанию в браузере cookie, иначе память
+   * RefreshTokenStorage, // {object} адаптер хранилища refresh-токена, по умолчанию в браузере localStorage, иначе память
+   * getAccessToken, // {function} можно передать функцию получения access-токена, по умолчанию берет из AccessTokenStorage
+   * setAccessToken, // {function} можно передать функцию установки access-токена, по умолчанию помещает в AccessTokenStorage
+   * getRefreshToken, // {function} можно передать функцию получения refresh-токена, по умолчанию берет из RefreshTokenStorage
+   * setRefreshToken, // {function} можно передать функцию установки refresh-токена, по умолчанию помещает в RefreshTokenStorage
+   * removeAccessToken, // {function} можно передать функцию удаления access-токена, по умолчанию удаляет из AccessTokenStorage
+   * removeRefreshToken, // {function} можно передать функцию удаления refresh-токена, по умолчанию удаляет из RefreshTokenStorage
    * fetchTokens, // {function} можно передать функцию запроса к api обновления токенов, должна вернуть промис содержащий объект с парой новых ключей 
+   * transport, // {function} (Url, Init) => Promise<Response>, функция отправки запросов с интерфейсом стандартного fetch, по умолчанию fetch, для тестов - MockTransport.transport
    * MaxCallCount, // {number} ограничение на кол-во неудачных попыток запроса токенов, по умолчанию 3
-   * BeforeHandlers, // {array} массив функций, вызываемых перед каждым запросом
-   * AfterHandlers, // {array} массив функций, вызываемых после каждого запроса, аргументом в нее будет передаваться объект ответа от сервера
+   * RetryPolicy, // {object} политика повторов при сетевых ошибках, 5xx и 429, поля как у RETRY_POLICY, по умолчанию повторов нет
+   * extractErrorMessage, // {function} (Body, Response) => string, получает текст ошибки из тела ответа с кодом не 2xx
+   * ClockSkew, // {number} за сколько секунд до истечения срока (exp) Access токен обновляется заранее, по умолчанию 30
+   * RefreshCredentials, // {string} значение credentials запросов обновления и отзыва токенов, 'include' - Refresh токен хранится сервером в httpOnly cookie
+   * BeforeHandlers, // {array} массив функций, вызываемых перед каждым запросом, работают через перехватчик запроса
+   * AfterHandlers, // {array} массив функций, вызываемых после каждого запроса, аргументом в нее будет передаваться объект ответа от сервера, работают через перехватчик ответа
+   * RequestInterceptors, // {array} массив асинхронных перехватчиков запроса, (Request) => Request, могут менять Url, Method, Data, Headers, Config
+   * ResponseInterceptors, // {array} массив асинхронных перехватчиков ответа, (Response, Request) => Response
+   * ErrorInterceptors, // {array} массив асинхронных перехватчиков ошибок, (Error, Request) => Response, могут вернуть ответ вместо ошибки или выбросить ее дальше
+   * Cache, // {boolean|object} включает кеш и объединение одинаковых GET-запросов, { Ttl, StaleWhileRevalidate, MaxEntries } или экземпляр ResponseCache
+   * Scheduler, // {boolean|object} ограничивает кол-во одновременных запросов и включает приоритеты, { MaxConcurrent, MaxPerOrigin } или экземпляр RequestScheduler
+   * Dpop, // {boolean|object} включает DPoP (RFC 9449): токены привязываются к ключу клиента, { KeyPair } или экземпляр DpopSigner
+   * GraphQL, // {object} настройки метода graphql { Url, PersistedQueries, Batch, BatchInterval, BatchMax }, по умолчанию GRAPHQL_OPTIONS
+   * OfflineQueue, // {boolean|object} включает очередь POST, PUT, PATCH, DELETE запросов, не отправленных из-за отсутствия сети, { Storage, StorageKey, IdempotencyHeader, MaxAttempts } или экземпляр OfflineQueue
+   * Logger, // {object} журнал с методами debug, info, warn, error (например console), по умолчанию журнала нет
+   * LogLevel, // {string} минимальный уровень сообщений журнала: 'debug', 'info', 'warn', 'error', 'silent', по умолчанию 'info'
+   * RedactKeys, // {array} дополнительные имена полей и заголовков, значения которых скрываются в журнале
+   * onMetrics, // {function} получает метрики каждого запроса { Method, Url, Status, Duration, Retries, AuthReplays, Refreshed, Error }
+   * CrossTab, // {boolean|string} включает синхронизацию токенов между вкладками браузера, в строке можно передать имя канала
+   * LogoutHandlers, // {array} массив функций, вызываемых, когда токены удалены в другой вкладке
    * } 
    */
   constructor(JwtRefreshUrl, {
+    JwtLoginUrl,
+    JwtLogoutUrl,
+    fetchLogin,
+    fetchLogout,
+    OAuth2,
+    BaseUrl,
+    AllowedOrigins,
+    OriginPolicy,
+    Origins,
+    QueryFormat,
     JwtAccessTokenName,
     JwtRefreshTokenName,
+    AccessTokenHeader,
+    Storage,
+    AccessTokenStorage,
+    RefreshTokenStorage,
     getAccessToken,
     setAccessToken,
     getRefreshToken,
     setRefreshToken,
+    removeAccessToken,
+    removeRefreshToken,
     fetchTokens,
+    transport,
     MaxCallCount,
+    RetryPolicy,
+    extractErrorMessage,
+    ClockSkew,
+    RefreshCredentials,
     BeforeHandlers,
     AfterHandlers,
+    RequestInterceptors,
+    ResponseInterceptors,
+    ErrorInterceptors,
+    Cache,
+    GraphQL,
+    Dpop,
+    Scheduler,
+    OfflineQueue: OfflineQueueOptions,
+    Logger,
+    LogLevel,
+    RedactKeys,
+    onMetrics,
+    CrossTab,
+    LogoutHandlers,
   }) {
     this.JWT_REFRESH_URL = JwtRefreshUrl;
+    this.JWT_LOGIN_URL = JwtLoginUrl || "";
+    this.JWT_LOGOUT_URL = JwtLogoutUrl || "";
+    /**
+     * настройки режима OAuth2 { ClientId, ClientSecret, Scope } или null, если режим выключен
+     */
+    this.OAuth2 = OAuth2 || null;
+    this.BASE_URL = BaseUrl || "";
+    /**
+     * адреса, которым передается Access токен, или null - токен передается на любой адрес,
+     * относительные адреса и BASE_URL разрешены всегда
+     */
+    this.AllowedOrigins = AllowedOrigins ? [].concat(AllowedOrigins) : null;
+    this.OriginPolicy = OriginPolicy || ORIGIN_POLICY_OMIT;
+    this.QueryFormat = Object.assign({}, QUERY_FORMAT, QueryFormat || {});
 
     this.MAX_CALL_COUNT = MaxCallCount || MAX_CALL_COUNT;
+    this.CLOCK_SKEW = ClockSkew !== undefined ? ClockSkew : CLOCK_SKEW;
+    this.RefreshCredentials = RefreshCredentials;
+    this.RetryPolicy = Object.assign({}, RETRY_POLICY, RetryPolicy || {});
     this.JWT_ACCESS_TOKEN_NAME = JwtAccessTokenName || JWT_ACCESS_TOKEN_NAME;
     this.JWT_REFRESH_TOKEN_NAME = JwtRefreshTokenName || JWT_REFRESH_TOKEN_NAME;
+    /**
+     * заголовок ответа сервера обновления токенов с Access токеном, пустая строка - токен приходит в теле ответа
+     */
+    this.AccessTokenHeader = AccessTokenHeader || "";
+    this.AccessTokenStorage = AccessTokenStorage || Storage || createDefaultAccessTokenStorage();
+    this.RefreshTokenStorage = RefreshTokenStorage || Storage || createDefaultRefreshTokenStorage();
     this.getAccessToken = getAccessToken || this.getAccessTokenDefault;
     this.setAccessToken = setAccessToken || this.setAccessTokenDefault;
     this.getRefreshToken = getRefreshToken || this.getRefreshTokenDefault;
     this.setRefreshToken = setRefreshToken || this.setRefreshTokenDefault;
-    this.fetchTokens = fetchTokens || this.fetchTokensDefault;
+    this.removeAccessToken = removeAccessToken || this.removeAccessTokenDefault;
+    this.removeRefreshToken = removeRefreshToken || this.removeRefreshTokenDefault;
+    this.fetchTokens = fetchTokens || (this.OAuth2 ? this.fetchTokensOAuth2 : this.fetchTokensDefault);
+    this.fetchLogin = fetchLogin || this.fetchLoginDefault;
+    this.fetchLogout = fetchLogout || this.fetchLogoutDefault;
+    this.extractErrorMessage = extractErrorMessage || this.extractErrorMessageDefault;
+    this.transport = transport || this.transportDefault;
+    this.onMetrics = onMetrics || null;
+    /**
+     * журнал или null, значения заголовков Authorization, токенов и паролей в него не попадают
+     */
+    this.Logger = Logger || null;
+    this.LogLevel = LogLevel || "info";
+    this.RedactKeys = REDACT_KEYS
+      .concat([this.JWT_ACCESS_TOKEN_NAME, this.JWT_REFRESH_TOKEN_NAME], RedactKeys || [])
+      .map(Key => Key.toLowerCase());
 
     this.CommonHeaders = {};
 
     this.BeforeHandlers = BeforeHandlers || [];
     this.AfterHandlers = AfterHandlers || [];
+    this.LogoutHandlers = LogoutHandlers || [];
+
+    // BeforeHandlers и AfterHandlers подключаются первыми перехватчиками, 
+    // поэтому они продолжают работать, как раньше,
+    // перехватчик для AfterHandlers читает копию тела, поэтому подключается, только если обработчики переданы
+    this.RequestInterceptors = [() => this.startBeforeHandlers()].concat(RequestInterceptors || []);
+    this.ResponseInterceptors = (this.AfterHandlers.length
+      ? [(Resp, Request) => this.startAfterHandlersOnResponse(Resp, Request)]
+      : []
+    ).concat(ResponseInterceptors || []);
+    this.ErrorInterceptors = [].concat(ErrorInterceptors || []);
 
     this.AuthorizationFlag = true;
     this.CheckBearerInHeaderFlag = false;
@@ -119,12 +573,135 @@ export class FetchViaJwt {
      * в то время как стандартное поведение fetch просто возвращает ответ
      */
     this.ErrorWhenNot2xxFlag = true;
+    /**
+     * Промис текущего запроса обновления токенов,
+     * пока он не завершен, все запросы, получившие 401, ждут именно его,
+     * а не запрашивают токены повторно (Refresh токен одноразовый)
+     */
+    this.RefreshPromise = null;
+    /**
+     * последний полученный от сервера Access токен { Token, ReceivedAt, ExpiresAt }:
+     * ExpiresAt - срок из поля expires_in ответа (или null), используется, если сам токен не является JWT с полем exp,
+     * ReceivedAt - время получения, по нему известен срок жизни токена, см. this.getClockSkew
+     */
+    this.AccessTokenExpiry = null;
+    /**
+     * события сессии: tokensRefreshed, sessionExpired, loggedIn, loggedOut,
+     * подписаться можно методами on, once, off
+     */
+    this.Events = new EventEmitter();
+    /**
+     * флаг, что событие sessionExpired уже отправлено и больше не повторяется до получения новых токенов
+     */
+    this.SessionExpiredFlag = false;
+    /**
+     * через этот контроллер logout отменяет все выполняющиеся запросы
+     */
+    this.SessionController = new AbortController();
+    /**
+     * кеш ответов GET-запросов или null, если кеш выключен,
+     * записи разделены по пользователю (поле sub Access токена), поэтому ответы одного пользователя не достанутся другому
+     */
+    this.Cache = Cache
+      ? (Cache instanceof ResponseCache ? Cache : new ResponseCache(Cache === true ? {} : Cache))
+      : null;
+    /**
+     * настройки метода graphql и пакеты операций, ожидающие отправки
+     */
+    this.GraphQL = Object.assign({}, GRAPHQL_OPTIONS, GraphQL || {});
+    /**
+     * очередь запросов с ограничением одновременных запросов и приоритетами (Config.priority) или null, если она выключена,
+     * на время обновления токенов очередь останавливается
+     */
+    this.Scheduler = Scheduler
+      ? (Scheduler instanceof RequestScheduler ? Scheduler : new RequestScheduler(Scheduler === true ? {} : Scheduler))
+      : null;
+    /**
+     * создает доказательства DPoP для запросов с токеном и для запросов к серверу авторизации, null - DPoP выключен,
+     * токен в этом режиме передается как Authorization: DPoP <token>
+     */
+    this.Dpop = Dpop
+      ? (Dpop instanceof DpopSigner ? Dpop : new DpopSigner(Dpop === true ? {} : Dpop))
+      : null;
+    this.GraphQLBatcher = new GraphQLBatcher({
+      Interval: this.GraphQL.BatchInterval,
+      MaxSize: this.GraphQL.BatchMax,
+      send: (Operations, Context) => Context.Client.sendGraphQLBatch(Operations, Context),
+    });
+    /**
+     * очередь изменяющих запросов, не отправленных из-за отсутствия сети, или null, если она выключена,
+     * запросы из нее отправляются по порядку при появлении сети, после login и методом replayOfflineQueue
+     */
+    this.OfflineQueue = OfflineQueueOptions
+      ? (OfflineQueueOptions instanceof OfflineQueue
+        ? OfflineQueueOptions
+        : new OfflineQueue(OfflineQueueOptions === true ? {} : OfflineQueueOptions))
+      : null;
+    /**
+     * промис текущей отправки запросов из очереди и промис следующей отправки, запрошенной во время текущей
+     */
+    this.ReplayPromise = null;
+    this.NextReplayPromise = null;
+    /**
+     * сколько отправок очереди подряд остановилось на ошибке и время (мс), раньше которого
+     * отправка не запускается автоматически (новым запросом или после login), см. OfflineQueue.getReplayDelay
+     */
+    this.ReplayFailures = 0;
+    this.ReplayPausedUntil = 0;
+    /**
+     * таймер первой отправки запросов из очереди, logout его отменяет
+     */
+    this.ReplayTimer = null;
+    /**
+     * обработчик события online, destroy от него отписывается
+     */
+    this.OnlineListener = null;
+    /**
+     * true после вызова destroy
+     */
+    this.DestroyedFlag = false;
+    if (this.OfflineQueue) {
+      if (typeof window !== "undefined" && window.addEventListener) {
+        // появилась сеть - отправка уже не упадет на прежней ошибке, пауза не нужна
+        this.OnlineListener = () => {
+          this.ReplayPausedUntil = 0;
+          this.startOfflineReplay();
+        };
+        window.addEventListener("online", this.OnlineListener);
+      }
+      // запросы, оставшиеся в очереди с прошлой загрузки страницы,
+      // отправляем после того, как приложение подпишется на события
+      this.ReplayTimer = setTimeout(() => {
+        this.ReplayTimer = null;
+        this.startOfflineReplay();
+      });
+    }
+    /**
+     * клиенты для других серверов со своими токенами [{ Origin, Client }],
+     * запросы на их адреса выполняются через их fetchCounted, токены хранятся с префиксом хоста
+     */
+    this.OriginClients = Object.keys(Origins || {}).map(Origin => ({
+      Origin,
+      Client: this.createOriginClient(Origin, Origins[Origin]),
+    }));
+    /**
+     * Синхронизация с другими вкладками, если включен режим CrossTab:
+     * токены обновляет только одна вкладка, новые токены и выход пользователя передаются остальным
+     */
+    this.TabSync = CrossTab
+      ? new TabSync(
+        typeof CrossTab === "string" ? CrossTab : TAB_SYNC_CHANNEL_NAME + ":" + this.JWT_ACCESS_TOKEN_NAME,
+        Message => this.onTabMessage(Message)
+      )
+      : null;
   }
 
   /**
    * Включает или отключает флаг авторизации, т.е. флаг, который указывает, что с каждым запросом 
    * нужно добавлять заголовок Authorization с Bearer ключом.
-   * По умолчанию AuthorizationFlag = true - заголовок передается
+   * По умолчанию AuthorizationFlag = true - заголовок передается.
+   * Флаг действует на все запросы объекта, в том числе уже отправленные, 
+   * для одного запроса вместо него используйте Config.auth = false или клиент из this.extend({ auth: false })
    * 
    * @param {boolean} AuthorizationFlag - значение, в которое будет установлен this.AuthorizationFlag, 
    * по умолчанию true
@@ -136,7 +713,8 @@ export class FetchViaJwt {
   /**
    * Если этот флаг установить в true, то при запросе обновления Access токена,
    * в заголовке ответа будет проверяться наличие JWT_ACCESS_TOKEN_NAME,
-   * и если он там присутсвует, то именно это значение вернется в объекте с новым токеном
+   * и если он там присутсвует, то именно это значение вернется в объекте с новым токеном,
+   * то же самое, что параметр AccessTokenHeader = JWT_ACCESS_TOKEN_NAME, см. this.mapRefreshResponse
    * 
    * @param {boolean} CheckBearerInHeaderFlag 
    */
@@ -144,6 +722,281 @@ export class FetchViaJwt {
     this.CheckBearerInHeaderFlag = CheckBearerInHeaderFlag;
   }
 
+  /**
+   * Добавляет асинхронный перехватчик запроса,
+   * он получает объект запроса { Url, Method, Data, Headers, Config } 
+   * и может вернуть новый объект запроса (или промис с ним), 
+   * если ничего не вернет, то запрос останется прежним (но изменения в полученном объекте сохранятся)
+   * 
+   * @param {function} Interceptor 
+   */
+  addRequestInterceptor(Interceptor) {
+    this.RequestInterceptors.push(Interceptor);
+  }
+  /**
+   * Добавляет асинхронный перехватчик ответа,
+   * он получает необработанный ответ сервера (Response) и объект запроса,
+   * и может вернуть другой объект Response (или промис с ним)
+   * 
+   * @param {function} Interceptor 
+   */
+  addResponseInterceptor(Interceptor) {
+    this.ResponseInterceptors.push(Interceptor);
+  }
+  /**
+   * Добавляет асинхронный перехватчик ошибок,
+   * он получает ошибку и объект запроса,
+   * может восстановить запрос, вернув объект Response (или промис с ним),
+   * может выбросить новую ошибку, которую получат следующие перехватчики,
+   * если ничего не вернет, то ошибка передается дальше без изменений
+   * 
+   * @param {function} Interceptor 
+   */
+  addErrorInterceptor(Interceptor) {
+    this.ErrorInterceptors.push(Interceptor);
+  }
+
+  /**
+   * Выполняет запрос через цепочку перехватчиков:
+   * сначала по очереди вызываются перехватчики запроса,
+   * затем функция Send с итоговым объектом запроса,
+   * затем перехватчики ответа, а при любой ошибке - перехватчики ошибок
+   * 
+   * @param {object} Request объект запроса { Url, Method, Data, Headers, Config }
+   * @param {function} Send функция, которая выполняет запрос и возвращает промис с объектом Response
+   * @returns {Promise} промис с объектом Response
+   */
+  async sendWithInterceptors(Request, Send) {
+    let CurrentRequest = Object.assign({}, Request, {
+      Headers: Object.assign({}, Request.Headers || {}),
+      Config: Object.assign({}, Request.Config || {}),
+    });
+    try {
+      for (const Interceptor of this.RequestInterceptors) {
+        CurrentRequest = (await Interceptor(CurrentRequest)) || CurrentRequest;
+      }
+      let Resp = await Send(CurrentRequest);
+      for (const Interceptor of this.ResponseInterceptors) {
+        Resp = (await Interceptor(Resp, CurrentRequest)) || Resp;
+      }
+      return Resp;
+    } catch (Err) {
+      return this.runErrorInterceptors(Err, CurrentRequest);
+    }
+  }
+  /**
+   * Передает ошибку по цепочке перехватчиков ошибок,
+   * первый перехватчик, вернувший значение, восстанавливает запрос - это значение и будет ответом,
+   * если никто не восстановил запрос, то выбрасывается последняя ошибка
+   * 
+   * @param {Error} Err 
+   * @param {object} Request объект запроса { Url, Method, Data, Headers, Config }
+   * @returns {Promise} промис с объектом Response
+   */
+  async runErrorInterceptors(Err, Request) {
+    let CurrentError = Err;
+    for (const Interceptor of this.ErrorInterceptors) {
+      try {
+        const Result = await Interceptor(CurrentError, Request);
+        if (Result !== undefined) {
+          return Result;
+        }
+      } catch (NewErr) {
+        CurrentError = NewErr;
+      }
+    }
+    throw CurrentError;
+  }
+
+  /**
+   * Подписывает обработчик на событие сессии
+   * (EVENT_TOKENS_REFRESHED, EVENT_SESSION_EXPIRED, EVENT_LOGGED_IN, EVENT_LOGGED_OUT)
+   * 
+   * @param {string} EventName имя события
+   * @param {function} Listener обработчик
+   * @returns {function} функция, вызов которой отписывает обработчик
+   */
+  on(EventName, Listener) {
+    return this.Events.on(EventName, Listener);
+  }
+  /**
+   * Подписывает обработчик на событие сессии, он будет вызван только один раз
+   * 
+   * @param {string} EventName имя события
+   * @param {function} Listener обработчик
+   * @returns {function} функция, вызов которой отписывает обработчик
+   */
+  once(EventName, Listener) {
+    return this.Events.once(EventName, Listener);
+  }
+  /**
+   * Отписывает обработчик от события сессии
+   * 
+   * @param {string} EventName имя события
+   * @param {function} Listener обработчик
+   */
+  off(EventName, Listener) {
+    this.Events.off(EventName, Listener);
+  }
+
+  /**
+   * Выполняет вход: отправляет учетные данные через this.fetchLogin,
+   * сохраняет полученную пару токенов, в режиме CrossTab передает их другим вкладкам
+   * и отправляет событие loggedIn
+   * 
+   * @param {object} Credentials учетные данные, например { login, password }
+   * @returns {Promise} промис с объектом токенов
+   */
+  async login(Credentials) {
+    const Tokens = await this.fetchLogin(Credentials);
+    this.storeTokens(Tokens);
+    if (this.TabSync) {
+      this.TabSync.post({ type: TAB_MESSAGE_TOKENS, Tokens });
+    }
+    this.log("info", "[login] Вход выполнен");
+    this.Events.emit(EVENT_LOGGED_IN, Tokens);
+    this.startOfflineReplay();
+    return Tokens;
+  }
+  /**
+   * Выполняет выход: отменяет все выполняющиеся запросы,
+   * отзывает Refresh токен на сервере через this.fetchLogout (ошибка отзыва выход не прерывает),
+   * удаляет токены из хранилищ (в режиме CrossTab - во всех вкладках)
+   * и отправляет событие loggedOut
+   * 
+   * @returns {Promise}
+   */
+  async logout() {
+    const RefreshToken = this.getRefreshToken();
+    // запросы из очереди принадлежат выходящему пользователю и не должны уйти во время выхода
+    clearTimeout(this.ReplayTimer);
+    this.ReplayTimer = null;
+    this.abortPendingRequests();
+    try {
+      await this.fetchLogout(RefreshToken);
+    } catch (Err) {
+      // сессию на клиенте завершаем в любом случае
+      this.log("warn", "[logout] Не удалось отозвать Refresh токен", { Error: Err });
+    } finally {
+      this.clearTokens();
+      // выход из приложения завершает сессии и на остальных серверах, их logout ошибок не выбрасывает
+      await Promise.all(this.OriginClients.map(Item => Item.Client.logout()));
+      // запросы из очереди принадлежат вышедшему пользователю
+      if (this.OfflineQueue) {
+        this.OfflineQueue.clear();
+      }
+      this.log("info", "[logout] Выход выполнен");
+      this.Events.emit(EVENT_LOGGED_OUT, { Remote: false });
+    }
+  }
+  /**
+   * Функция запроса входа по умолчанию,
+   * отправляет учетные данные POST-запросом на this.JWT_LOGIN_URL,
+   * в ответе должна быть JSON-строка с объектом токенов
+   * 
+   * @param {object} Credentials учетные данные
+   * @returns {Promise} промис с объектом токенов
+   */
+  async fetchLoginDefault(Credentials) {
+    const Resp = await this.simplePost(this.JWT_LOGIN_URL, Credentials, {}, { dpop: {}, retry: false });
+    if (!Resp.ok) {
+      throw await this.createHTTPStatusError(Resp, "POST", this.JWT_LOGIN_URL);
+    }
+    const Result = await Resp.json();
+    return this.OAuth2 ? this.mapOAuth2Tokens(Result) : Result;
+  }
+  /**
+   * Функция отзыва Refresh токена по умолчанию,
+   * если задан this.JWT_LOGOUT_URL, то отправляет на него POST-запрос с Refresh токеном,
+   * и, если есть, с Access токеном в заголовке Authorization
+   * 
+   * @param {string} RefreshToken 
+   * @returns {Promise}
+   */
+  async fetchLogoutDefault(RefreshToken) {
+    if (!this.JWT_LOGOUT_URL) {
+      return;
+    }
+    const Headers = {};
+    const AccessToken = this.getAccessToken(this.JWT_ACCESS_TOKEN_NAME);
+    if (AccessToken) {
+      Headers["Authorization"] = this.getAuthorizationHeader(AccessToken);
+    }
+    const Data = RefreshToken ? { [this.JWT_REFRESH_TOKEN_NAME]: RefreshToken } : null;
+    const Resp = await this.simplePost(this.JWT_LOGOUT_URL, Data, Headers, {
+      dpop: { AccessToken },
+      retry: false,
+      credentials: this.RefreshCredentials,
+    });
+    if (!Resp.ok) {
+      throw await this.createHTTPStatusError(Resp, "POST", this.JWT_LOGOUT_URL);
+    }
+  }
+  /**
+   * Освобождает ресурсы объекта: отменяет выполняющиеся запросы и ожидающие пакеты GraphQL,
+   * останавливает отправку очереди, отписывается от события online и закрывает канал TabSync,
+   * то же делается для клиентов из Origins.
+   * Токены и очередь не удаляются (для этого есть logout), после вызова объект больше не используется
+   */
+  destroy() {
+    if (this.DestroyedFlag) {
+      return;
+    }
+    this.DestroyedFlag = true;
+    clearTimeout(this.ReplayTimer);
+    this.ReplayTimer = null;
+    if (this.OnlineListener) {
+      window.removeEventListener("online", this.OnlineListener);
+      this.OnlineListener = null;
+    }
+    this.abortPendingRequests();
+    this.GraphQLBatcher.clear(new ErrorAbort("[destroy]"));
+    if (this.TabSync) {
+      this.TabSync.close();
+    }
+    this.OriginClients.forEach(Item => Item.Client.destroy());
+    this.log("debug", "[destroy] Объект освобожден");
+  }
+  /**
+   * Отменяет все выполняющиеся запросы, они будут отклонены с ErrorAbort,
+   * новые запросы после этого выполняются как обычно
+   */
+  abortPendingRequests() {
+    const Controller = this.SessionController;
+    this.SessionController = new AbortController();
+    Controller.abort();
+  }
+  /**
+   * Сообщает о завершении сессии событием sessionExpired (один раз до получения новых токенов),
+   * при необходимости удаляет токены
+   * 
+   * @param {Error} Err ошибка, из-за которой сессия завершилась
+   * @param {boolean} ClearTokensFlag удалить ли токены, по умолчанию false
+   */
+  expireSession(Err, ClearTokensFlag = false) {
+    if (ClearTokensFlag) {
+      this.clearTokens();
+    }
+    if (this.SessionExpiredFlag) {
+      return;
+    }
+    this.SessionExpiredFlag = true;
+    this.log("warn", "[expireSession] Сессия завершена", { Error: Err });
+    this.Events.emit(EVENT_SESSION_EXPIRED, Err);
+  }
+  /**
+   * Проверяет, что ошибка обновления токенов означает, что сервер отклонил Refresh токен,
+   * т.е. повторять обновление бесполезно
+   * 
+   * @param {Error} Err 
+   * @returns {boolean}
+   */
+  isRefreshRejected(Err) {
+    return Err instanceof Error401
+      || (Err instanceof ErrorHTTPStatus && [400, 401, 403].indexOf(Err.status) !== -1)
+      || (Err instanceof ErrorRefreshFailed && Err.rejected);
+  }
+
   /**
    * добавляет заголовки, которые будут устанавливаться с каждым запросом
    * 
@@ -171,6 +1024,32 @@ export class FetchViaJwt {
       this.AfterHandlers.forEach(Item => Item(ResponseResult));
     }
   }
+  /**
+   * перехватчик ответа для совместимости с AfterHandlers:
+   * если ответ успешный и запрошен в формате JSON (responseType = 'json'), то разбирает копию ответа,
+   * как this.parseResponse, и передает результат в this.startAfterHandlers,
+   * остальные ответы (raw, stream, text...) не читаются, ошибка разбора JSON отклоняет запрос, как и без обработчиков
+   * 
+   * @param {object} Resp ответ сервера, объект Response
+   * @param {object} Request объект запроса { Url, Method, Data, Headers, Config }
+   * @returns {Promise}
+   */
+  startAfterHandlersOnResponse(Resp, Request) {
+    const ResponseType = (Request && Request.Config && Request.Config.responseType) || "json";
+    if (!this.AfterHandlers.length || !Resp || !Resp.ok || ResponseType !== "json") {
+      return Promise.resolve();
+    }
+    return this.parseResponse(Resp.clone(), ResponseType)
+      .then(Result => this.startAfterHandlers(Result));
+  }
+  /**
+   * запускает каждую функцию из массива this.LogoutHandlers
+   */
+  startLogoutHandlers() {
+    if (this.LogoutHandlers.length) {
+      this.LogoutHandlers.forEach(Item => Item());
+    }
+  }
 
   /**
    * Получает данные методом GET с проверкой авторизации,
@@ -185,8 +1064,8 @@ export class FetchViaJwt {
    * все пары {ключ: значение} из объекта Data будут добавлены в строку GET-запроса
    * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса,
    * заголовок Content-Type автоматически устанавливается в application/json
-   * @param {object} Config конфигурация обращения к серверу для стандартной JS-функции fetch
-   * @returns {Promise} промис, содержащий объект с данными
+   * @param {object} Config конфигурация запроса, поля описаны у fetchJSON
+   * @returns {Promise} промис, содержащий объект с данными, для пустого ответа или 204 - null
    */
   get(Url, Data = null, Headers = {}, Config = {}) {
     return this.getJSON(Url, Data, Headers, Config);
@@ -203,20 +1082,18 @@ export class FetchViaJwt {
    * все пары {ключ: значение} из объекта Data будут добавлены в строку GET-запроса
    * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса,
    * заголовок Content-Type автоматически устанавливается в application/json
-   * @param {object} Config конфигурация обращения к серверу для стандартной JS-функции fetch
-   * @returns {Promise} промис, содержащий объект с данными
+   * @param {object} Config конфигурация запроса, поля описаны у fetchJSON
+   * @returns {Promise} промис, содержащий объект с данными, для пустого ответа или 204 - null
    */
-  async getJSON(Url, Data = null, Headers = {}, Config = {}) {
-    this.startBeforeHandlers();
-    const Response = await this.getCounted(Url, "GET", Data, Headers, Config);
-    const Result = await Response.json();
-    this.startAfterHandlers(Result);
-    return Result;
+  getJSON(Url, Data = null, Headers = {}, Config = {}) {
+    return this.fetchJSON(Url, "GET", Data, Headers, Config);
   }
   /**
    * Делает GET-запрос данные на сервер, в случае ошибки, точнее ответа 401.
    * вызывает refreshTokensAndRepeatRequest, и после повторно вызывает себя с этими же аргументами,
    * если ответ будет приходить с кодом 401 постоянно, 
+   * фактически это alias для this.fetchCounted(Url, Method, Data, Headers, Config, Count),
+   * оставлен для совместимости
    * 
    * @param {string} Url адрес запроса
    * @param {string} Method метод запроса, этот аргумент здесь нужен для совместимости с refreshTokensAndRepeatRequest
@@ -227,139 +1104,1334 @@ export class FetchViaJwt {
    * @returns {Promise} необработанный ответ сервера, который возвращает стандарнтный fetch
    */
   getCounted(Url, Method = "GET", Data = null, Headers = {}, Config = {}, Count = 0) {
-    console.log("[getCounted] =====> Method: ", Method);
-    // эта функция вызывается рекурсивно, прибавляя при каждом вызове 1 к Count
-    // если кол-во превысит MAX_CALL_COUNT, то выбрасываем исключение
-    if (Count >= this.MAX_CALL_COUNT) {
-      throw new ErrorMaxCallCount("[getCounted]");
+    this.log("debug", "[getCounted]", { Method });
+    return this.fetchCounted(Url, Method, Data, Headers, Config, Count);
+  }
+
+  /**
+   * Получает данные с сервера, вызывая this.fetchCounted (которая в свою очередь вызываяет стандартный fetch,
+   * предварительно проверяет токены и обновляет их при необходимости),
+   * затем полученные результаты "прогоняет" через JSON парсинг и возвращает промис,
+   * уже содержащий нормальный JS-объект вместо строки JSON.
+   * Внимание! Сервер по этому адресу должен возвращать именно JSON-строку
+   * 
+   * @param {string} Url адрес запроса
+   * @param {string} Method метод запроса
+   * @param {object} Data данные (тело) зароса
+   * @param {object} Headers заголовки запроса
+   * @param {object} Config конфигурация запроса, общая для всех методов (get, post, put, patch, delete, head, options, request),
+   * поля стандартного fetch (mode, cache, credentials, redirect, referrerPolicy) и {
+   * signal, // {AbortSignal} отмена запроса, включая ожидание обновления токенов и повторы
+   * timeout, // {number} ограничение времени всего запроса в мс, при превышении - ErrorTimeout
+   * responseType, // {string} формат результата: 'json' (по умолчанию), 'text', 'blob', 'arrayBuffer', 'stream' или 'raw'
+   * params, // {object} значения параметров пути (/users/:id)
+   * query, // {object} объект для строки запроса
+   * auth, // {boolean} false - запрос без заголовка Authorization
+   * skipRefresh, // {boolean} true - без обновления токенов, ответ 401 возвращается как есть
+   * throwOnNon2xx, // {boolean} отклонять ли промис при ответе с кодом не 2xx, вместо ErrorWhenNot2xxFlag
+   * invalidate, // записи кеша, удаляемые после успешного изменяющего запроса, cache = 'no-store' или 'reload' - без кеша
+   * offlineQueue, // {boolean} false - запрос не сохраняется в очереди без сети
+   * retry, // {boolean} false - запрос не повторяется по RetryPolicy
+   * priority, // {string|number} приоритет в очереди Scheduler: 'high', 'normal', 'low' или число
+   * onUploadProgress, // {function} прогресс отправки тела запроса { Loaded, Total, Progress }
+   * onDownloadProgress, // {function} прогресс получения тела ответа { Loaded, Total, Progress }
+   * }
+   * @returns {Promise}
+   */
+  fetchJSON(Url, Method, Data = null, Headers = {}, Config = {}) {
+    return this.withAbortScope(Config, async (ScopedConfig) => {
+      const Started = Date.now();
+      if (!RequestStats.has(ScopedConfig.signal)) {
+        RequestStats.set(ScopedConfig.signal, { Retries: 0, AuthReplays: 0, Refreshed: false });
+      }
+      let Status = null;
+      let ErrorName = null;
+      this.log("debug", "[fetchJSON] " + Method + " " + Url, { Headers });
+      try {
+        const Original = { Url, Method, Data, Headers, Config: ScopedConfig };
+        const Response = await this.sendWithInterceptors(Original, Request => this.sendRequest(Request, Original));
+        Status = Response.status;
+        return await this.parseResponse(
+          this.trackDownloadProgress(Response, ScopedConfig.onDownloadProgress),
+          ScopedConfig.responseType
+        );
+      } catch (Err) {
+        Status = Err.status || Status;
+        ErrorName = Err.name;
+        throw Err;
+      } finally {
+        const Stats = RequestStats.get(ScopedConfig.signal);
+        this.reportMetrics({
+          Method,
+          // шаблон адреса без строки запроса, в ней могут быть персональные данные
+          Url: String(Url || "").split("?")[0],
+          Status,
+          Duration: Date.now() - Started,
+          // ответ из кеша - 0 и 0
+          Retries: Stats.Retries,
+          AuthReplays: Stats.AuthReplays,
+          Refreshed: Stats.Refreshed,
+          Error: ErrorName,
+        });
+      }
+    });
+  }
+  /**
+   * Если передана функция onDownloadProgress, то возвращает копию ответа (с теми же status, headers, url, redirected и type),
+   * при чтении тела которой в нее передается прогресс { Loaded, Total, Progress },
+   * Total берется из Content-Length, если его нет, то Total и Progress равны null
+   * 
+   * @param {object} Resp ответ сервера, объект Response
+   * @param {function} onDownloadProgress не обязательный параметр
+   * @returns {object} объект Response
+   */
+  trackDownloadProgress(Resp, onDownloadProgress) {
+    if (!onDownloadProgress || !Resp || !Resp.body) {
+      return Resp;
+    }
+    const Length = Number(Resp.headers.get("Content-Length"));
+    const Total = Length > 0 ? Length : null;
+    const Reader = Resp.body.getReader();
+    let Loaded = 0;
+    const Body = new ReadableStream({
+      async pull(Controller) {
+        const { done, value } = await Reader.read();
+        if (done) {
+          Controller.close();
+          return;
+        }
+        Loaded += value.byteLength;
+        try {
+          onDownloadProgress(createProgressEvent(Loaded, Total));
+        } catch (Err) {
+          // ошибка в обработчике не должна прерывать чтение ответа
+          setTimeout(() => { throw Err; });
+        }
+        Controller.enqueue(value);
+      },
+      cancel(Reason) {
+        return Reader.cancel(Reason);
+      },
+    });
+    const Copy = new Response(Body, { status: Resp.status, statusText: Resp.statusText, headers: Resp.headers });
+    // конструктор Response не принимает url, redirected и type, копия получает их от исходного ответа
+    ["url", "redirected", "type"].forEach(Key => Object.defineProperty(Copy, Key, { value: Resp[Key], enumerable: true }));
+    return Copy;
+  }
+  /**
+   * передает метрики запроса в this.onMetrics и в журнал (уровень debug),
+   * ошибка в onMetrics не влияет на запрос и выбрасывается асинхронно
+   * 
+   * @param {object} Metrics { Method, Url, Status, Duration, Retries, AuthReplays, Refreshed, Error }
+   */
+  reportMetrics(Metrics) {
+    this.log("debug", "[fetchJSON] " + Metrics.Method + " " + Metrics.Url + " " + Metrics.Status + " " + Metrics.Duration + " мс", Metrics);
+    if (!this.onMetrics) {
+      return;
+    }
+    try {
+      this.onMetrics(Metrics);
+    } catch (Err) {
+      setTimeout(() => { throw Err; });
+    }
+  }
+  /**
+   * Записывает сообщение в this.Logger, если его уровень не ниже this.LogLevel,
+   * значения из this.RedactKeys, Bearer-токены и JWT в Context скрываются
+   * 
+   * @param {string} Level уровень: 'debug', 'info', 'warn', 'error'
+   * @param {string} Message сообщение
+   * @param {object} Context не обязательный параметр, подробности
+   */
+  log(Level, Message, Context) {
+    if (!this.Logger || LOG_LEVELS[Level] < (LOG_LEVELS[this.LogLevel] || 0)) {
+      return;
+    }
+    const Write = this.Logger[Level] || this.Logger.log;
+    if (typeof Write !== "function") {
+      return;
+    }
+    try {
+      if (Context === undefined) {
+        Write.call(this.Logger, redact(Message, this.RedactKeys));
+      } else {
+        Write.call(this.Logger, redact(Message, this.RedactKeys), redact(Context, this.RedactKeys));
+      }
+    } catch (Err) {
+      // ошибка журнала не должна прерывать запрос
+    }
+  }
+  /**
+   * Запрашивает данные на сервере, в случае ошибки, точнее ответа 401.
+   * вызывает refreshTokensAndRepeatRequest, и после повторно вызывает себя с этими же аргументами,
+   * если ответ будет приходить с кодом 401 постоянно, 
+   * то стоит проверка (ограничение) на кол-во рекурсивных вызовов - this.MAX_CALL_COUNT
+   * 
+   * @param {string} Url адрес запроса
+   * @param {string} Method метод запроса
+   * @param {object} Data данные (тело) зароса
+   * @param {object} Headers заголовки запроса
+   * @param {object} Config конфигурация обращения к серверу для стандартной JS-функции fetch
+   * @param {number} Count - служебное поле, используется для подсчета кол-ва вызовов
+   * @returns {Promise} необработанный ответ сервера, который возвращает стандарнтный fetch
+   */
+  fetchCounted(Url, Method, Data = null, Headers = {}, Config = {}, Count = 0) {
+    return this.withAbortScope(Config, (ScopedConfig) => {
+      // эта функция вызывается рекурсивно, прибавляя при каждом вызове 1 к Count
+      // если кол-во превысит MAX_CALL_COUNT, то выбрасываем исключение,
+      // в области запроса fetchJSON используется общий счетчик повторов, в нем есть и повторы sendGraphQL
+      const Stats = RequestStats.get(ScopedConfig.signal);
+      if ((Stats ? Stats.AuthReplays : Count) >= this.MAX_CALL_COUNT) {
+        const Err = new ErrorMaxCallCount("[fetchCounted]");
+        this.expireSession(Err);
+        throw Err;
+      }
+      // запрос без токена (в том числе на адрес не из AllowedOrigins) или с skipRefresh обновлять токены не должен,
+      // ответ 401 для него - обычный ответ с кодом не 2xx
+      const NoRefresh = ScopedConfig.auth === false
+        || Boolean(ScopedConfig.skipRefresh)
+        || !this.isOriginAllowed(this.buildRequestUrl(Url, ScopedConfig));
+      const Request = this.fetchViaJwt(Url, Method, Data, Headers, ScopedConfig)
+        .then(Resp => NoRefresh ? Resp : this.onResponseCheck401(Resp))
+        .then(Resp => this.checkResponseStatus(Resp, Method, Url, ScopedConfig.throwOnNon2xx));
+      if (NoRefresh) {
+        return Request;
+      }
+      // this.refreshTokensAndRepeatRequest - возвращает функцию, поэтому в catch попадает именно функция-обработчик ошибки
+      return Request
+        .catch(this.refreshTokensAndRepeatRequest(Url, Method, Data, Headers, ScopedConfig, this.fetchCounted, Count + 1));
+    });
+  }
+
+  /**
+   * Отправляет запрос после перехватчиков:
+   * GET-запросы при включенном кеше идут через this.fetchCached (кроме Config.cache 'no-store' и 'reload'),
+   * изменяющие запросы при включенной очереди - через this.sendOrEnqueue (кроме Config.offlineQueue = false),
+   * остальные - через this.sendAndInvalidate
+   * 
+   * @param {object} Request объект запроса { Url, Method, Data, Headers, Config }
+   * @param {object} Original запрос до перехватчиков, его сохраняет очередь, по умолчанию Request
+   * @returns {Promise} промис с объектом Response
+   */
+  sendRequest(Request, Original = Request) {
+    const { Url, Data, Headers, Config } = Request;
+    const Method = (Request.Method || "GET").toUpperCase();
+    if (this.Cache && Method === "GET" && Config.cache !== "no-store" && Config.cache !== "reload") {
+      return this.fetchCached(Url, Data, Headers, Config);
+    }
+    if (this.OfflineQueue && Config.offlineQueue !== false && this.OfflineQueue.accepts(Method, Data)) {
+      return this.sendOrEnqueue(Url, Method, Data, Headers, Config, Original);
+    }
+    return this.sendAndInvalidate(Url, Method, Data, Headers, Config);
+  }
+  /**
+   * Отправляет запрос через this.fetchCounted, после успешного изменяющего запроса
+   * из кеша удаляются записи с тем же путем и записи, подходящие под Config.invalidate
+   * 
+   * @param {string} Url адрес запроса
+   * @param {string} Method метод запроса
+   * @param {object} Data данные запроса
+   * @param {object} Headers заголовки запроса
+   * @param {object} Config конфигурация запроса
+   * @returns {Promise} промис с объектом Response
+   */
+  sendAndInvalidate(Url, Method, Data, Headers, Config) {
+    return this.fetchRouted(Url, Method, Data, Headers, Config).then((Resp) => {
+      if (this.Cache && ["GET", "HEAD", "OPTIONS", "TRACE"].indexOf(Method) === -1) {
+        const Path = this.buildRequestUrl(Url, Config).split("?")[0];
+        this.Cache.invalidate([EntryUrl => EntryUrl.split("?")[0] === Path].concat(
+          Config.invalidate ? this.resolveCacheMatch(Config.invalidate) : []
+        ));
+      }
+      return Resp;
+    });
+  }
+  /**
+   * Выполняет запрос через this.fetchCounted клиента, отвечающего за сервер адреса запроса:
+   * для адресов из Origins - через клиент этого сервера с его токенами,
+   * адреса не из AllowedOrigins проверяет this.fetchViaJwt
+   * 
+   * @param {string} Url адрес запроса
+   * @param {string} Method метод запроса
+   * @param {object} Data данные запроса
+   * @param {object} Headers заголовки запроса
+   * @param {object} Config конфигурация запроса
+   * @returns {Promise} промис с объектом Response
+   */
+  fetchRouted(Url, Method, Data, Headers, Config) {
+    const FullUrl = this.buildRequestUrl(Url, Config);
+    const Client = this.getOriginClient(FullUrl);
+    if (Client !== this) {
+      // адрес уже полный, параметры пути и строка запроса повторно не добавляются,
+      // ответы с кодом не 2xx обрабатываются по настройке этого объекта
+      return Client.fetchCounted(FullUrl, Method, Data, Headers, Object.assign({}, Config, {
+        params: undefined,
+        query: undefined,
+        throwOnNon2xx: Config.throwOnNon2xx === undefined ? this.ErrorWhenNot2xxFlag : Config.throwOnNon2xx,
+      }));
+    }
+    return this.fetchCounted(Url, Method, Data, Headers, Config);
+  }
+  /**
+   * Проверяет, можно ли передать Access токен на адрес:
+   * относительные адреса, адреса с началом BASE_URL и подходящие под AllowedOrigins разрешены,
+   * если AllowedOrigins не заданы, то разрешены все адреса
+   * 
+   * @param {string} FullUrl полный адрес запроса
+   * @returns {boolean}
+   */
+  isOriginAllowed(FullUrl) {
+    if (!this.AllowedOrigins || !isAbsoluteUrl(FullUrl)) {
+      return true;
+    }
+    if (this.BASE_URL && isAbsoluteUrl(this.BASE_URL) && matchUrlPrefix(this.BASE_URL, FullUrl)) {
+      return true;
+    }
+    return this.AllowedOrigins.some(Rule => matchUrlPrefix(Rule, FullUrl));
+  }
+  /**
+   * @param {string} Url адрес запроса, относительный адрес дополняется BASE_URL
+   * @returns {FetchViaJwt} клиент из Origins, отвечающий за сервер этого адреса, или сам этот объект
+   */
+  getOriginClient(Url) {
+    const FullUrl = joinUrl(this.BASE_URL, Url || "");
+    if (!isAbsoluteUrl(FullUrl)) {
+      return this;
+    }
+    const Item = this.OriginClients.find(OriginItem => matchUrlPrefix(OriginItem.Origin, FullUrl));
+    return Item ? Item.Client : this;
+  }
+  /**
+   * Создает клиент для отдельного сервера из параметра Origins:
+   * относительный JwtRefreshUrl (и остальные адреса) считаются от адреса сервера,
+   * токены по умолчанию хранятся в хранилищах этого объекта с префиксом по хосту сервера,
+   * transport, журнал, политика повторов и общие заголовки берутся у этого объекта
+   * 
+   * @param {string} Origin адрес сервера, например https://billing.site.ru
+   * @param {object} Options параметры конструктора FetchViaJwt для этого сервера, JwtRefreshUrl - адрес обновления токенов
+   * @returns {FetchViaJwt}
+   */
+  createOriginClient(Origin, Options = {}) {
+    const Prefix = Origin.replace(/^[a-z][a-z\d+\-.]*:\/\//i, "").replace(/[^A-Za-z0-9]+/g, "_") + "_";
+    const Defaults = {
+      BaseUrl: Origin,
+      QueryFormat: this.QueryFormat,
+      transport: this.transport,
+      RetryPolicy: this.RetryPolicy,
+      ClockSkew: this.CLOCK_SKEW,
+      RefreshCredentials: this.RefreshCredentials,
+      MaxCallCount: this.MAX_CALL_COUNT,
+      extractErrorMessage: this.extractErrorMessage,
+      Logger: this.Logger,
+      LogLevel: this.LogLevel,
+      // один ключ на все серверы, nonce у каждого сервера свой
+      Dpop: this.Dpop,
+      // общее ограничение одновременных запросов, MaxPerOrigin действует для каждого сервера отдельно
+      Scheduler: this.Scheduler,
+    };
+    if (!Options.Storage && !Options.AccessTokenStorage) {
+      Defaults.AccessTokenStorage = new PrefixedStorageAdapter(this.AccessTokenStorage, Prefix);
+    }
+    if (!Options.Storage && !Options.RefreshTokenStorage) {
+      Defaults.RefreshTokenStorage = new PrefixedStorageAdapter(this.RefreshTokenStorage, Prefix);
+    }
+    const ClientOptions = Object.assign(Defaults, Options);
+    if (ClientOptions.CrossTab === true) {
+      // свой канал, что бы сообщения не смешивались с токенами основного сервера
+      ClientOptions.CrossTab = TAB_SYNC_CHANNEL_NAME + ":" + Prefix + (ClientOptions.JwtAccessTokenName || this.JWT_ACCESS_TOKEN_NAME);
+    }
+    const Client = new FetchViaJwt(ClientOptions.JwtRefreshUrl || "", ClientOptions);
+    Client.CommonHeaders = this.CommonHeaders;
+    return Client;
+  }
+  /**
+   * Отправляет изменяющий запрос с ключом идемпотентности,
+   * если сети нет или запрос не дошел до сервера, то сохраняет его в очереди
+   * и отклоняет промис с ErrorQueued.
+   * Пока идет отправка запросов из очереди, новые запросы встают за ними, что бы сервер получил их в исходном порядке,
+   * если же отправка остановилась на ошибке первого запроса очереди, то новый запрос уходит сразу.
+   * В очереди сохраняется запрос до перехватчиков с тем же ключом идемпотентности, что и у отправленного
+   * 
+   * @param {string} Url адрес запроса
+   * @param {string} Method метод запроса
+   * @param {object} Data данные запроса
+   * @param {object} Headers заголовки запроса
+   * @param {object} Config конфигурация запроса
+   * @param {object} Original запрос до перехватчиков { Url, Method, Data, Headers, Config }
+   * @returns {Promise} промис с объектом Response
+   */
+  sendOrEnqueue(Url, Method, Data, Headers, Config, Original) {
+    // заголовки сохраняются в очереди до добавления Authorization, токен на момент повтора будет другим
+    const SentHeaders = this.OfflineQueue.withIdempotencyKey(Headers);
+    const QueuedRequest = Object.assign({}, Original, {
+      Headers: this.OfflineQueue.withIdempotencyKey(Original.Headers, this.OfflineQueue.getIdempotencyKey(SentHeaders)),
+    });
+    const Offline = typeof navigator !== "undefined" && navigator.onLine === false;
+    if (!Offline && !this.ReplayPromise) {
+      // после отправки, остановленной ошибкой, следующая запускается только после паузы
+      this.startOfflineReplay();
+    }
+    if (Offline || this.ReplayPromise) {
+      const Reason = Offline ? QUEUE_REASON_OFFLINE : QUEUE_REASON_PENDING;
+      const Err = this.enqueueRequest(QueuedRequest, null, Reason);
+      if (!Offline) {
+        // текущая отправка могла уже пройти последний запрос, тогда этот отправит следующая
+        this.ReplayPromise.catch(() => {}).then(() => this.startOfflineReplay());
+      }
+      return Promise.reject(Err);
+    }
+    return this.sendAndInvalidate(Url, Method, Data, SentHeaders, Config).catch((Err) => {
+      if (NetworkErrors.has(Err)) {
+        throw this.enqueueRequest(QueuedRequest, Err, QUEUE_REASON_NETWORK);
+      }
+      throw Err;
+    });
+  }
+  /**
+   * сохраняет запрос в очереди без signal, timeout и других полей, которые нельзя сохранить в JSON,
+   * и отправляет событие requestQueued
+   * 
+   * @param {object} Request запрос { Url, Method, Data, Headers, Config }
+   * @param {Error} Cause сетевая ошибка или null
+   * @param {string} Reason причина сохранения в очереди, см. ErrorQueued
+   * @returns {ErrorQueued} ошибка, которой нужно отклонить запрос
+   */
+  enqueueRequest({ Url, Method, Data, Headers, Config }, Cause, Reason) {
+    const { signal, timeout, ...StoredConfig } = Config;
+    const Entry = this.OfflineQueue.add({
+      Url,
+      Method,
+      Data,
+      Headers,
+      Config: JSON.parse(JSON.stringify(StoredConfig)),
+    });
+    this.log("info", "[enqueueRequest] Запрос сохранен в очереди: " + Method + " " + Url, { Id: Entry.Id });
+    this.Events.emit(EVENT_REQUEST_QUEUED, Entry);
+    return new ErrorQueued("[" + Method + " " + Url + "]", Entry, Cause, Reason);
+  }
+  /**
+   * Отправляет запросы из очереди по одному в исходном порядке через обычный конвейер fetchJSON
+   * (перехватчики выполняются заново для каждой попытки, метрики передаются в onMetrics),
+   * поэтому просроченные за время без сети токены будут обновлены.
+   * Если сети по-прежнему нет, сессия закончилась или запрос отменен, то отправка останавливается
+   * и запрос остается первым в очереди.
+   * Если сервер отказал запросу (4xx, кроме 408 и 429), запрос переносится в список отказов,
+   * при временной ошибке (5xx, 408, 429) отправка останавливается, а после MaxAttempts попыток
+   * запрос так же переносится в список отказов.
+   * Одновременно выполняется только одна отправка, вызов во время отправки
+   * запускает еще одну после нее (одну на все такие вызовы) и возвращает ее промис,
+   * так как текущая могла остановиться раньше, например из-за сети, пропавшей до вызова.
+   * Вызов этого метода запускает отправку сразу, без паузы после остановленной ошибкой отправки
+   * 
+   * @returns {Promise} промис с состоянием очереди, как у getOfflineQueueState
+   */
+  replayOfflineQueue() {
+    if (!this.OfflineQueue) {
+      return Promise.resolve(this.getOfflineQueueState());
+    }
+    if (this.ReplayPromise) {
+      if (!this.NextReplayPromise) {
+        this.NextReplayPromise = this.ReplayPromise
+          .catch(() => {})
+          .then(() => {
+            this.NextReplayPromise = null;
+            return this.replayOfflineQueue();
+          });
+      }
+      return this.NextReplayPromise;
+    }
+    this.ReplayPromise = this.replayOfflineQueueNow()
+      .finally(() => {
+        this.ReplayPromise = null;
+      });
+    return this.ReplayPromise;
+  }
+  /**
+   * отправляет запросы из очереди, используется в this.replayOfflineQueue
+   * 
+   * @returns {Promise} промис с состоянием очереди
+   */
+  async replayOfflineQueueNow() {
+    const Queue = this.OfflineQueue;
+    let Entry = Queue.peek();
+    while (Entry) {
+      try {
+        const Resp = await this.fetchJSON(
+          Entry.Url,
+          Entry.Method,
+          Entry.Data,
+          Object.assign({}, Entry.Headers),
+          Object.assign({}, Entry.Config, { responseType: "raw", offlineQueue: false })
+        );
+        Queue.remove(Entry.Id);
+        this.Events.emit(EVENT_QUEUED_REQUEST_SENT, { Entry, Response: Resp });
+      } catch (Err) {
+        const LastError = { name: Err.name, message: Err.message, status: Err.status || null };
+        // запрос не дошел до сервера или не может быть отправлен без нового входа пользователя
+        const Interrupted = NetworkErrors.has(Err)
+          || Err instanceof ErrorAbort
+          || Err instanceof ErrorTimeout
+          || Err instanceof ErrorNoAccessToken
+          || Err instanceof ErrorMaxCallCount
+          || this.SessionExpiredFlag
+          || (Err instanceof ErrorHTTPStatus && Err.url === this.JWT_REFRESH_URL);
+        if (Interrupted) {
+          Queue.update(Entry.Id, { LastError });
+          break;
+        }
+        const Rejected = Err instanceof ErrorHTTPStatus
+          && Err.status >= 400 && Err.status < 500 && [408, 429].indexOf(Err.status) === -1;
+        if (!Rejected && Entry.Attempts + 1 < Queue.MaxAttempts) {
+          Queue.update(Entry.Id, { Attempts: Entry.Attempts + 1, LastError });
+          break;
+        }
+        Queue.fail(Entry.Id, LastError);
+        this.Events.emit(EVENT_QUEUED_REQUEST_FAILED, { Entry, Error: Err });
+      }
+      Entry = Queue.peek();
+    }
+    if (Queue.size()) {
+      // отправка остановилась на ошибке, автоматически она запустится не раньше, чем через растущую паузу
+      this.ReplayFailures++;
+      this.ReplayPausedUntil = Date.now() + Queue.getReplayDelay(this.ReplayFailures);
+    } else {
+      this.ReplayFailures = 0;
+      this.ReplayPausedUntil = 0;
+    }
+    return this.getOfflineQueueState();
+  }
+  /**
+   * запускает отправку запросов из очереди, если она включена, в ней есть запросы
+   * и не идет пауза после отправки, остановленной ошибкой (после destroy не запускает),
+   * ошибки отправки здесь не нужны - они сохраняются в записях очереди
+   */
+  startOfflineReplay() {
+    if (this.OfflineQueue && this.OfflineQueue.size() && Date.now() >= this.ReplayPausedUntil && !this.DestroyedFlag) {
+      this.replayOfflineQueue().catch(() => {});
+    }
+  }
+  /**
+   * @returns {object} состояние очереди {
+   * Pending, // {number} кол-во запросов, ожидающих отправки
+   * Failed, // {number} кол-во запросов, которым отказал сервер
+   * Replaying, // {boolean} идет ли сейчас отправка
+   * Entries, // {array} записи, ожидающие отправки, { Id, IdempotencyKey, Url, Method, Data, Headers, Config, Attempts, CreatedAt, LastError }
+   * Failures, // {array} записи, которым отказал сервер, LastError содержит { name, message, status }
+   * }
+   */
+  getOfflineQueueState() {
+    const State = this.OfflineQueue ? this.OfflineQueue.read() : { Entries: [], Failures: [] };
+    return {
+      Pending: State.Entries.length,
+      Failed: State.Failures.length,
+      Replaying: !!this.ReplayPromise,
+      Entries: State.Entries,
+      Failures: State.Failures,
+    };
+  }
+
+  /**
+   * Получает ответ на GET-запрос через кеш:
+   * свежая запись отдается без запроса к серверу,
+   * устаревшая в пределах StaleWhileRevalidate отдается сразу и обновляется в фоне,
+   * иначе выполняется запрос (условный, если у записи есть ETag или Last-Modified),
+   * одинаковые одновременные запросы объединяются в один.
+   * Ответы на запросы с разными заголовками из Vary (Accept, Accept-Language и Vary ответа) хранятся отдельно,
+   * заголовок запроса Cache-Control: no-cache требует перепроверки записи у сервера, no-store - запроса без кеша
+   * 
+   * @param {string} Url адрес запроса
+   * @param {object} Data данные для строки запроса
+   * @param {object} Headers заголовки запроса
+   * @param {object} Config конфигурация запроса
+   * @returns {Promise} промис с новым объектом Response для каждого вызова
+   */
+  fetchCached(Url, Data, Headers, Config) {
+    const FullUrl = this.buildRequestUrl(Url, this.mergeQuery(Config, Data));
+    const Subject = this.getCacheSubject(FullUrl, Config);
+    const AllHeaders = Object.assign({}, this.CommonHeaders, Headers);
+    const CacheControl = Object.keys(AllHeaders)
+      .filter(Name => Name.toLowerCase() === "cache-control")
+      .map(Name => AllHeaders[Name])
+      .join(",");
+    // пользователь станет известен только после обновления токенов в самом запросе,
+    // такой ответ, как и ответ на запрос с Cache-Control: no-store, нельзя ни взять из кеша, ни сохранить в нем
+    if (Subject === null || /no-store/i.test(CacheControl)) {
+      return this.fetchRouted(Url, "GET", Data, Headers, Config);
+    }
+    const BaseKey = Subject + " " + FullUrl;
+    const Key = this.Cache.getKey(BaseKey, AllHeaders);
+    const Entry = this.Cache.get(Key);
+    const State = Entry && !/no-cache/i.test(CacheControl) ? this.Cache.getState(Entry) : "expired";
+    if (State === "fresh") {
+      return Promise.resolve(this.Cache.toResponse(Entry));
+    }
+    const Revalidation = this.revalidateCache(BaseKey, Key, FullUrl, Url, Data, Headers, Config, Entry);
+    if (State === "stale") {
+      // ошибка фонового обновления не касается вызова, получившего устаревший ответ
+      Revalidation.catch(() => {});
+      return Promise.resolve(this.Cache.toResponse(Entry));
+    }
+    return Revalidation.then(NewEntry => this.Cache.toResponse(NewEntry));
+  }
+  /**
+   * Запрашивает ответ для записи кеша Key, если такой запрос уже выполняется, то возвращает его промис.
+   * Общий запрос выполняется без signal и timeout вызвавшего его запроса,
+   * что бы отмена одного вызова не отменяла остальные, каждый вызов ждет его в своей области отмены
+   * 
+   * @param {string} BaseKey основной ключ записи - пользователь и полный адрес запроса
+   * @param {string} Key ключ записи с учетом заголовков из Vary
+   * @param {string} FullUrl полный адрес запроса
+   * @param {string} Url адрес запроса
+   * @param {object} Data данные для строки запроса
+   * @param {object} Headers заголовки запроса
+   * @param {object} Config конфигурация запроса
+   * @param {object} Entry текущая запись кеша или undefined
+   * @returns {Promise} промис с записью кеша
+   */
+  revalidateCache(BaseKey, Key, FullUrl, Url, Data, Headers, Config, Entry) {
+    if (this.Cache.Pending.has(Key)) {
+      return this.Cache.Pending.get(Key);
+    }
+    const Cache = this.Cache;
+    const Generation = Cache.Generation;
+    const ConditionalHeaders = Object.assign({}, Headers);
+    if (Entry && Entry.ETag) {
+      ConditionalHeaders["If-None-Match"] = Entry.ETag;
+    }
+    if (Entry && Entry.LastModified) {
+      ConditionalHeaders["If-Modified-Since"] = Entry.LastModified;
+    }
+    const SharedConfig = Object.assign({}, Config, { signal: undefined, timeout: undefined });
+    const Pending = this.fetchRouted(Url, "GET", Data, ConditionalHeaders, SharedConfig)
+      .then(async (Resp) => {
+        if (Resp.status === 304 && Entry) {
+          Cache.refreshEntry(Entry, Resp);
+          if (Generation === Cache.Generation) {
+            Cache.set(Key, Entry);
+          }
+          return Entry;
+        }
+        const NewEntry = await Cache.createEntry(FullUrl, Resp);
+        if (Generation === Cache.Generation && Cache.isStorable(NewEntry)) {
+          // Vary ответа может добавить заголовки, которых не было в ключе запроса
+          Cache.rememberVary(BaseKey, NewEntry);
+          Cache.set(Cache.getKey(BaseKey, Object.assign({}, this.CommonHeaders, Headers)), NewEntry);
+        }
+        return NewEntry;
+      })
+      .finally(() => Cache.Pending.delete(Key));
+    Cache.Pending.set(Key, Pending);
+    return Pending;
+  }
+  /**
+   * @param {string} FullUrl полный адрес запроса
+   * @param {object} Config конфигурация запроса
+   * @returns {string|null} часть ключа кеша, разделяющая записи разных пользователей:
+   * поле sub из Access токена сервера этого адреса, если его нет, то сам токен, без авторизации - пустая строка,
+   * для запроса с авторизацией, но без Access токена - null, такой запрос кеш не использует
+   */
+  getCacheSubject(FullUrl, Config = {}) {
+    const Client = this.getOriginClient(FullUrl);
+    if (!Client.AuthorizationFlag || Config.auth === false || (Client === this && !this.isOriginAllowed(FullUrl))) {
+      return "";
+    }
+    const AccessToken = Client.getAccessToken(Client.JWT_ACCESS_TOKEN_NAME);
+    if (!AccessToken) {
+      return null;
+    }
+    const Payload = decodeJwtPayload(AccessToken);
+    return Payload && Payload.sub !== undefined ? String(Payload.sub) : AccessToken;
+  }
+  /**
+   * Удаляет из кеша записи, подходящие под Match
+   * 
+   * @param {string|RegExp|function|array} Match строка - начало адреса (относительные адреса дополняются this.BASE_URL),
+   * RegExp - шаблон полного адреса, функция (Url, Key) => boolean, массив любых из них
+   */
+  invalidateCache(Match) {
+    if (this.Cache) {
+      this.Cache.invalidate(this.resolveCacheMatch(Match));
+    }
+  }
+  /**
+   * удаляет из кеша все записи
+   */
+  clearCache() {
+    if (this.Cache) {
+      this.Cache.clear();
+    }
+  }
+  /**
+   * @param {string|RegExp|function|array} Match условие удаления записей
+   * @returns {array} условия, в которых строки заменены полными адресами
+   */
+  resolveCacheMatch(Match) {
+    return (Array.isArray(Match) ? Match : [Match])
+      .map(Item => typeof Item === "string" ? this.buildRequestUrl(Item) : Item);
+  }
+
+  /**
+   * Разбирает тело ответа сервера в соответствии с ResponseType:
+   * 'json' - JSON.parse текста ответа,
+   * 'text' - строка, 'blob' - Blob, 'arrayBuffer' - ArrayBuffer,
+   * 'stream' - ReadableStream тела ответа, 'raw' - сам объект Response без чтения тела.
+   * Ответы 204, 205 и ответы с пустым телом возвращаются как null (кроме 'raw')
+   * 
+   * @param {object} Resp ответ сервера, объект Response
+   * @param {string} ResponseType формат результата, по умолчанию 'json'
+   * @returns {Promise} промис с разобранными данными
+   */
+  async parseResponse(Resp, ResponseType = "json") {
+    if (ResponseType === "raw") {
+      return Resp;
+    }
+    if (Resp.status === 204 || Resp.status === 205 || Resp.status === 304 || Resp.headers.get("Content-Length") === "0") {
+      return null;
+    }
+    switch (ResponseType || "json") {
+      case "stream":
+        return Resp.body;
+      case "text":
+        return Resp.text();
+      case "blob":
+        return Resp.blob();
+      case "arrayBuffer":
+        return Resp.arrayBuffer();
+      case "json": {
+        const Text = await Resp.text();
+        return Text ? JSON.parse(Text) : null;
+      }
+      default:
+        throw new TypeError("[parseResponse] Неизвестный responseType: " + ResponseType);
+    }
+  }
+
+  /**
+   * Получает данные методом POST с проверкой авторизации,
+   * если Access токен просрочен, то повторно запрашивает JWT,
+   * используя функцию fetchTokens, если обновить токены не удалось.
+   * Получает данные в виде JSON-строки, 
+   * преобразует их в стандартный объект JavaScript и возвращает в Promise,
+   * фактически это alias для this.fetchJSON(Url, "POST", Data, Headers, Config);
+   * 
+   * @param {string} Url адрес запроса
+   * @param {object} Data не обязательный параметр, объект с данными для POST-запроса, 
+   * будет преобразован в JSON-строку - JSON.stringify(Data) и добавлен как тело запроса,
+   * FormData, Blob, ArrayBuffer, URLSearchParams и строки передаются в тело запроса без изменений
+   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса,
+   * для объектов заголовок Content-Type автоматически устанавливается в application/json,
+   * для остальных типов данных его выставляет fetch, если он не передан явно
+   * @param {object} Config конфигурация запроса, поля описаны у fetchJSON
+   * @returns {Promise} промис, содержащий объект с данными, для пустого ответа или 204 - null
+   */
+  post(Url, Data = null, Headers = {}, Config = {}) {
+    return this.fetchJSON(Url, "POST", Data, Headers, Config);
+  }
+
+  /**
+   * Получает данные методом POST с проверкой авторизации,
+   * если Access токен просрочен, то повторно запрашивает JWT,
+   * используя функцию fetchTokens, если обновить токены не удалось.
+   * Получает данные в виде JSON-строки, 
+   * преобразует их в стандартный объект JavaScript и возвращает в Promise,
+   * фактически это alias для this.fetchJSON(Url, "PUT", Data, Headers, Config);
+   * 
+   * @param {string} Url адрес запроса
+   * @param {object} Data не обязательный параметр, объект с данными для PUT-запроса, 
+   * будет преобразован в JSON-строку - JSON.stringify(Data) и добавлен как тело запроса,
+   * FormData, Blob, ArrayBuffer, URLSearchParams и строки передаются в тело запроса без изменений
+   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса,
+   * для объектов заголовок Content-Type автоматически устанавливается в application/json,
+   * для остальных типов данных его выставляет fetch, если он не передан явно
+   * @param {object} Config конфигурация запроса, поля описаны у fetchJSON
+   * @returns {Promise} промис, содержащий объект с данными, для пустого ответа или 204 - null
+   */
+  put(Url, Data = null, Headers = {}, Config = {}) {
+    return this.fetchJSON(Url, "PUT", Data, Headers, Config);
+  }
+
+  /**
+   * Получает данные методом POST с проверкой авторизации,
+   * если Access токен просрочен, то повторно запрашивает JWT,
+   * используя функцию fetchTokens, если обновить токены не удалось
+   * Получает данные в виде JSON-строки, 
+   * преобразует их в стандартный объект JavaScript и возвращает в Promise,
+   * фактически это alias для this.fetchJSON(Url, "DELETE", Data, Headers, Config);
+   * 
+   * @param {string} Url адрес запроса
+   * @param {object} Data не обязательный параметр, объект с данными для DELETE-запроса, 
+   * будет преобразован в JSON-строку - JSON.stringify(Data) и добавлен как тело запроса,
+   * FormData, Blob, ArrayBuffer, URLSearchParams и строки передаются в тело запроса без изменений
+   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса,
+   * для объектов заголовок Content-Type автоматически устанавливается в application/json,
+   * для остальных типов данных его выставляет fetch, если он не передан явно
+   * @param {object} Config конфигурация запроса, поля описаны у fetchJSON
+   * @returns {Promise} промис, содержащий объект с данными, для пустого ответа или 204 - null
+   */
+  delete(Url, Data = null, Headers = {}, Config = {}) {
+    return this.fetchJSON(Url, "DELETE", Data, Headers, Config);
+  }
+  /**
+   * Частично изменяет данные методом PATCH с проверкой авторизации,
+   * если Access токен просрочен, то повторно запрашивает JWT,
+   * используя функцию fetchTokens, если обновить токены не удалось.
+   * Получает данные в виде JSON-строки, 
+   * преобразует их в стандартный объект JavaScript и возвращает в Promise,
+   * фактически это alias для this.fetchJSON(Url, "PATCH", Data, Headers, Config);
+   * 
+   * @param {string} Url адрес запроса
+   * @param {object} Data не обязательный параметр, объект с данными для PATCH-запроса, 
+   * будет преобразован в JSON-строку - JSON.stringify(Data) и добавлен как тело запроса,
+   * FormData, Blob, ArrayBuffer, URLSearchParams и строки передаются в тело запроса без изменений
+   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса
+   * @param {object} Config конфигурация запроса, поля описаны у fetchJSON
+   * @returns {Promise} промис, содержащий объект с данными, для пустого ответа или 204 - null
+   */
+  patch(Url, Data = null, Headers = {}, Config = {}) {
+    return this.fetchJSON(Url, "PATCH", Data, Headers, Config);
+  }
+
+  /**
+   * Делает HEAD-запрос с проверкой авторизации, например для проверки существования ресурса,
+   * по умолчанию возвращает сам объект Response (responseType = 'raw'), что бы были доступны заголовки,
+   * при ErrorWhenNot2xxFlag ответ с кодом не 2xx (например 404) отклоняет промис с ErrorHTTPStatus
+   * 
+   * @param {string} Url адрес запроса
+   * @param {object} Data не обязательный параметр, все пары {ключ: значение} будут добавлены в строку запроса
+   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса
+   * @param {object} Config конфигурация запроса, поля описаны у fetchJSON
+   * @returns {Promise} промис с объектом Response
+   */
+  head(Url, Data = null, Headers = {}, Config = {}) {
+    return this.fetchJSON(Url, "HEAD", Data, Headers, Object.assign({ responseType: "raw" }, Config || {}));
+  }
+
+  /**
+   * Делает OPTIONS-запрос с проверкой авторизации,
+   * фактически это alias для this.fetchJSON(Url, "OPTIONS", Data, Headers, Config);
+   * 
+   * @param {string} Url адрес запроса
+   * @param {object} Data не обязательный параметр, объект с данными для тела запроса
+   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса
+   * @param {object} Config конфигурация запроса, поля описаны у fetchJSON
+   * @returns {Promise} промис, содержащий объект с данными, для пустого ответа или 204 - null
+   */
+  options(Url, Data = null, Headers = {}, Config = {}) {
+    return this.fetchJSON(Url, "OPTIONS", Data, Headers, Config);
+  }
+
+  /**
+   * Общая точка входа для запроса любым методом,
+   * все методы get, post, put, patch, delete, head, options работают через тот же конвейер:
+   * перехватчики, авторизация, обновление токенов, повторы и обработка ошибок
+   * 
+   * @param {object} Options объект запроса {
+   * method, // {string} метод запроса, по умолчанию GET
+   * url, // {string} адрес запроса
+   * data, // {*} данные, для GET и HEAD добавляются в строку запроса, для остальных - в тело
+   * headers, // {object} заголовки запроса
+   * ...config // остальные поля - конфигурация запроса, поля описаны у fetchJSON
+   * }
+   * @returns {Promise} промис с результатом в формате responseType
+   */
+  request({ method = "GET", url, data = null, headers = {}, ...Config } = {}) {
+    const Method = method.toUpperCase();
+    if (Method === "HEAD") {
+      return this.head(url, data, headers, Config);
+    }
+    return this.fetchJSON(url, Method, data, headers, Config);
+  }
+  /**
+   * Создает производный клиент с заголовками и конфигурацией запроса по умолчанию
+   * для всех методов (get, post, put, patch, delete, head, options, request, stream, subscribe).
+   * Токены, их обновление, кеш, очередь, перехватчики и события у него общие с исходным объектом,
+   * так как все свойства читаются и записываются в исходный объект.
+   * Заголовки и Config, переданные в сам запрос, важнее значений по умолчанию,
+   * query и params объединяются
+   * 
+   * const $public = $fetch.extend({ auth: false, throwOnNon2xx: false });
+   * 
+   * @param {object} Defaults {
+   * headers, // {object} заголовки по умолчанию
+   * ...config // конфигурация запроса по умолчанию (auth, throwOnNon2xx, skipRefresh, timeout, responseType, query...)
+   * }
+   * @returns {FetchViaJwt} производный клиент, у производного клиента extend дополняет его значения по умолчанию
+   */
+  extend({ headers = {}, ...Config } = {}) {
+    const Parent = DerivedClients.get(this);
+    const Root = Parent ? Parent.Root : this;
+    const Defaults = {
+      Root,
+      Headers: Object.assign({}, Parent ? Parent.Headers : {}, headers),
+      Config: this.mergeRequestConfig(Parent ? Parent.Config : {}, Config),
+    };
+    // все методы запросов приходят в fetchJSON, здесь к запросу добавляются значения по умолчанию
+    const fetchJSON = (Url, Method, Data, Headers, RequestConfig) => Root.fetchJSON(
+      Url,
+      Method,
+      Data,
+      Object.assign({}, Defaults.Headers, Headers || {}),
+      this.mergeRequestConfig(Defaults.Config, RequestConfig)
+    );
+    const Client = new Proxy(Root, {
+      get: (Target, Key, Receiver) => Key === "fetchJSON" ? fetchJSON : Reflect.get(Target, Key, Receiver),
+    });
+    DerivedClients.set(Client, Defaults);
+    return Client;
+  }
+  /**
+   * @param {object} Defaults конфигурация по умолчанию
+   * @param {object} Config конфигурация запроса
+   * @returns {object} новая конфигурация, поля Config важнее Defaults, поля query и params объединяются
+   */
+  mergeRequestConfig(Defaults, Config) {
+    const Result = Object.assign({}, Defaults, Config || {});
+    ["query", "params"].forEach((Key) => {
+      if (Defaults[Key] && Config && Config[Key]) {
+        Result[Key] = Object.assign({}, Defaults[Key], Config[Key]);
+      }
+    });
+    return Result;
+  }
+
+  /**
+   * Получает потоковый ответ (text/event-stream или NDJSON) с проверкой авторизации
+   * и возвращает сообщения по мере их получения, без переподключения,
+   * ответ 401 при подключении обновляет токены и повторяет запрос, как у остальных методов
+   * 
+   * for await (const Message of $fetch.stream("/events")) { ... }
+   * 
+   * @param {string} Url адрес потока
+   * @param {object} Data не обязательный параметр, для GET добавляется в строку запроса, для других методов - в тело
+   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса
+   * @param {object} Config конфигурация запроса, как у остальных методов, дополнительно:
+   * method - метод запроса (по умолчанию GET), format - 'sse' или 'ndjson' (по умолчанию по Content-Type ответа),
+   * signal прекращает и чтение потока, timeout ограничивает только подключение
+   * @returns {AsyncGenerator} сообщения SSE { Event, Data, Id, Retry } или значения NDJSON
+   */
+  async *stream(Url, Data = null, Headers = {}, Config = {}) {
+    const Resp = await this.openStream(Url, Data, Headers, Config);
+    if (Resp.status === 204) {
+      return;
+    }
+    yield* readStream(Resp, getStreamFormat(Resp, Config.format), Config.signal);
+  }
+  /**
+   * Подписывается на поток событий (замена EventSource с заголовком Authorization):
+   * после разрыва соединения переподключается через Config.retryDelay мс (или через retry из потока)
+   * с заголовком Last-Event-ID, ответ 401 при переподключении обновляет токены.
+   * Подписка прекращается методом close, сигналом Config.signal, ответом 204,
+   * отказом сервера (4xx, кроме 408 и 429) или окончанием сессии
+   * 
+   * @param {string} Url адрес потока
+   * @param {function|object} Handlers функция, получающая каждое сообщение, или объект {
+   * onMessage, // {function} получает сообщение SSE { Event, Data, Id, Retry } или значение NDJSON
+   * onOpen, // {function} получает объект Response после каждого подключения
+   * onError, // {function} получает ошибку подключения или чтения, после нее будет переподключение, если ошибка не окончательная
+   * }
+   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса
+   * @param {object} Config конфигурация запроса, как у this.stream, дополнительно
+   * retryDelay - задержка переподключения в мс (по умолчанию STREAM_RETRY_DELAY), lastEventId - начальный Last-Event-ID
+   * @returns {object} подписка { close, Done }, Done - промис, который выполняется после окончания подписки
+   */
+  subscribe(Url, Handlers, Headers = {}, Config = {}) {
+    const { onMessage, onOpen, onError } = typeof Handlers === "function" ? { onMessage: Handlers } : (Handlers || {});
+    // ошибка в обработчике не должна прерывать подписку, выбрасываем ее асинхронно, как EventEmitter
+    const call = (Handler, Arg) => {
+      if (!Handler) {
+        return;
+      }
+      try {
+        Handler(Arg);
+      } catch (Err) {
+        setTimeout(() => { throw Err; });
+      }
+    };
+    const Controller = new AbortController();
+    const close = () => Controller.abort();
+    if (Config.signal) {
+      if (Config.signal.aborted) {
+        close();
+      } else {
+        Config.signal.addEventListener("abort", close);
+      }
+    }
+    // парсер SSE общий для всех подключений, так как хранит Last-Event-ID и retry
+    const Parser = new EventStreamParser();
+    Parser.LastEventId = Config.lastEventId || "";
+    const run = async () => {
+      while (!Controller.signal.aborted) {
+        try {
+          const StreamHeaders = Object.assign({}, Headers);
+          if (Parser.LastEventId) {
+            StreamHeaders["Last-Event-ID"] = Parser.LastEventId;
+          }
+          const Resp = await this.openStream(Url, null, StreamHeaders, Object.assign({}, Config, { signal: Controller.signal }));
+          // по спецификации EventSource ответ 204 означает, что переподключаться не нужно
+          if (Resp.status === 204) {
+            break;
+          }
+          call(onOpen, Resp);
+          const Format = getStreamFormat(Resp, Config.format);
+          Parser.flush();
+          for await (const Message of readStream(Resp, Format, Controller.signal, Format === "sse" ? Parser : null)) {
+            call(onMessage, Message);
+          }
+        } catch (Err) {
+          if (Controller.signal.aborted) {
+            break;
+          }
+          call(onError, Err);
+          const Fatal = Err instanceof ErrorMaxCallCount
+            || Err instanceof ErrorNoAccessToken
+            || this.SessionExpiredFlag
+            || (Err instanceof ErrorHTTPStatus && Err.status < 500 && [408, 429].indexOf(Err.status) === -1);
+          if (Fatal) {
+            break;
+          }
+        }
+        const RetryDelay = Parser.Retry !== null ? Parser.Retry : (Config.retryDelay || STREAM_RETRY_DELAY);
+        await delay(RetryDelay, Controller.signal).catch(() => {});
+      }
+      if (Config.signal) {
+        Config.signal.removeEventListener("abort", close);
+      }
+    };
+    return { close, Done: run() };
+  }
+  /**
+   * Подключается к потоку через общий конвейер (перехватчики, авторизация, обновление токенов),
+   * без кеша и очереди запросов, ответ с кодом не 2xx всегда отклоняет промис с ErrorHTTPStatus,
+   * так как его тело не является потоком
+   * 
+   * @param {string} Url адрес потока
+   * @param {object} Data данные запроса
+   * @param {object} Headers заголовки запроса
+   * @param {object} Config конфигурация запроса
+   * @returns {Promise} промис с объектом Response, тело которого еще не прочитано
+   */
+  async openStream(Url, Data, Headers, Config) {
+    const Method = (Config.method || "GET").toUpperCase();
+    const Resp = await this.fetchJSON(
+      Url,
+      Method,
+      Data,
+      Object.assign({ Accept: "text/event-stream, application/x-ndjson" }, Headers || {}),
+      Object.assign({}, Config, { responseType: "raw", cache: "no-store", offlineQueue: false })
+    );
+    if (!Resp.ok && Resp.status !== 204) {
+      throw await this.createHTTPStatusError(Resp, Method, Url);
+    }
+    return Resp;
+  }
+
+  /**
+   * Выполняет операцию GraphQL POST-запросом через общий конвейер (авторизация, перехватчики, повторы, журнал),
+   * ответ с массивом errors отклоняет промис с ErrorGraphQL, даже если код ответа 200,
+   * ошибка с кодом UNAUTHENTICATED обрабатывается как ответ 401: токены обновляются и операция повторяется
+   * 
+   * const { user } = await $fetch.graphql("query User($id: ID!) { user(id: $id) { name } }", { id: 5 });
+   * 
+   * @param {string} Query текст запроса GraphQL
+   * @param {object} Variables переменные запроса
+   * @param {object} Options не обязательный параметр {
+   * url, // {string} адрес GraphQL, по умолчанию this.GraphQL.Url
+   * operationName, // {string} имя операции, по умолчанию берется из текста запроса
+   * persisted, // {boolean} отправить хеш вместо текста запроса, по умолчанию this.GraphQL.PersistedQueries
+   * batch, // {boolean} объединить с другими операциями в один запрос, по умолчанию this.GraphQL.Batch
+   * errorPolicy, // {string} 'none' (по умолчанию) - при ошибках отклонить промис, 'all' - вернуть { data, errors }
+   * headers, // {object} заголовки запроса
+   * ...config // конфигурация запроса, как у остальных методов (signal, timeout, auth, skipRefresh...)
+   * }
+   * @returns {Promise} промис с полем data ответа, при errorPolicy = 'all' - с объектом { data, errors }
+   */
+  async graphql(Query, Variables = {}, Options = {}) {
+    const {
+      url, operationName, persisted, batch, errorPolicy = "none", headers = {}, ...Config
+    } = Options || {};
+    const Operation = {
+      query: Query,
+      variables: Variables || {},
+      operationName: operationName || getOperationName(Query) || undefined,
+    };
+    const Result = await this.sendGraphQLOperation(url || this.GraphQL.Url, Operation, {
+      Persisted: persisted === undefined ? this.GraphQL.PersistedQueries : persisted,
+      Batch: batch === undefined ? this.GraphQL.Batch : batch,
+      Headers: headers,
+      Config,
+    });
+    if (errorPolicy === "all") {
+      return { data: Result.data !== undefined ? Result.data : null, errors: Result.errors || [] };
+    }
+    if (Array.isArray(Result.errors) && Result.errors.length) {
+      throw new ErrorGraphQL("[graphql " + (Operation.operationName || "") + "]", Result.errors, {
+        data: Result.data,
+        operationName: Operation.operationName,
+      });
+    }
+    return Result.data !== undefined ? Result.data : null;
+  }
+  /**
+   * Отправляет операцию GraphQL отдельно или в пакете и возвращает ответ на нее,
+   * если сервер не знает хеш запроса, то операция повторяется с полным текстом,
+   * операция из пакета с ошибкой UNAUTHENTICATED повторяется отдельно, что бы не повторять весь пакет
+   * 
+   * @param {string} Url адрес GraphQL
+   * @param {object} Operation операция { query, variables, operationName }
+   * @param {object} Options { Persisted, Batch, Headers, Config }
+   * @returns {Promise} промис с ответом GraphQL { data, errors }
+   */
+  async sendGraphQLOperation(Url, Operation, { Persisted, Batch, Headers, Config }) {
+    const Hash = Persisted ? await getQueryHash(Operation.query) : null;
+    const Body = Hash ? createPersistedOperation(Operation, Hash) : Operation;
+    let Result;
+    if (Batch) {
+      // в пакет попадают операции с одинаковыми адресом, заголовками и настройками,
+      // signal и timeout у каждой операции свои и на общий запрос не влияют
+      const SharedConfig = Object.assign({}, Config, { signal: undefined, timeout: undefined });
+      const Derived = DerivedClients.get(this);
+      const Key = JSON.stringify([Url, Headers, SharedConfig, Derived ? [Derived.Headers, Derived.Config] : null]);
+      Result = await this.withAbortScope(Config, () => this.GraphQLBatcher.add(Key, Body, {
+        Client: this,
+        Url,
+        Headers,
+        Config: SharedConfig,
+      }));
+    } else {
+      Result = await this.sendGraphQL(Url, "POST", Body, Headers, Config);
+    }
+    const Refresh = Config.auth !== false && !Config.skipRefresh;
+    if ((Hash && hasGraphQLErrorCode(Result, GRAPHQL_PERSISTED_QUERY_NOT_FOUND))
+      || (Batch && Refresh && hasGraphQLErrorCode(Result, GRAPHQL_UNAUTHENTICATED))) {
+      return this.sendGraphQL(Url, "POST", Object.assign({}, Body, { query: Operation.query }), Headers, Config);
     }
-    // вызываем getViaJwt, которая добавит все поля из Data к Url-запроса
-    return this.getViaJwt(Url, Data, Headers, Config)
-      .then(this.onResponseCheck401) // .then(Resp => this.onResponseCheck401(Resp))
-      .catch(this.refreshTokensAndRepeatRequest(Url, Method, Data, Headers, Config, this.getCounted, Count + 1));
+    return Result;
   }
-
   /**
-   * Получает данные с сервера, вызывая this.fetchCounted (которая в свою очередь вызываяет стандартный fetch,
-   * предварительно проверяет токены и обновляет их при необходимости),
-   * затем полученные результаты "прогоняет" через JSON парсинг и возвращает промис,
-   * уже содержащий нормальный JS-объект вместо строки JSON.
-   * Внимание! Сервер по этому адресу должен возвращать именно JSON-строку
+   * Отправляет пакет операций GraphQL одним запросом
    * 
-   * @param {string} Url адрес запроса
-   * @param {string} Method метод запроса
-   * @param {object} Data данные (тело) зароса
-   * @param {object} Headers заголовки запроса
-   * @param {object} Config конфигурация обращения к серверу для стандартной JS-функции fetch
-   * @returns {Promise}
+   * @param {array} Operations операции
+   * @param {object} Context { Url, Headers, Config }
+   * @returns {Promise} промис с массивом ответов в порядке операций
    */
-  async fetchJSON(Url, Method, Data = null, Headers = {}, Config = {}) {
-    this.startBeforeHandlers();
-    const Response = await this.fetchCounted(Url, Method, Data, Headers, Config);
-    const Result = await Response.json();
-    this.startAfterHandlers(Result);
-    return Result;
+  sendGraphQLBatch(Operations, { Url, Headers, Config }) {
+    return this.sendGraphQL(Url, "POST", Operations, Headers, Config).then((Results) => {
+      if (!Array.isArray(Results) || Results.length !== Operations.length) {
+        throw new ErrorGraphQL("[sendGraphQLBatch] Сервер не поддерживает пакетные запросы", [], { data: Results });
+      }
+      return Results;
+    });
   }
   /**
-   * Запрашивает данные на сервере, в случае ошибки, точнее ответа 401.
-   * вызывает refreshTokensAndRepeatRequest, и после повторно вызывает себя с этими же аргументами,
-   * если ответ будет приходить с кодом 401 постоянно, 
-   * то стоит проверка (ограничение) на кол-во рекурсивных вызовов - this.MAX_CALL_COUNT
+   * Отправляет тело GraphQL через this.fetchJSON и разбирает ответ,
+   * ответ с ошибкой UNAUTHENTICATED (кроме пакетов) вызывает обновление токенов и повтор, как ответ 401,
+   * повторы считаются одним счетчиком с повторами после ответа 401 в fetchCounted (RequestStats области запроса),
+   * если их больше MAX_CALL_COUNT, то выбрасывается ErrorMaxCallCount
    * 
-   * @param {string} Url адрес запроса
+   * @param {string} Url адрес GraphQL
    * @param {string} Method метод запроса
-   * @param {object} Data данные (тело) зароса
+   * @param {object|array} Body операция или массив операций
    * @param {object} Headers заголовки запроса
-   * @param {object} Config конфигурация обращения к серверу для стандартной JS-функции fetch
-   * @param {number} Count - служебное поле, используется для подсчета кол-ва вызовов
-   * @returns {Promise} необработанный ответ сервера, который возвращает стандарнтный fetch
+   * @param {object} Config конфигурация запроса
+   * @returns {Promise} промис с ответом GraphQL { data, errors } или массивом ответов
    */
-  fetchCounted(Url, Method, Data = null, Headers = {}, Config = {}, Count = 0) {
-    // эта функция вызывается рекурсивно, прибавляя при каждом вызове 1 к Count
-    // если кол-во превысит MAX_CALL_COUNT, то выбрасываем исключение
-    if (Count >= this.MAX_CALL_COUNT) {
-      throw new ErrorMaxCallCount("[fetchCounted]");
-    }
-    return this.fetchViaJwt(Url, Method, Data, Headers, Config)
-      .then(this.onResponseCheck401)
-      .then(Resp => {
-        if (!this.ErrorWhenNot2xxFlag) {
-          return Resp;
-        }
-        const Status = getFetchResponseStatus(Resp);
-        if (Status < 200 || Status >= 300) {
-          return Resp.json().then(Result => {
-            // ***********************************************************************************
-            // *** TO DO - data.errors так передается текст ошибки в CONT-е, нужно проработать ***
-            // ***********************************************************************************
-            const ErrMessage = Result.data.errors ? " " + Result.data.errors : " " + Result;
-            throw new ErrorHTTPStatus("[fetchCounted]" + ErrMessage, Status);
-          })
+  sendGraphQL(Url, Method, Body, Headers, Config) {
+    // повторы идут в той же области отмены, что и первый запрос
+    return this.withAbortScope(Config, (ScopedConfig) => {
+      // до первого запроса счетчиков области еще нет, их создает fetchJSON
+      const Stats = RequestStats.get(ScopedConfig.signal);
+      if (Stats && Stats.AuthReplays >= this.MAX_CALL_COUNT) {
+        const Err = new ErrorMaxCallCount("[sendGraphQL]");
+        this.expireSession(Err);
+        throw Err;
+      }
+      const Request = this.fetchJSON(
+        Url,
+        Method,
+        Body,
+        Object.assign({ Accept: "application/graphql-response+json, application/json" }, Headers || {}),
+        // ответ с ошибками GraphQL может прийти с кодом 4xx, его тело разбирается ниже
+        Object.assign({}, ScopedConfig, { responseType: "raw", throwOnNon2xx: false, cache: "no-store", offlineQueue: false })
+      ).then(Resp => this.parseGraphQLResponse(Resp, Method, Url));
+      if (ScopedConfig.auth === false || ScopedConfig.skipRefresh) {
+        return Request;
+      }
+      return Request
+        .then((Result) => {
+          if (hasGraphQLErrorCode(Result, GRAPHQL_UNAUTHENTICATED)) {
+            throw new Error401("[sendGraphQL]");
+          }
+          return Result;
+        })
+        .catch(this.refreshTokensAndRepeatRequest(Url, Method, Body, Headers, ScopedConfig, this.sendGraphQL));
+    });
+  }
+  /**
+   * @param {object} Resp ответ сервера, объект Response
+   * @param {string} Method метод запроса
+   * @param {string} Url адрес запроса
+   * @returns {Promise} промис с разобранным ответом GraphQL,
+   * ответ не в формате GraphQL отклоняет промис с ErrorHTTPStatus или, при коде 2xx, с ErrorGraphQL
+   */
+  async parseGraphQLResponse(Resp, Method, Url) {
+    let Body = null;
+    try {
+      Body = await Resp.clone().json();
+    } catch (Err) {
+      // тело не JSON, ниже будет ошибка
+    }
+    if (Body && (Array.isArray(Body) || Body.data !== undefined || Array.isArray(Body.errors))) {
+      return Body;
+    }
+    if (!Resp.ok) {
+      throw await this.createHTTPStatusError(Resp, Method, Url);
+    }
+    throw new ErrorGraphQL("[" + Method + " " + Url + "] Ответ сервера не в формате GraphQL", []);
+  }
+
+  /**
+   * Выполняет Run внутри области отмены запроса,
+   * учитывает Config.signal (AbortSignal) и Config.timeout (время в мс) на весь цикл запроса - 
+   * ответ 401, обновление токенов и повторный запрос,
+   * в Run передается копия Config с общим сигналом отмены вместо signal и timeout,
+   * вложенные вызовы с этим сигналом новую область не создают.
+   * При истечении времени промис отклоняется с ErrorTimeout, при отмене сигналом - с ErrorAbort
+   * 
+   * @param {object} Config конфигурация запроса с необязательными полями signal и timeout
+   * @param {function} Run функция, выполняющая запрос, получает аргументом конфигурацию с сигналом отмены
+   * @returns {Promise} промис с результатом Run
+   */
+  withAbortScope(Config, Run) {
+    Config = Config || {};
+    const Signal = Config.signal;
+    if (Signal && ScopedSignals.has(Signal) && !Config.timeout) {
+      return Promise.resolve().then(() => Run(Config));
+    }
+    const Controller = new AbortController();
+    ScopedSignals.add(Controller.signal);
+    let TimedOut = false;
+    const abort = () => Controller.abort();
+    // запрос отменяется и сигналом из Config, и методом logout через общий сигнал сессии
+    const Signals = [Signal, this.SessionController.signal].filter(Boolean);
+    Signals.forEach((Item) => {
+      if (Item.aborted) {
+        abort();
+      } else {
+        Item.addEventListener("abort", abort);
+      }
+    });
+    const Timer = Config.timeout
+      ? setTimeout(() => {
+        TimedOut = true;
+        Controller.abort();
+      }, Config.timeout)
+      : null;
+    const createError = () => TimedOut
+      ? new ErrorTimeout("[withAbortScope]", Config.timeout)
+      : new ErrorAbort("[withAbortScope]");
+    // отклоняется сразу при отмене, даже если запрос в этот момент ждет обновления токенов
+    const Aborted = new Promise((resolve, reject) => {
+      if (Controller.signal.aborted) {
+        reject(createError());
+      } else {
+        Controller.signal.addEventListener("abort", () => reject(createError()));
+      }
+    });
+    const ScopedConfig = Object.assign({}, Config, { signal: Controller.signal, timeout: undefined });
+
+    return Promise.race([Promise.resolve().then(() => Run(ScopedConfig)), Aborted])
+      .catch((Err) => {
+        // стандартный fetch при отмене выбрасывает AbortError, заменяем его на наши ошибки
+        if (Controller.signal.aborted) {
+          throw createError();
         }
-        return Resp;
+        throw Err;
       })
-      // this.refreshTokensAndRepeatRequest - возвращает функцию, поэтому в catch попадает именно функция-обработчик ошибки
-      .catch(this.refreshTokensAndRepeatRequest(Url, Method, Data, Headers, Config, this.fetchCounted, Count + 1));
+      .finally(() => {
+        clearTimeout(Timer);
+        Signals.forEach(Item => Item.removeEventListener("abort", abort));
+      });
   }
 
   /**
-   * Получает данные методом POST с проверкой авторизации,
-   * если Access токен просрочен, то повторно запрашивает JWT,
-   * используя функцию fetchTokens, если обновить токены не удалось.
-   * Получает данные в виде JSON-строки, 
-   * преобразует их в стандартный объект JavaScript и возвращает в Promise,
-   * фактически это alias для this.fetchJSON(Url, "POST", Data, Headers, Config);
+   * Если установлен флаг ErrorWhenNot2xxFlag (или для запроса передан throwOnNon2xx = true) и код ответа не попадает в промежуток >= 200 && < 300
+   * и не равен 304 (ответ на условный запрос), то выбрасывает ErrorHTTPStatus с кодом, заголовками и разобранным телом ответа,
+   * иначе возвращает ответ без изменений
    * 
+   * @param {object} Resp ответ сервера, объект Response
+   * @param {string} Method метод запроса
    * @param {string} Url адрес запроса
-   * @param {object} Data не обязательный параметр, объект с данными для POST-запроса, 
-   * будет преобразован в JSON-строку - JSON.stringify(Data) и добавлен как тело запроса
-   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса,
-   * заголовок Content-Type автоматически устанавливается в application/json
-   * @param {object} Config конфигурация обращения к серверу для стандартной JS-функции fetch
-   * @returns {Promise} промис, содержащий объект с данными
+   * @param {boolean} ThrowOnNon2xx значение Config.throwOnNon2xx запроса, если не передано - this.ErrorWhenNot2xxFlag
+   * @returns {Promise} промис с объектом Response
    */
-  post(Url, Data = null, Headers = {}, Config = {}) {
-    return this.fetchJSON(Url, "POST", Data, Headers, Config);
+  async checkResponseStatus(Resp, Method, Url, ThrowOnNon2xx) {
+    if (!(ThrowOnNon2xx === undefined ? this.ErrorWhenNot2xxFlag : ThrowOnNon2xx)) {
+      return Resp;
+    }
+    const Status = getFetchResponseStatus(Resp);
+    if (Status >= 200 && Status < 300 || Status === 304) {
+      return Resp;
+    }
+    throw await this.createHTTPStatusError(Resp, Method, Url);
   }
-
   /**
-   * Получает данные методом POST с проверкой авторизации,
-   * если Access токен просрочен, то повторно запрашивает JWT,
-   * используя функцию fetchTokens, если обновить токены не удалось.
-   * Получает данные в виде JSON-строки, 
-   * преобразует их в стандартный объект JavaScript и возвращает в Promise,
-   * фактически это alias для this.fetchJSON(Url, "PUT", Data, Headers, Config);
+   * Создает ErrorHTTPStatus по ответу сервера:
+   * читает тело ответа, разбирает его как JSON, если это возможно,
+   * для application/problem+json (RFC 7807) сохраняет тело в поле problem,
+   * текст ошибки получает через this.extractErrorMessage
    * 
+   * @param {object} Resp ответ сервера, объект Response
+   * @param {string} Method метод запроса
    * @param {string} Url адрес запроса
-   * @param {object} Data не обязательный параметр, объект с данными для PUT-запроса, 
-   * будет преобразован в JSON-строку - JSON.stringify(Data) и добавлен как тело запроса
-   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса,
-   * заголовок Content-Type автоматически устанавливается в application/json
-   * @param {object} Config конфигурация обращения к серверу для стандартной JS-функции fetch
-   * @returns {Promise} промис, содержащий объект с данными
+   * @returns {Promise} промис с объектом ErrorHTTPStatus
    */
-  put(Url, Data = null, Headers = {}, Config = {}) {
-    return this.fetchJSON(Url, "PUT", Data, Headers, Config);
+  async createHTTPStatusError(Resp, Method, Url) {
+    let Body = null;
+    try {
+      const Text = await Resp.text();
+      try {
+        Body = Text ? JSON.parse(Text) : null;
+      } catch (Err) {
+        Body = Text;
+      }
+    } catch (Err) {
+      // тело ответа прочитать не удалось, ошибку создаем без него
+    }
+    const ContentType = (Resp.headers && Resp.headers.get("Content-Type")) || "";
+    const Problem = ContentType.indexOf("application/problem+json") !== -1 && Body && typeof Body === "object"
+      ? Body
+      : null;
+    const ErrMessage = this.extractErrorMessage(Body, Resp);
+    return new ErrorHTTPStatus(
+      "[" + Method + " " + Url + "]" + (ErrMessage ? " " + ErrMessage : ""),
+      getFetchResponseStatus(Resp),
+      { headers: Resp.headers, body: Body, problem: Problem, method: Method, url: Url }
+    );
   }
-
   /**
-   * Получает данные методом POST с проверкой авторизации,
-   * если Access токен просрочен, то повторно запрашивает JWT,
-   * используя функцию fetchTokens, если обновить токены не удалось
-   * Получает данные в виде JSON-строки, 
-   * преобразует их в стандартный объект JavaScript и возвращает в Promise,
-   * фактически это alias для this.fetchJSON(Url, "DELETE", Data, Headers, Config);
+   * Функция получения текста ошибки из тела ответа по умолчанию,
+   * понимает RFC 7807 (title, detail), поля message, error_description, error,
+   * формат { data: { errors } } и текстовые ответы
    * 
-   * @param {string} Url адрес запроса
-   * @param {object} Data не обязательный параметр, объект с данными для DELETE-запроса, 
-   * будет преобразован в JSON-строку - JSON.stringify(Data) и добавлен как тело запроса
-   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса,
-   * заголовок Content-Type автоматически устанавливается в application/json
-   * @param {object} Config конфигурация обращения к серверу для стандартной JS-функции fetch
-   * @returns {Promise} промис, содержащий объект с данными
+   * @param {*} Body тело ответа, объект или строка
+   * @param {object} Resp ответ сервера, объект Response
+   * @returns {string} текст ошибки или пустая строка
    */
-  delete(Url, Data = null, Headers = {}, Config = {}) {
-    return this.fetchJSON(Url, "DELETE", Data, Headers, Config);
+  extractErrorMessageDefault(Body, Resp) {
+    if (!Body) {
+      return "";
+    }
+    if (typeof Body === "string") {
+      return Body.length > 200 ? Body.slice(0, 200) + "..." : Body;
+    }
+    if (Body.title || Body.detail) {
+      return [Body.title, Body.detail].filter(Boolean).join(": ");
+    }
+    if (Body.data && Body.data.errors) {
+      return String(Body.data.errors);
+    }
+    const Message = Body.message || Body.error_description || Body.error;
+    return typeof Message === "string" ? Message : "";
   }
 
   /**
@@ -414,20 +2486,34 @@ export class FetchViaJwt {
    * @param {object} Config конфигурация обращения к серверу для стандартной JS-функции fetch
    * @param {function} Func функция, которая выполняет запрос 
    * и из которой произошел вызов этого обновления токенов
-   * @param {number} Count - служебное поле, используется для подсчета кол-ва вызовов
+   * @param {number} Count - служебное поле, используется для подсчета кол-ва вызовов в Func без счетчиков RequestStats
    * @returns {function}
    */
   refreshTokensAndRepeatRequest(Url, Method, Data, Headers, Config, Func, Count) {
+    // токен на момент вызова нужен, только если запрос ушел не через fetchViaJwt в области отмены Config
+    const StartAccessToken = this.getAccessToken(this.JWT_ACCESS_TOKEN_NAME);
     return (ErrResp) => {
       // если ошибка не Error401, значит это не наша ошибка, выбрасываем дальше
       if (!(ErrResp instanceof Error401)) {
         throw ErrResp;
       }
+      // токен, с которым запрос действительно ушел, fetchViaJwt мог получить его позже вызова -
+      // после заблаговременного обновления или ожидания в очереди Scheduler
+      const UsedAccessToken = Config && SentAccessTokens.has(Config.signal)
+        ? SentAccessTokens.get(Config.signal)
+        : StartAccessToken;
       // если на запрашиваемом ресурсе не прошла авторизация (ответ 401),
-      // делаем запрос на получение новых токенов
-      return this.fetchTokens().then((Tokens) => {
-        this.setAccessToken(Tokens[this.JWT_ACCESS_TOKEN_NAME]);
-        this.setRefreshToken(Tokens[this.JWT_REFRESH_TOKEN_NAME]);
+      // и токены за время запроса никто не обновил, то запрашиваем новые токены,
+      // если обновление уже идет, то просто дожидаемся его
+      const CurrentAccessToken = this.getAccessToken(this.JWT_ACCESS_TOKEN_NAME);
+      const Refreshing = Boolean(this.RefreshPromise) || !CurrentAccessToken || CurrentAccessToken === UsedAccessToken;
+      const Refresh = Refreshing ? this.refreshTokens() : Promise.resolve();
+      return Refresh.then(() => {
+        const Stats = Config && RequestStats.get(Config.signal);
+        if (Stats) {
+          Stats.AuthReplays++;
+          Stats.Refreshed = Stats.Refreshed || Refreshing;
+        }
         // при удачном получении новых токенов рекурсивно вызываем функцию,
         // в которой произошел вызов этого обновления
         return Func.call(this, Url, Method, Data, Headers, Config, Count);
@@ -436,41 +2522,285 @@ export class FetchViaJwt {
   }
 
   /**
-   * Функция получения Access (BEARER) токена по умолчанию из cookie
+   * Запрашивает новые токены через this.fetchTokens и сохраняет их,
+   * одновременно выполняется только одно обновление - 
+   * все вызовы, сделанные во время обновления, получают один и тот же промис,
+   * поэтому при ошибке он будет отклонен для всех ожидающих с одной и той же ошибкой
+   * 
+   * @returns {Promise} промис с объектом, содержащим новые токены
+   */
+  refreshTokens() {
+    if (!this.RefreshPromise) {
+      this.log("info", "[refreshTokens] Обновление токенов");
+      // запросы из очереди дождутся новых токенов, а не получат 401 со старым
+      if (this.Scheduler) {
+        this.Scheduler.pause(this);
+      }
+      this.RefreshPromise = Promise.resolve()
+        .then(() => this.TabSync ? this.fetchAndStoreTokensInOneTab() : this.fetchAndStoreTokens())
+        .then((Tokens) => {
+          this.log("info", "[refreshTokens] Токены обновлены");
+          this.Events.emit(EVENT_TOKENS_REFRESHED, Tokens);
+          return Tokens;
+        })
+        .catch((Err) => {
+          this.log("warn", "[refreshTokens] Не удалось обновить токены", { Error: Err });
+          // сервер отклонил Refresh токен - сессия закончилась, токены больше не нужны,
+          // после отказа в другой вкладке их удалит ее сообщение о выходе
+          if (this.isRefreshRejected(Err)) {
+            this.expireSession(Err, !(Err instanceof ErrorRefreshFailed));
+          }
+          throw Err;
+        })
+        .finally(() => {
+          this.RefreshPromise = null;
+          if (this.Scheduler) {
+            this.Scheduler.resume(this);
+          }
+        });
+    }
+    return this.RefreshPromise;
+  }
+
+  /**
+   * запрашивает новые токены через this.fetchTokens и сохраняет их
+   * 
+   * @returns {Promise} промис с объектом, содержащим новые токены
+   */
+  fetchAndStoreTokens() {
+    return this.fetchTokens().then((Tokens) => {
+      this.storeTokens(Tokens);
+      return Tokens;
+    });
+  }
+
+  /**
+   * сохраняет токены из объекта, полученного от сервера, в локальные хранилища
+   * 
+   * @param {object} Tokens объект с токенами под именами JWT_ACCESS_TOKEN_NAME и JWT_REFRESH_TOKEN_NAME
+   */
+  storeTokens(Tokens) {
+    const AccessToken = Tokens[this.JWT_ACCESS_TOKEN_NAME];
+    this.setAccessToken(AccessToken);
+    this.setRefreshToken(Tokens[this.JWT_REFRESH_TOKEN_NAME]);
+    if (AccessToken) {
+      const ReceivedAt = Date.now();
+      this.AccessTokenExpiry = {
+        Token: AccessToken,
+        ReceivedAt,
+        ExpiresAt: Tokens.expires_in ? ReceivedAt + Tokens.expires_in * 1000 : null,
+      };
+    }
+    this.SessionExpiredFlag = false;
+  }
+
+  /**
+   * Обновляет токены в режиме CrossTab:
+   * если эта вкладка получила право обновления, то запрашивает токены и рассылает их другим вкладкам,
+   * иначе дожидается токенов от вкладки, которая их обновляет,
+   * если та сообщила об ошибке, то промис отклоняется с ErrorRefreshFailed,
+   * если не ответила до истечения своего права, то вкладка снова пытается получить право обновления,
+   * после MAX_CALL_COUNT неудачных попыток промис отклоняется с ErrorMaxCallCount
+   * 
+   * @param {number} Attempt - служебное поле, номер попытки
+   * @returns {Promise} промис с объектом, содержащим новые токены
+   */
+  async fetchAndStoreTokensInOneTab(Attempt = 0) {
+    if (Attempt >= this.MAX_CALL_COUNT) {
+      throw new ErrorMaxCallCount("[fetchAndStoreTokensInOneTab]");
+    }
+    if (await this.TabSync.acquireLock()) {
+      try {
+        const Tokens = await this.fetchAndStoreTokens();
+        this.TabSync.post({ type: TAB_MESSAGE_TOKENS, Tokens });
+        return Tokens;
+      } catch (Err) {
+        this.TabSync.post({
+          type: TAB_MESSAGE_REFRESH_FAILED,
+          Error: { name: Err.name, message: Err.message, status: Err.status || null },
+          Rejected: this.isRefreshRejected(Err),
+        });
+        throw Err;
+      } finally {
+        this.TabSync.releaseLock();
+      }
+    }
+    const Message = await this.TabSync.waitForMessage(
+      [TAB_MESSAGE_TOKENS, TAB_MESSAGE_REFRESH_FAILED],
+      this.TabSync.getLockRemaining() || TAB_SYNC_LOCK_TTL
+    );
+    // токены из сообщения уже сохранены в this.onTabMessage
+    if (Message && Message.type === TAB_MESSAGE_TOKENS) {
+      return Message.Tokens;
+    }
+    // повторять обновление после ошибки в другой вкладке бесполезно, Refresh токен у вкладок общий
+    if (Message && Message.type === TAB_MESSAGE_REFRESH_FAILED) {
+      const Failure = Message.Error || {};
+      throw new ErrorRefreshFailed("[fetchAndStoreTokensInOneTab]" + (Failure.message ? " " + Failure.message : ""), {
+        status: Failure.status,
+        rejected: Message.Rejected,
+      });
+    }
+    return this.fetchAndStoreTokensInOneTab(Attempt + 1);
+  }
+
+  /**
+   * Обрабатывает сообщения от других вкладок в режиме CrossTab,
+   * сохраняет полученные токены или удаляет их при выходе пользователя
+   * 
+   * @param {object} Message объект сообщения с полем type
+   */
+  onTabMessage(Message) {
+    switch (Message.type) {
+      case TAB_MESSAGE_TOKENS:
+        if (Message.Tokens) {
+          this.storeTokens(Message.Tokens);
+          this.Events.emit(EVENT_TOKENS_REFRESHED, Message.Tokens);
+        }
+        break;
+      case TAB_MESSAGE_LOGOUT:
+        this.abortPendingRequests();
+        this.clearTokens(false);
+        this.startLogoutHandlers();
+        this.Events.emit(EVENT_LOGGED_OUT, { Remote: true });
+        break;
+    }
+  }
+
+  /**
+   * Удаляет оба токена из локальных хранилищ,
+   * в режиме CrossTab по умолчанию сообщает об этом остальным вкладкам, 
+   * и они тоже удалят свои токены
+   * 
+   * @param {boolean} Broadcast - передать ли удаление в другие вкладки, по умолчанию true
+   */
+  clearTokens(Broadcast = true) {
+    this.removeAccessToken();
+    this.removeRefreshToken();
+    this.clearCache();
+    if (Broadcast && this.TabSync) {
+      this.TabSync.post({ type: TAB_MESSAGE_LOGOUT });
+    }
+  }
+
+  /**
+   * Проверяет по полю exp из payload токена, истек ли срок действия Access токена,
+   * с учетом запаса this.CLOCK_SKEW (см. this.getClockSkew),
+   * если токен не является JWT или в нем нет exp, то проверяется срок из expires_in последнего ответа сервера,
+   * если и он неизвестен, то токен считается действующим,
+   * в этом случае о его просрочке сообщит сервер ответом 401
+   * 
+   * @param {string} AccessToken 
+   * @returns {boolean}
+   */
+  isAccessTokenExpired(AccessToken) {
+    const Payload = decodeJwtPayload(AccessToken);
+    const Received = this.AccessTokenExpiry && this.AccessTokenExpiry.Token === AccessToken ? this.AccessTokenExpiry : null;
+    // для непрозрачных токенов срок известен только из expires_in ответа сервера
+    const ExpiresAt = Payload && typeof Payload.exp === "number"
+      ? Payload.exp * 1000
+      : (Received && Received.ExpiresAt);
+    if (!ExpiresAt) {
+      return false;
+    }
+    return ExpiresAt - this.getClockSkew(ExpiresAt, Received) <= Date.now();
+  }
+  /**
+   * Возвращает запас до истечения срока Access токена в мс: this.CLOCK_SKEW,
+   * но для токена, полученного от сервера со сроком жизни не больше этого запаса, - половину срока,
+   * иначе такой токен считался бы просроченным сразу и обновлялся перед каждым запросом
+   * 
+   * @param {number} ExpiresAt время истечения срока токена в мс
+   * @param {object} Received запись this.AccessTokenExpiry этого токена или null, если токен получен не в этом объекте
+   * @returns {number}
+   */
+  getClockSkew(ExpiresAt, Received) {
+    const ClockSkew = this.CLOCK_SKEW * 1000;
+    if (!Received || ExpiresAt - Received.ReceivedAt > ClockSkew) {
+      return ClockSkew;
+    }
+    return Math.max(ExpiresAt - Received.ReceivedAt, 0) / 2;
+  }
+
+  /**
+   * Возвращает промис с действующим Access токеном,
+   * если токен просрочен или отсутствует, но есть Refresh токен (или он хранится в cookie - RefreshCredentials = 'include'),
+   * то предварительно обновляет токены через this.refreshTokens,
+   * если нет ни одного токена, то промис отклоняется с ошибкой ErrorNoAccessToken
+   * 
+   * @param {AbortSignal} Signal не обязательный параметр, сигнал области запроса (см. withAbortScope),
+   * в счетчиках которого отмечается ожидание обновления токенов
+   * @returns {Promise} промис со строкой Access токена
+   */
+  async getValidAccessToken(Signal = null) {
+    const AccessToken = this.getAccessToken(this.JWT_ACCESS_TOKEN_NAME);
+    if (AccessToken && !this.isAccessTokenExpired(AccessToken)) {
+      return AccessToken;
+    }
+    // Refresh токен в httpOnly cookie из JS не виден, есть ли он, покажет только запрос обновления
+    if (!AccessToken && !this.getRefreshToken() && this.RefreshCredentials !== "include") {
+      const Err = new ErrorNoAccessToken("[getValidAccessToken]");
+      this.expireSession(Err);
+      throw Err;
+    }
+    const Stats = Signal && RequestStats.get(Signal);
+    if (Stats) {
+      Stats.Refreshed = true;
+    }
+    await this.refreshTokens();
+    const NewAccessToken = this.getAccessToken(this.JWT_ACCESS_TOKEN_NAME);
+    if (!NewAccessToken) {
+      throw new ErrorNoAccessToken("[getValidAccessToken]");
+    }
+    return NewAccessToken;
+  }
+
+  /**
+   * Функция получения Access (BEARER) токена по умолчанию из this.AccessTokenStorage
    * 
    * @returns {string} Access (BEARER) токен
    */
   getAccessTokenDefault() {
-    return getCookie(this.JWT_ACCESS_TOKEN_NAME); // BEARER
-    // return localStorage.getItem(this.JWT_ACCESS_TOKEN_NAME);
+    return this.AccessTokenStorage.get(this.JWT_ACCESS_TOKEN_NAME); // BEARER
   }
   /**
-   * Функция установки Access (BEARER) токена по умолчанию в cookie
+   * Функция установки Access (BEARER) токена по умолчанию в this.AccessTokenStorage
    * @param {string} AccessToken 
    */
   setAccessTokenDefault(AccessToken) {
     if (AccessToken) {
-      setCookie(this.JWT_ACCESS_TOKEN_NAME, AccessToken); // BEARER
-      // localStorage.setItem(this.JWT_ACCESS_TOKEN_NAME, AccessToken);
+      this.AccessTokenStorage.set(this.JWT_ACCESS_TOKEN_NAME, AccessToken); // BEARER
     }
   }
   /**
-   * Функция получения Refresh токена по умолчанию из local storage
+   * Функция получения Refresh токена по умолчанию из this.RefreshTokenStorage
    * 
    * @returns {string} Refresh токен
    */
   getRefreshTokenDefault() {
-    return localStorage.getItem(this.JWT_REFRESH_TOKEN_NAME);
+    return this.RefreshTokenStorage.get(this.JWT_REFRESH_TOKEN_NAME);
   }
   /**
-   * Функция установки Refresh токена по умолчанию в local storage
-   * @param {string} AccessToken 
+   * Функция установки Refresh токена по умолчанию в this.RefreshTokenStorage
+   * @param {string} RefreshToken 
    */
   setRefreshTokenDefault(RefreshToken) {
     if (RefreshToken) {
-      localStorage.setItem(this.JWT_REFRESH_TOKEN_NAME, RefreshToken);
+      this.RefreshTokenStorage.set(this.JWT_REFRESH_TOKEN_NAME, RefreshToken);
     }
   }
+  /**
+   * Функция удаления Access (BEARER) токена по умолчанию из this.AccessTokenStorage
+   */
+  removeAccessTokenDefault() {
+    this.AccessTokenStorage.remove(this.JWT_ACCESS_TOKEN_NAME); // BEARER
+  }
+  /**
+   * Функция удаления Refresh токена по умолчанию из this.RefreshTokenStorage
+   */
+  removeRefreshTokenDefault() {
+    this.RefreshTokenStorage.remove(this.JWT_REFRESH_TOKEN_NAME);
+  }
 
   /**
    * Запрашивает новые токены и возвращает промис с объектом с токенами,
@@ -478,7 +2808,7 @@ export class FetchViaJwt {
    * в ответе от сервера должна быть JSON-строка с объектом с токенами или токеном,
    * Refresh-токен может содержаться в httpOnly cookie, в этом случае JS никак не контролирует этот токен, только отправляет запросы,
    * где Refresh-токен в cookie прикрепляется автоматически.
-   * Так же здесь Access (BEARER) токен может быть в заголовке ответа с именем [this.JWT_ACCESS_TOKEN_NAME].
+   * Access (BEARER) токен может прийти и в заголовке ответа, см. this.mapRefreshResponse.
    * Эта функция не сохраняет токены в локальных хранилищах!
    * 
    * @returns {Promise} промис с объектом, содержащим Access (BEARER) токен и, возможно, Refresh-токен
@@ -489,23 +2819,91 @@ export class FetchViaJwt {
     if (RefreshToken) { RequestData[this.JWT_REFRESH_TOKEN_NAME] = RefreshToken; }
 
     const Resp = await this
-      .simpleGet(this.JWT_REFRESH_URL, RequestData);
+      .simpleGet(this.JWT_REFRESH_URL, RequestData, {}, { dpop: {}, retry: false, credentials: this.RefreshCredentials });
 
     if (checkFetchResponseStatus(Resp, HTTP_PAGE_NOT_FOUND)) {
       throw new Error404("[fetchTokensDefault]");
     }
-    // ********************************************************************************
-    // ************ ВРЕМЕННОЕ РЕШЕНИЕ ПРОВЕРКИ BEARER В ЗАГОЛОВКЕ ОТВЕТА **************
-    // ************************* ТАК РЕАЛИЗОВАНО В КОНТЕ ******************************
-    // ********************************************************************************
-    if (this.CheckBearerInHeaderFlag) {
-      const BearerHeader = Resp.headers.get(this.JWT_ACCESS_TOKEN_NAME.toLocaleLowerCase());
-      if (BearerHeader) {
-        return new Promise(resolve => resolve({ [this.JWT_ACCESS_TOKEN_NAME]: BearerHeader }));
-        // this.setAccessToken(BearerHeader);
+    // сервер отклонил запрос обновления, например Refresh токен просрочен или уже использован
+    if (!Resp.ok) {
+      throw await this.createHTTPStatusError(Resp, "GET", this.JWT_REFRESH_URL);
+    }
+    return this.mapRefreshResponse(Resp);
+  }
+  /**
+   * Получает объект токенов из ответа сервера на запрос обновления токенов (кроме режима OAuth2):
+   * токены берутся из JSON-тела ответа под именами JWT_ACCESS_TOKEN_NAME и JWT_REFRESH_TOKEN_NAME,
+   * если задан this.AccessTokenHeader (или установлен CheckBearerInHeaderFlag - тогда заголовок JWT_ACCESS_TOKEN_NAME)
+   * и этот заголовок есть в ответе, то Access токен берется из него (без схемы Bearer), а тело ответа может быть пустым
+   * 
+   * @param {object} Resp ответ сервера, объект Response
+   * @returns {Promise} промис с объектом токенов
+   */
+  async mapRefreshResponse(Resp) {
+    const HeaderName = this.AccessTokenHeader || (this.CheckBearerInHeaderFlag ? this.JWT_ACCESS_TOKEN_NAME : "");
+    const HeaderToken = HeaderName ? Resp.headers.get(HeaderName) : null;
+    if (!HeaderToken) {
+      return Resp.json();
+    }
+    const Text = await Resp.text();
+    let Body = {};
+    try {
+      Body = Text ? JSON.parse(Text) : {};
+    } catch (Err) {
+      // в теле не JSON, токен есть в заголовке
+    }
+    return Object.assign({}, Body, { [this.JWT_ACCESS_TOKEN_NAME]: HeaderToken.replace(/^Bearer\s+/i, "") });
+  }
+
+  /**
+   * Запрашивает новые токены в режиме OAuth2 (RFC 6749, раздел 6):
+   * отправляет на this.JWT_REFRESH_URL POST-запрос в формате application/x-www-form-urlencoded
+   * с grant_type=refresh_token, refresh_token, client_id и, если заданы, client_secret и scope,
+   * ответ с ошибкой invalid_grant отклоняет промис с ErrorInvalidGrant, после чего сессия завершается.
+   * Эта функция не сохраняет токены в локальных хранилищах!
+   * 
+   * @returns {Promise} промис с объектом токенов под именами JWT_ACCESS_TOKEN_NAME, JWT_REFRESH_TOKEN_NAME и expires_in
+   */
+  async fetchTokensOAuth2() {
+    const Params = new URLSearchParams();
+    Params.append("grant_type", "refresh_token");
+    Params.append("refresh_token", this.getRefreshToken() || "");
+    if (this.OAuth2.ClientId) {
+      Params.append("client_id", this.OAuth2.ClientId);
+    }
+    if (this.OAuth2.ClientSecret) {
+      Params.append("client_secret", this.OAuth2.ClientSecret);
+    }
+    if (this.OAuth2.Scope) {
+      Params.append("scope", this.OAuth2.Scope);
+    }
+    const Resp = await this.simplePost(this.JWT_REFRESH_URL, Params, { Accept: "application/json" }, {
+      dpop: {},
+      retry: false,
+      credentials: this.RefreshCredentials,
+    });
+    if (!Resp.ok) {
+      const Err = await this.createHTTPStatusError(Resp, "POST", this.JWT_REFRESH_URL);
+      if (Err.body && Err.body.error === "invalid_grant") {
+        throw new ErrorInvalidGrant("[fetchTokensOAuth2]", Err.status, Err);
       }
+      throw Err;
     }
-    return Resp.json();
+    return this.mapOAuth2Tokens(await Resp.json());
+  }
+  /**
+   * Преобразует ответ сервера авторизации OAuth2 (access_token, refresh_token, expires_in)
+   * в объект токенов под именами JWT_ACCESS_TOKEN_NAME и JWT_REFRESH_TOKEN_NAME
+   * 
+   * @param {object} Body ответ сервера авторизации
+   * @returns {object} объект токенов
+   */
+  mapOAuth2Tokens(Body) {
+    return {
+      [this.JWT_ACCESS_TOKEN_NAME]: Body.access_token,
+      [this.JWT_REFRESH_TOKEN_NAME]: Body.refresh_token,
+      expires_in: Body.expires_in,
+    };
   }
 
   /**
@@ -524,14 +2922,44 @@ export class FetchViaJwt {
    * @returns {Promise}
    */
   fetch(Url, Data = null, Headers = {}, Config = {}) {
+    return this.withAbortScope(Config, ScopedConfig => this.fetchNow(Url, Data, Headers, ScopedConfig));
+  }
+  /**
+   * Формирует заголовки и конфигурацию и вызывает стандартный fetch, 
+   * используется в this.fetch уже внутри области отмены запроса
+   * 
+   * @param {string} Url обязательный параметр, Url-адрес запроса
+   * @param {object} Data не обязательный параметр, объект с данными для запроса
+   * @param {object} Headers не обязательный параметр, объект с Http-заголовками для запроса
+   * @param {object} Config не обязательный параметр, объект стандартных настроек запроса fetch
+   * @returns {Promise}
+   */
+  fetchNow(Url, Data = null, Headers = {}, Config = {}) {
+    // у GET и HEAD запросов нет тела, данные из Data добавляются в строку запроса
+    const Method = (Config.method || "GET").toUpperCase();
+    if (Data && (Method === "GET" || Method === "HEAD")) {
+      Config = this.mergeQuery(Config, Data);
+      Data = null;
+    }
+    const RawBody = isRawBody(Data);
+    const ExplicitContentType = hasContentType(Headers);
+    // для FormData, URLSearchParams, Blob и строк Content-Type выставит сам fetch 
+    // (для FormData вместе с обязательным boundary), поэтому JSON-заголовок ставим только для объектов,
+    // а общий Content-Type из this.CommonHeaders убираем, если данные не объект или заголовок передан явно
+    const CommonHeaders = Object.assign({}, this.CommonHeaders);
+    if (RawBody || ExplicitContentType) {
+      Object.keys(CommonHeaders)
+        .filter(Key => Key.toLowerCase() === "content-type")
+        .forEach(Key => delete CommonHeaders[Key]);
+    }
     // объединение всех заголовков,
     // главный приоритет у Headers из аргументов функции, 
     // заголовки из Headers перезапишут такие же из this.CommonHeaders,
     // на последнем месте будут заголовки установленные в this.CommonHeaders
     const AllHeaders = Object.assign(
       {},
-      this.CommonHeaders,
-      { "Content-Type": "application/json", },
+      CommonHeaders,
+      RawBody || ExplicitContentType ? {} : { "Content-Type": "application/json", },
       Headers || {}
     );
     const FullConfig = {
@@ -542,14 +2970,166 @@ export class FetchViaJwt {
       headers: AllHeaders,
       redirect: Config.redirect, // || "follow", // manual, *follow, error
       referrerPolicy: Config.referrerPolicy, // || "origin", // no-referrer, *client
-      body: Data ? JSON.stringify(Data) : undefined, // содержимое должно соответствовать указанному в заголовке "Content-Type"
+      // содержимое должно соответствовать указанному в заголовке "Content-Type",
+      // FormData, Blob, ArrayBuffer, URLSearchParams и строки передаются без изменений
+      body: Data ? (RawBody ? Data : JSON.stringify(Data)) : undefined,
+      signal: Config.signal, // AbortSignal для отмены запроса
+      // стандартный fetch это поле не использует, при нем запрос отправляется через xhrTransport
+      onUploadProgress: Config.onUploadProgress,
+      // { AccessToken } - к запросу добавляется доказательство DPoP, см. this.sendTransport
+      dpop: Config.dpop,
+      // false - без повторов по this.RetryPolicy, см. this.canRetry
+      retry: Config.retry,
     };
 
-    return fetch(Url, FullConfig);
+    return this.fetchWithRetry(this.buildRequestUrl(Url, Config), FullConfig);
+  }
+  /**
+   * Функция отправки запроса по умолчанию - стандартный fetch,
+   * глобальный fetch берется в момент вызова, а не при создании объекта
+   * 
+   * @param {string} Url полный адрес запроса
+   * @param {object} Init настройки запроса fetch
+   * @returns {Promise} промис с объектом Response
+   */
+  transportDefault(Url, Init) {
+    return fetch(Url, Init);
+  }
+  /**
+   * Формирует полный адрес запроса: подставляет параметры пути из Config.params (/users/:id),
+   * добавляет this.BASE_URL к относительному адресу и строку запроса из Config.query
+   * в формате this.QueryFormat
+   * 
+   * @param {string} Url адрес запроса
+   * @param {object} Config конфигурация запроса с необязательными полями params и query
+   * @returns {string}
+   */
+  buildRequestUrl(Url, Config = {}) {
+    return buildUrl(Url, {
+      BaseUrl: this.BASE_URL,
+      Params: Config.params,
+      Query: Config.query,
+      QueryFormat: this.QueryFormat,
+    });
+  }
+  /**
+   * Вызывает стандартный fetch и повторяет его согласно this.RetryPolicy
+   * при сетевой ошибке или ответе с кодом из RetryPolicy.StatusCodes,
+   * между попытками выдерживается экспоненциальная задержка со случайным разбросом
+   * или время из заголовка Retry-After,
+   * эти повторы считаются отдельно от повторов после обновления токенов (MAX_CALL_COUNT)
+   * 
+   * @param {string} Url Url-адрес запроса
+   * @param {object} FullConfig полная конфигурация для стандартного fetch
+   * @param {number} Attempt - служебное поле, номер текущей попытки
+   * @returns {Promise} промис с объектом Response
+   */
+  fetchWithRetry(Url, FullConfig, Attempt = 1) {
+    const Stats = FullConfig.signal && RequestStats.get(FullConfig.signal);
+    if (Stats && Attempt > 1) {
+      Stats.Retries++;
+    }
+    // fetch не сообщает о прогрессе отправки, поэтому для onUploadProgress используется XMLHttpRequest,
+    // собственный transport получает onUploadProgress в настройках запроса и обрабатывает его сам
+    const Transport = FullConfig.onUploadProgress && this.transport === this.transportDefault && typeof XMLHttpRequest !== "undefined"
+      ? xhrTransport
+      : this.transport;
+    return this.sendTransport(Transport, Url, FullConfig).then(
+      (Resp) => {
+        if (!this.canRetry(FullConfig, Attempt) || this.RetryPolicy.StatusCodes.indexOf(Resp.status) === -1) {
+          return Resp;
+        }
+        const RetryDelay = this.getRetryDelay(Attempt, Resp);
+        this.log("info", "[fetchWithRetry] Повтор запроса после ответа " + Resp.status, { Attempt, Delay: RetryDelay });
+        return delay(RetryDelay, FullConfig.signal)
+          .then(() => this.fetchWithRetry(Url, FullConfig, Attempt + 1));
+      },
+      (Err) => {
+        // fetch выбрасывает TypeError при сетевой ошибке, отмену запроса не повторяем
+        const Aborted = FullConfig.signal && FullConfig.signal.aborted;
+        if (Err instanceof TypeError && !Aborted) {
+          NetworkErrors.add(Err);
+        }
+        if (Aborted || !(Err instanceof TypeError) || !this.canRetry(FullConfig, Attempt)) {
+          throw Err;
+        }
+        const RetryDelay = this.getRetryDelay(Attempt);
+        this.log("info", "[fetchWithRetry] Повтор запроса после сетевой ошибки", { Attempt, Delay: RetryDelay, Error: Err });
+        return delay(RetryDelay, FullConfig.signal)
+          .then(() => this.fetchWithRetry(Url, FullConfig, Attempt + 1));
+      }
+    );
+  }
+  /**
+   * Отправляет запрос через Transport, в режиме DPoP для запросов с FullConfig.dpop
+   * добавляет заголовок DPoP с новым доказательством (у каждой попытки свой jti),
+   * если сервер потребовал nonce (DPoP-Nonce), то один раз повторяет запрос с ним
+   * 
+   * @param {function} Transport функция отправки запроса
+   * @param {string} Url полный адрес запроса
+   * @param {object} FullConfig полная конфигурация для стандартного fetch
+   * @returns {Promise} промис с объектом Response
+   */
+  async sendTransport(Transport, Url, FullConfig) {
+    if (!this.Dpop || !FullConfig.dpop) {
+      return Transport.call(this, Url, FullConfig);
+    }
+    const send = async () => {
+      const Proof = await this.Dpop.createProof(FullConfig.method, Url, FullConfig.dpop.AccessToken);
+      return Transport.call(this, Url, Object.assign({}, FullConfig, {
+        headers: Object.assign({}, FullConfig.headers, { [DPOP_HEADER]: Proof }),
+        dpop: undefined,
+      }));
+    };
+    const Resp = await send();
+    if (this.Dpop.acceptNonce(Url, Resp) && await isDpopNonceChallenge(Resp)) {
+      this.log("debug", "[sendTransport] Повтор запроса с DPoP-Nonce сервера", { Status: Resp.status });
+      return send();
+    }
+    return Resp;
+  }
+  /**
+   * проверяет, разрешает ли this.RetryPolicy еще одну попытку для этого запроса,
+   * запросы с FullConfig.retry = false не повторяются
+   * 
+   * @param {object} FullConfig полная конфигурация для стандартного fetch
+   * @param {number} Attempt номер текущей попытки
+   * @returns {boolean}
+   */
+  canRetry(FullConfig, Attempt) {
+    if (FullConfig.retry === false || Attempt >= this.RetryPolicy.MaxAttempts) {
+      return false;
+    }
+    const Method = (FullConfig.method || "GET").toUpperCase();
+    return this.RetryPolicy.RetryNonIdempotent || IDEMPOTENT_METHODS.indexOf(Method) !== -1;
+  }
+  /**
+   * Вычисляет задержку перед следующей попыткой в мс,
+   * если в ответе есть Retry-After (секунды или дата) и RetryPolicy.RespectRetryAfter, то берется оно,
+   * иначе экспоненциальная задержка с полным случайным разбросом (full jitter),
+   * в обоих случаях не больше RetryPolicy.MaxDelay
+   * 
+   * @param {number} Attempt номер текущей попытки
+   * @param {object} Resp не обязательный параметр, ответ сервера
+   * @returns {number}
+   */
+  getRetryDelay(Attempt, Resp = null) {
+    const Policy = this.RetryPolicy;
+    const RetryAfter = Resp && Policy.RespectRetryAfter ? Resp.headers.get("Retry-After") : null;
+    if (RetryAfter) {
+      const Seconds = Number(RetryAfter);
+      const Ms = isNaN(Seconds) ? Date.parse(RetryAfter) - Date.now() : Seconds * 1000;
+      if (!isNaN(Ms)) {
+        return Math.min(Math.max(Ms, 0), Policy.MaxDelay);
+      }
+    }
+    const Backoff = Math.min(Policy.BaseDelay * Math.pow(2, Attempt - 1), Policy.MaxDelay);
+    return Math.round(Math.random() * Backoff);
   }
   /**
    * fetch сконфигурированный для отправки запроса с JWT-ключом
-   * Access (Bearer) в заголовке Authorization
+   * Access (Bearer) в заголовке Authorization,
+   * на адрес не из AllowedOrigins запрос уходит без токена или отклоняется с ErrorOriginNotAllowed, в зависимости от OriginPolicy
    * 
    * @param {string} Url - URL-адрес запроса
    * @param {string} Method - метод, по умолчанию GET
@@ -560,19 +3140,56 @@ export class FetchViaJwt {
    * @returns {Promise} промис будет содержать данные ответа сервера - объект Response
    */
   fetchViaJwt(Url, Method = "GET", Data = null, Headers = {}, Config = {}) {
-    // если флаг AuthorizationFlag установлен в true,
-    // значит нужно установить заголовок Authorization с ключом Bearer
-    if (this.AuthorizationFlag) {
-      const AccessToken = this.getAccessToken(this.JWT_ACCESS_TOKEN_NAME); // BEARER
-      if (!AccessToken) {
-        return new Promise((res, reject) => {
-          reject(new ErrorNoAccessToken("[fetchViaJwt]"));
+    return this.withAbortScope(Config, (ScopedConfig) => {
+      // объекты Headers и Config вызывающего кода не меняются, они могут использоваться повторно
+      const RequestConfig = Object.assign({}, ScopedConfig, { method: Method });
+      // токен передается только на разрешенные адреса, в том числе при вызове этого метода,
+      // getViaJwt, fetchCounted и getCounted напрямую, минуя fetchRouted
+      const FullUrl = this.buildRequestUrl(Url, RequestConfig);
+      const Allowed = this.isOriginAllowed(FullUrl);
+      if (!Allowed && this.AuthorizationFlag && RequestConfig.auth !== false && this.OriginPolicy === ORIGIN_POLICY_REJECT) {
+        throw new ErrorOriginNotAllowed("[" + Method + " " + Url + "]", FullUrl);
+      }
+      const send = () => {
+        // если флаг AuthorizationFlag не установлен, для запроса передан auth = false
+        // или адрес не из AllowedOrigins, то заголовок Authorization не нужен
+        if (!this.AuthorizationFlag || RequestConfig.auth === false || !Allowed) {
+          return this.fetch(Url, Data, Headers, RequestConfig);
+        }
+        // иначе нужно установить заголовок Authorization с ключом Bearer (в режиме DPoP - с доказательством),
+        // просроченный или отсутствующий токен будет заранее обновлен,
+        // при skipRefresh токен передается как есть, а без токена запрос уходит без заголовка
+        const AccessTokenPromise = RequestConfig.skipRefresh
+          ? Promise.resolve(this.getAccessToken(this.JWT_ACCESS_TOKEN_NAME))
+          : this.getValidAccessToken(RequestConfig.signal);
+        return AccessTokenPromise.then((AccessToken) => {
+          SentAccessTokens.set(RequestConfig.signal, AccessToken);
+          const AuthHeaders = Object.assign({}, Headers);
+          if (AccessToken) {
+            AuthHeaders["Authorization"] = this.getAuthorizationHeader(AccessToken);
+          }
+          return this.fetch(Url, Data, AuthHeaders, Object.assign(RequestConfig, { dpop: { AccessToken } }));
         });
+      };
+      if (!this.Scheduler) {
+        return send();
       }
-      Headers["Authorization"] = "Bearer " + AccessToken
-    }
-    Config.method = Method;
-    return this.fetch(Url, Data, Headers, Config);
+      // токен берется, когда подошла очередь запроса, поэтому после обновления токенов уходит уже новый,
+      // место в очереди занято до получения ответа (без чтения тела)
+      return this.Scheduler.schedule(send, {
+        Priority: RequestConfig.priority,
+        Origin: getUrlOrigin(FullUrl),
+        Signal: RequestConfig.signal,
+      });
+    });
+  }
+
+  /**
+   * @param {string} AccessToken Access токен
+   * @returns {string} значение заголовка Authorization: "Bearer <token>", в режиме DPoP - "DPoP <token>"
+   */
+  getAuthorizationHeader(AccessToken) {
+    return (this.Dpop ? "DPoP " : "Bearer ") + AccessToken;
   }
 
   /**
@@ -587,8 +3204,21 @@ export class FetchViaJwt {
    * @returns {Promise}
    */
   getViaJwt(Url, Data = null, Headers = {}, Config = {}) {
-    const NewUrl = generateGetUrl(Url, Data);
-    return this.fetchViaJwt(NewUrl, "GET", null, Headers, Config);
+    return this.fetchViaJwt(Url, "GET", Data, Headers, Config);
+  }
+  /**
+   * возвращает копию Config, в поле query которой к Config.query добавлены все пары из Data
+   * 
+   * @param {object} Config конфигурация запроса
+   * @param {object} Data объект с данными для строки запроса
+   * @returns {object}
+   */
+  mergeQuery(Config, Data) {
+    const FullConfig = Object.assign({}, Config || {});
+    if (Data) {
+      FullConfig.query = Object.assign({}, Data, FullConfig.query || {});
+    }
+    return FullConfig;
   }
 
   /**
@@ -607,8 +3237,7 @@ export class FetchViaJwt {
    * @returns {Promise}
    */
   simpleGet(Url, Data = null, Headers = {}, Config = {}) {
-    const NewUrl = generateGetUrl(Url, Data);
-    return this.fetch(NewUrl, null, Headers, Object.assign({}, Config || {}, { method: "GET" }));
+    return this.fetch(Url, Data, Headers, Object.assign({}, Config || {}, { method: "GET" }));
   }
   /**
    * Вызывает простой fetch с методом POST без использования JWT авторизации, 
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ErrorAbort, ErrorTimeout } from "../index.js";
+import { createClient, wait } from "./helpers.mjs";
+
+test("signal отменяет выполняющийся запрос с ErrorAbort", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/slow", { delay: 50 });
+  const Controller = new AbortController();
+
+  const Request = $fetch.get("/slow", null, {}, { signal: Controller.signal });
+  await wait(5);
+  Controller.abort();
+
+  await assert.rejects(Request, ErrorAbort);
+});
+
+test("запрос с уже отмененным signal сразу отклоняется с ErrorAbort", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/me", { delay: 50 });
+  const Started = Date.now();
+
+  await assert.rejects($fetch.get("/me", null, {}, { signal: AbortSignal.abort() }), ErrorAbort);
+
+  assert.ok(Date.now() - Started < 50);
+});
+
+test("timeout ограничивает время всего запроса, включая ожидание обновления токенов", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/me", {});
+  Mock.expireAccessToken();
+  Mock.rejectRefresh(() => ({ delay: 50, body: Mock.issueTokens() }));
+
+  await assert.rejects(
+    $fetch.get("/me", null, {}, { timeout: 20 }),
+    Err => Err instanceof ErrorTimeout && Err.timeout === 20
+  );
+});
+
+test("logout отменяет все выполняющиеся запросы", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/slow", { delay: 50 });
+
+  const Request = $fetch.get("/slow");
+  await wait(5);
+  await $fetch.logout();
+
+  await assert.rejects(Request, ErrorAbort);
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createClient } from "./helpers.mjs";
+
+test("объект отправляется JSON-строкой с Content-Type application/json", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("POST", "/users", { status: 201 });
+
+  await $fetch.post("/users", { name: "Ann" });
+
+  const [Request] = Mock.calls("POST", "/users");
+  assert.equal(Request.Body, "{\"name\":\"Ann\"}");
+  assert.equal(Request.Headers["content-type"], "application/json");
+});
+
+test("FormData, URLSearchParams, Blob и строка передаются без изменений и без JSON-заголовка", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("POST", "/upload", { status: 201 });
+  const Form = new FormData();
+  Form.append("file", new Blob(["data"]), "a.txt");
+  const Bodies = [Form, new URLSearchParams({ a: "1" }), new Blob(["data"], { type: "text/plain" }), "raw text"];
+
+  for (const Body of Bodies) {
+    await $fetch.post("/upload", Body);
+  }
+
+  const Requests = Mock.calls("POST", "/upload");
+  assert.deepEqual(Requests.map(Request => Request.Body), Bodies);
+  assert.ok(Requests.every(Request => Request.Headers["content-type"] === undefined));
+});
+
+test("явный Content-Type важнее общего заголовка и значения по умолчанию", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("PUT", "/notes/1", { status: 204 });
+
+  await $fetch.put("/notes/1", "# Заголовок", { "Content-Type": "text/markdown" });
+
+  const [Request] = Mock.calls("PUT", "/notes/1");
+  assert.equal(Request.Body, "# Заголовок");
+  assert.equal(Request.Headers["content-type"], "text/markdown");
+});
+
+test("данные GET-запроса добавляются в строку запроса", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/users", { body: [] });
+
+  await $fetch.get("/users", { page: 2 });
+
+  const [Request] = Mock.calls("GET", "/users");
+  assert.deepEqual(Request.Query, { page: "2" });
+  assert.equal(Request.Body, null);
+});
@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MemoryStorageAdapter, FetchViaJwt } from "../index.js";
+import { MockTransport } from "../MockTransport.js";
+import { createClient } from "./helpers.mjs";
+
+test("свежий ответ отдается из кеша, одновременные одинаковые запросы объединяются", async () => {
+  const { Mock, $fetch } = createClient({ Cache: { Ttl: 60000 } });
+  Mock.on("GET", "/users", { body: [1, 2], delay: 10 });
+
+  const Results = await Promise.all([$fetch.get("/users"), $fetch.get("/users")]);
+  const Cached = await $fetch.get("/users");
+
+  assert.deepEqual(Results, [[1, 2], [1, 2]]);
+  assert.deepEqual(Cached, [1, 2]);
+  assert.equal(Mock.calls("GET", "/users").length, 1);
+});
+
+test("устаревший ответ с ETag перепроверяется условным запросом, ответ 304 берется из кеша", async () => {
+  const { Mock, $fetch } = createClient({ Cache: true });
+  Mock.queue("GET", "/users", { headers: { ETag: "\"v1\"" }, body: [1] }, 304);
+
+  assert.deepEqual(await $fetch.get("/users"), [1]);
+  assert.deepEqual(await $fetch.get("/users"), [1]);
+
+  assert.equal(Mock.calls("GET", "/users")[1].Headers["if-none-match"], "\"v1\"");
+});
+
+test("успешный изменяющий запрос удаляет записи с тем же адресом", async () => {
+  const { Mock, $fetch } = createClient({ Cache: { Ttl: 60000 } });
+  Mock.on("GET", "/users", { body: [1] });
+  Mock.on("POST", "/users", { status: 201 });
+
+  await $fetch.get("/users");
+  await $fetch.post("/users", { id: 2 });
+  await $fetch.get("/users");
+
+  assert.equal(Mock.calls("GET", "/users").length, 2);
+});
+
+test("записи разных пользователей и запросов без авторизации не смешиваются", async () => {
+  const { Mock, $fetch } = createClient({ Cache: { Ttl: 60000 } }, { Subject: "1" });
+  Mock.on("GET", "/me", { body: { user: 1 } });
+  Mock.on("GET", "/public", { body: { public: true } }, { auth: false });
+
+  await $fetch.get("/me");
+  await $fetch.get("/public", null, {}, { auth: false });
+  Mock.Auth.Subject = "2";
+  $fetch.storeTokens(Mock.issueTokens());
+  await $fetch.get("/me");
+  await $fetch.get("/public");
+
+  assert.equal(Mock.calls("GET", "/me").length, 2);
+  assert.equal(Mock.calls("GET", "/public").length, 2);
+});
+
+test("запрос с авторизацией без Access токена не получает ответ, сохраненный для запроса без авторизации", async () => {
+  const Mock = new MockTransport();
+  const Tokens = Mock.auth();
+  Mock.on("GET", "/me", Request => ({ body: { authorized: !!Request.Headers["authorization"] } }), { auth: false });
+  const $fetch = new FetchViaJwt("/refresh", {
+    transport: Mock.transport,
+    Storage: new MemoryStorageAdapter({ REFRESH: Tokens.REFRESH }),
+    Cache: { Ttl: 60000 },
+  });
+
+  const Anonymous = await $fetch.get("/me", null, {}, { auth: false });
+  const Authorized = await $fetch.get("/me");
+
+  assert.deepEqual(Anonymous, { authorized: false });
+  assert.deepEqual(Authorized, { authorized: true });
+  assert.equal(Mock.Auth.RefreshCount, 1);
+});
+
+test("ответы на запросы, которые отличаются только заголовком Accept, хранятся отдельно", async () => {
+  const { Mock, $fetch } = createClient({ Cache: { Ttl: 60000 } });
+  Mock.on("GET", "/report", Request => ({ body: { format: Request.Headers["accept"] } }));
+
+  const Json = await $fetch.get("/report", null, { Accept: "application/json" });
+  const Csv = await $fetch.get("/report", null, { accept: "text/csv" });
+  const Cached = await $fetch.get("/report", null, { Accept: "text/csv" });
+
+  assert.deepEqual(Json, { format: "application/json" });
+  assert.deepEqual(Csv, { format: "text/csv" });
+  assert.deepEqual(Cached, { format: "text/csv" });
+  assert.equal(Mock.calls("GET", "/report").length, 2);
+});
+
+test("заголовки из Vary ответа входят в ключ следующих записей этого адреса", async () => {
+  const { Mock, $fetch } = createClient({ Cache: { Ttl: 60000 } });
+  Mock.on("GET", "/settings", Request => ({
+    headers: { Vary: "X-Tenant" },
+    body: { tenant: Request.Headers["x-tenant"] },
+  }));
+
+  await $fetch.get("/settings", null, { "X-Tenant": "a" });
+  const Other = await $fetch.get("/settings", null, { "X-Tenant": "b" });
+  const Cached = await $fetch.get("/settings", null, { "X-Tenant": "a" });
+
+  assert.deepEqual(Other, { tenant: "b" });
+  assert.deepEqual(Cached, { tenant: "a" });
+  assert.equal(Mock.calls("GET", "/settings").length, 2);
+});
+
+test("Cache-Control: no-cache запроса перепроверяет запись у сервера, no-store отправляет запрос без кеша", async () => {
+  const { Mock, $fetch } = createClient({ Cache: { Ttl: 60000 } });
+  Mock.queue("GET", "/users", { headers: { ETag: "\"v1\"" }, body: [1] }, 304, { body: [2] });
+
+  await $fetch.get("/users");
+  const Revalidated = await $fetch.get("/users", null, { "Cache-Control": "no-cache" });
+  const NotStored = await $fetch.get("/users", null, { "Cache-Control": "no-store" });
+  const Cached = await $fetch.get("/users");
+
+  const Calls = Mock.calls("GET", "/users");
+  assert.deepEqual([Revalidated, NotStored, Cached], [[1], [2], [1]]);
+  assert.equal(Calls.length, 3);
+  assert.equal(Calls[1].Headers["if-none-match"], "\"v1\"");
+  assert.equal(Calls[2].Headers["if-none-match"], undefined);
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DpopSigner, getDpopHtu } from "../index.js";
+import { createClient } from "./helpers.mjs";
+
+/**
+ * @param {string} Proof доказательство DPoP
+ * @returns {object} { Header, Payload } - разобранные части JWT
+ */
+function decodeProof(Proof) {
+  const [Header, Payload] = Proof.split(".").map(Part => Buffer.from(Part, "base64url").toString());
+  return { Header: JSON.parse(Header), Payload: JSON.parse(Payload) };
+}
+
+/**
+ * @param {string} Text
+ * @returns {Promise} промис с SHA-256 хешем строки в base64url, как в поле ath
+ */
+async function hashToken(Text) {
+  return Buffer.from(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(Text))).toString("base64url");
+}
+
+test("DpopSigner подписывает доказательство неизвлекаемым ключом ES256, у каждого доказательства свой jti", async () => {
+  const Signer = new DpopSigner();
+
+  const Proof = await Signer.createProof("post", "https://api.site.ru/items?page=2#top", "access");
+  const Second = await Signer.createProof("post", "https://api.site.ru/items");
+
+  const { Header, Payload } = decodeProof(Proof);
+  const [Input, Signature] = [Proof.split(".").slice(0, 2).join("."), Proof.split(".")[2]];
+  const PublicKey = await crypto.subtle.importKey("jwk", Header.jwk, { name: "ECDSA", namedCurve: "P-256" }, false, ["verify"]);
+  const KeyPair = await Signer.getKeyPair();
+  assert.equal(Header.typ, "dpop+jwt");
+  assert.equal(Header.alg, "ES256");
+  assert.equal(Payload.htm, "POST");
+  assert.equal(Payload.htu, "https://api.site.ru/items");
+  assert.ok(Math.abs(Payload.iat - Date.now() / 1000) < 5);
+  assert.equal(Payload.ath, await hashToken("access"));
+  assert.notEqual(decodeProof(Second).Payload.jti, Payload.jti);
+  assert.equal(decodeProof(Second).Payload.ath, undefined);
+  assert.ok(await crypto.subtle.verify(
+    { name: "ECDSA", hash: "SHA-256" },
+    PublicKey,
+    Buffer.from(Signature, "base64url"),
+    new TextEncoder().encode(Input)
+  ));
+  assert.equal(KeyPair.privateKey.extractable, false);
+  await assert.rejects(crypto.subtle.exportKey("jwk", KeyPair.privateKey));
+});
+
+test("в режиме DPoP токен передается со схемой DPoP и доказательством, запрос обновления тоже подписывается", async () => {
+  const { Mock, $fetch } = createClient({ Dpop: true });
+  Mock.on("GET", "/me", { body: { id: 1 } });
+  Mock.expireAccessToken();
+
+  assert.deepEqual(await $fetch.get("/me"), { id: 1 });
+
+  const [Refresh] = Mock.calls("*", "/refresh");
+  const Me = Mock.calls("GET", "/me").slice(-1)[0];
+  const Proof = decodeProof(Me.Headers["dpop"]);
+  assert.equal(Me.Headers["authorization"], "DPoP " + Mock.Auth.AccessToken);
+  assert.equal(Proof.Payload.htm, "GET");
+  assert.equal(Proof.Payload.htu, "/me");
+  assert.equal(Proof.Payload.ath, await hashToken(Mock.Auth.AccessToken));
+  assert.equal(decodeProof(Refresh.Headers["dpop"]).Payload.ath, undefined);
+  assert.deepEqual(decodeProof(Refresh.Headers["dpop"]).Header.jwk, Proof.Header.jwk);
+});
+
+test("на требование DPoP-Nonce запрос один раз повторяется с nonce сервера", async () => {
+  const { Mock, $fetch } = createClient({ Dpop: true });
+  const Challenge = {
+    status: 401,
+    headers: { "WWW-Authenticate": "DPoP error=\"use_dpop_nonce\"", "DPoP-Nonce": "n1" },
+  };
+  Mock.queue("GET", "/me", Challenge, Challenge);
+  Mock.on("GET", "/me", {});
+
+  await assert.rejects($fetch.get("/me", null, {}, { skipRefresh: true }), { status: 401 });
+  await $fetch.get("/me");
+
+  const Proofs = Mock.calls("GET", "/me").map(Request => decodeProof(Request.Headers["dpop"]).Payload);
+  assert.deepEqual(Proofs.map(Payload => Payload.nonce), [undefined, "n1", "n1"]);
+  assert.notEqual(Proofs[0].jti, Proofs[1].jti);
+  assert.equal(Mock.Auth.RefreshCount, 0);
+});
+
+test("без режима DPoP токен передается как Bearer, getDpopHtu отбрасывает строку запроса и фрагмент", async () => {
+  const { Mock, $fetch, Tokens } = createClient();
+  Mock.on("GET", "/me", {});
+
+  await $fetch.get("/me");
+
+  const [Request] = Mock.calls("GET", "/me");
+  assert.equal(Request.Headers["authorization"], "Bearer " + Tokens.BEARER);
+  assert.equal(Request.Headers["dpop"], undefined);
+  assert.equal(getDpopHtu("https://api.site.ru:8443/a/b?x=1#y"), "https://api.site.ru:8443/a/b");
+});
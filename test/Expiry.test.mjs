@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FetchViaJwt, ErrorNoAccessToken, MemoryStorageAdapter, EVENT_SESSION_EXPIRED } from "../index.js";
+import { MockTransport, createTestJwt } from "../MockTransport.js";
+import { createClient } from "./helpers.mjs";
+
+test("Access токен, истекающий в пределах ClockSkew, обновляется до отправки запроса", async () => {
+  const { Mock, $fetch, Tokens } = createClient({}, { Ttl: 10 });
+  Mock.on("GET", "/me", { body: { id: 1 } });
+
+  assert.deepEqual(await $fetch.get("/me"), { id: 1 });
+
+  const Calls = Mock.calls("GET", "/me");
+  assert.equal(Mock.Auth.RefreshCount, 1);
+  assert.equal(Calls.length, 1);
+  assert.notEqual(Calls[0].Headers["authorization"], "Bearer " + Tokens.BEARER);
+});
+
+test("с ClockSkew = 0 токен используется до самого exp", async () => {
+  const { Mock, $fetch, Tokens } = createClient({ ClockSkew: 0 }, { Ttl: 10 });
+  Mock.on("GET", "/me", { body: { id: 1 } });
+
+  await $fetch.get("/me");
+
+  assert.equal(Mock.Auth.RefreshCount, 0);
+  assert.equal(Mock.calls("GET", "/me")[0].Headers["authorization"], "Bearer " + Tokens.BEARER);
+});
+
+test("isAccessTokenExpired проверяет exp с учетом ClockSkew, токен без exp считается действующим", () => {
+  const { $fetch } = createClient();
+  const Now = Math.floor(Date.now() / 1000);
+
+  assert.equal($fetch.isAccessTokenExpired(createTestJwt({ exp: Now + 20 })), true);
+  assert.equal($fetch.isAccessTokenExpired(createTestJwt({ exp: Now + 60 })), false);
+  assert.equal($fetch.isAccessTokenExpired(createTestJwt({ sub: "1" })), false);
+  assert.equal($fetch.isAccessTokenExpired("opaque"), false);
+});
+
+test("без Access и Refresh токенов запрос отклоняется с ErrorNoAccessToken и событием sessionExpired", async () => {
+  const { Mock, $fetch } = createClient({ Storage: new MemoryStorageAdapter() });
+  Mock.on("GET", "/me", {});
+  const Expired = [];
+  $fetch.on(EVENT_SESSION_EXPIRED, Err => Expired.push(Err));
+
+  await assert.rejects($fetch.get("/me"), ErrorNoAccessToken);
+
+  assert.equal(Mock.calls("GET", "/me").length, 0);
+  assert.equal(Expired.length, 1);
+});
+
+test("токен со сроком жизни не больше ClockSkew не обновляется перед каждым запросом", async () => {
+  const { Mock, $fetch } = createClient({}, { Ttl: 10 });
+  Mock.on("GET", "/me", { body: { id: 1 } });
+
+  await $fetch.get("/me");
+  await $fetch.get("/me");
+  await $fetch.get("/me");
+
+  assert.equal(Mock.Auth.RefreshCount, 1);
+  assert.equal(Mock.calls("GET", "/me").length, 3);
+});
+
+test("с RefreshCredentials = 'include' запрос без токенов сначала обновляет их по cookie", async () => {
+  const Mock = new MockTransport();
+  Mock.auth();
+  const Credentials = [];
+  const transport = (Url, Init) => {
+    Credentials.push([Url, Init.credentials]);
+    return Mock.transport(Url, Init);
+  };
+  const $fetch = new FetchViaJwt("/refresh", { transport, Storage: new MemoryStorageAdapter(), RefreshCredentials: "include" });
+  Mock.on("GET", "/me", { body: { id: 1 } });
+  // Refresh токен в cookie сервер видит сам, в запросе его нет
+  Mock.rejectRefresh(() => ({ body: { BEARER: Mock.issueTokens().BEARER } }));
+
+  assert.deepEqual(await $fetch.get("/me"), { id: 1 });
+
+  assert.equal(Mock.Auth.RefreshCount, 1);
+  assert.deepEqual(Credentials.map(Item => Item[1]), ["include", undefined]);
+});
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ErrorGraphQL, ErrorMaxCallCount, GRAPHQL_UNAUTHENTICATED, GRAPHQL_PERSISTED_QUERY_NOT_FOUND } from "../index.js";
+import { createClient } from "./helpers.mjs";
+
+const QUERY = "query User($id: ID!) { user(id: $id) { name } }";
+
+/**
+ * @param {string} Code extensions.code ошибки
+ * @returns {object} ответ сервера GraphQL с одной ошибкой
+ */
+function errorReply(Code) {
+  return { body: { data: null, errors: [{ message: Code, extensions: { code: Code } }] } };
+}
+
+test("graphql возвращает data, отправляя запрос, переменные и имя операции", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("POST", "/graphql", Request => ({ body: { data: { user: { name: "Ann", id: Request.Data.variables.id } } } }));
+
+  const Result = await $fetch.graphql(QUERY, { id: 5 });
+
+  assert.deepEqual(Result, { user: { name: "Ann", id: 5 } });
+  const [Request] = Mock.calls("POST", "/graphql");
+  assert.equal(Request.Data.query, QUERY);
+  assert.equal(Request.Data.operationName, "User");
+});
+
+test("ответ с errors и кодом 200 отклоняет промис с ErrorGraphQL, при errorPolicy = all возвращает { data, errors }", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("POST", "/graphql", errorReply("BAD_USER_INPUT"));
+
+  await assert.rejects($fetch.graphql(QUERY, { id: 5 }), Err => Err instanceof ErrorGraphQL
+    && Err.code === "BAD_USER_INPUT"
+    && Err.operationName === "User");
+  const Result = await $fetch.graphql(QUERY, { id: 5 }, { errorPolicy: "all" });
+
+  assert.equal(Result.data, null);
+  assert.equal(Result.errors[0].extensions.code, "BAD_USER_INPUT");
+});
+
+test("ошибка UNAUTHENTICATED обновляет токены и повторяет операцию", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.queue("POST", "/graphql", errorReply(GRAPHQL_UNAUTHENTICATED), { body: { data: { user: null } } });
+
+  assert.deepEqual(await $fetch.graphql(QUERY, { id: 5 }), { user: null });
+
+  assert.equal(Mock.Auth.RefreshCount, 1);
+  assert.equal(Mock.calls("POST", "/graphql")[1].Headers["authorization"], "Bearer " + Mock.Auth.AccessToken);
+});
+
+test("операции, вызванные вместе, уходят одним пакетом и получают свои ответы", async () => {
+  const { Mock, $fetch } = createClient({ GraphQL: { Batch: true } });
+  Mock.on("POST", "/graphql", Request => ({
+    body: Request.Data.map(Operation => ({ data: { user: { id: Operation.variables.id } } })),
+  }));
+
+  const Results = await Promise.all([$fetch.graphql(QUERY, { id: 1 }), $fetch.graphql(QUERY, { id: 2 })]);
+
+  assert.deepEqual(Results, [{ user: { id: 1 } }, { user: { id: 2 } }]);
+  assert.equal(Mock.calls("POST", "/graphql").length, 1);
+});
+
+test("persisted отправляет хеш запроса, а текст - только если сервер его не знает", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.queue("POST", "/graphql", errorReply(GRAPHQL_PERSISTED_QUERY_NOT_FOUND), { body: { data: { user: null } } });
+
+  await $fetch.graphql(QUERY, { id: 5 }, { persisted: true });
+
+  const [First, Second] = Mock.calls("POST", "/graphql").map(Request => Request.Data);
+  assert.equal(First.query, undefined);
+  assert.match(First.extensions.persistedQuery.sha256Hash, /^[0-9a-f]{64}$/);
+  assert.equal(Second.query, QUERY);
+  assert.deepEqual(Second.extensions, First.extensions);
+});
+
+test("повторы после 401 и после UNAUTHENTICATED считаются одним счетчиком MaxCallCount", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.queue("POST", "/graphql", 401);
+  Mock.on("POST", "/graphql", errorReply(GRAPHQL_UNAUTHENTICATED));
+
+  await assert.rejects($fetch.graphql(QUERY, { id: 5 }), ErrorMaxCallCount);
+
+  assert.equal(Mock.calls("POST", "/graphql").length, 3);
+  assert.equal(Mock.Auth.RefreshCount, 3);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ErrorHTTPStatus } from "../index.js";
+import { createClient } from "./helpers.mjs";
+
+test("ответ application/problem+json сохраняется в поле problem, текст ошибки - из title и detail", async () => {
+  const { Mock, $fetch } = createClient();
+  const Problem = { type: "about:blank", title: "Conflict", detail: "Пользователь уже существует", status: 409 };
+  Mock.on("POST", "/users", { status: 409, headers: { "Content-Type": "application/problem+json" }, body: Problem });
+
+  const Err = await $fetch.post("/users", { login: "ann" }).catch(Err => Err);
+
+  assert.ok(Err instanceof ErrorHTTPStatus);
+  assert.equal(Err.status, 409);
+  assert.deepEqual(Err.problem, Problem);
+  assert.deepEqual(Err.body, Problem);
+  assert.equal(Err.method, "POST");
+  assert.equal(Err.url, "/users");
+  assert.match(Err.message, /Conflict: Пользователь уже существует/);
+});
+
+test("текст ошибки берется из message, error_description и текстового тела, problem без problem+json - null", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/a", { status: 400, body: { message: "Неверный запрос" } });
+  Mock.on("GET", "/b", { status: 400, body: { error: "invalid_request", error_description: "Нет поля" } });
+  Mock.on("GET", "/c", { status: 502, body: "Bad Gateway" });
+
+  const Errors = await Promise.all(["/a", "/b", "/c"].map(Url => $fetch.get(Url).catch(Err => Err)));
+
+  assert.match(Errors[0].message, /\[GET \/a\] Неверный запрос /);
+  assert.match(Errors[1].message, /Нет поля /);
+  assert.match(Errors[2].message, /Bad Gateway /);
+  assert.equal(Errors[2].body, "Bad Gateway");
+  assert.ok(Errors.every(Err => Err.problem === null));
+});
+
+test("extractErrorMessage задает свой разбор тела ошибки", async () => {
+  const { Mock, $fetch } = createClient({ extractErrorMessage: (Body, Resp) => Resp.status + " " + Body.errors.join(", ") });
+  Mock.on("PUT", "/users/1", { status: 422, body: { errors: ["name", "email"] } });
+
+  await assert.rejects($fetch.put("/users/1", {}), /422 name, email/);
+});
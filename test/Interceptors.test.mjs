@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ErrorHTTPStatus } from "../index.js";
+import { createClient, wait } from "./helpers.mjs";
+
+test("асинхронный перехватчик запроса может изменить адрес и заголовки до отправки", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/v2/users", Request => ({ body: { tenant: Request.Headers["x-tenant"] } }));
+  $fetch.addRequestInterceptor(async (Request) => {
+    await wait(1);
+    return Object.assign({}, Request, {
+      Url: "/v2" + Request.Url,
+      Headers: Object.assign({}, Request.Headers, { "X-Tenant": "acme" }),
+    });
+  });
+
+  assert.deepEqual(await $fetch.get("/users"), { tenant: "acme" });
+});
+
+test("перехватчик ответа получает Response и запрос и может заменить ответ", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/users", { body: [1] });
+  const Seen = [];
+  $fetch.addResponseInterceptor((Resp, Request) => {
+    Seen.push([Resp.status, Request.Method, Request.Url]);
+    return new Response(JSON.stringify([2]), { status: 200 });
+  });
+
+  assert.deepEqual(await $fetch.get("/users"), [2]);
+  assert.deepEqual(Seen, [[200, "GET", "/users"]]);
+});
+
+test("перехватчик ошибок может вернуть ответ вместо ошибки или передать другую ошибку дальше", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/missing", 404);
+  Mock.on("GET", "/broken", 500);
+  const Failure = new Error("Сервис недоступен");
+  $fetch.addErrorInterceptor((Err) => {
+    if (Err.status === 500) {
+      throw Failure;
+    }
+  });
+  $fetch.addErrorInterceptor((Err) => {
+    if (Err instanceof ErrorHTTPStatus && Err.status === 404) {
+      return new Response("null", { status: 200 });
+    }
+  });
+
+  assert.equal(await $fetch.get("/missing"), null);
+  await assert.rejects($fetch.get("/broken"), Failure);
+});
+
+test("BeforeHandlers и AfterHandlers работают через перехватчики", async () => {
+  const Calls = [];
+  const { Mock, $fetch } = createClient({
+    BeforeHandlers: [() => Calls.push("before")],
+    AfterHandlers: [Result => Calls.push(Result)],
+  });
+  Mock.on("GET", "/users", { body: { id: 1 } });
+
+  await $fetch.get("/users");
+
+  assert.deepEqual(Calls, ["before", { id: 1 }]);
+});
+
+test("AfterHandlers получают только ответы в формате JSON, без обработчиков перехватчик ответа не подключается", async () => {
+  const Calls = [];
+  const { Mock, $fetch } = createClient({ AfterHandlers: [Result => Calls.push(Result)] });
+  Mock.on("GET", "/users", { body: { id: 1 } });
+  Mock.on("GET", "/export", { body: { id: 2 } });
+
+  await $fetch.get("/users");
+  assert.equal(await $fetch.get("/export", null, {}, { responseType: "text" }), "{\"id\":2}");
+  await $fetch.get("/export", null, {}, { responseType: "raw" });
+
+  assert.deepEqual(Calls, [{ id: 1 }]);
+  assert.equal(createClient().$fetch.ResponseInterceptors.length, 0);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { redact, REDACTED } from "../index.js";
+import { createClient, wait } from "./helpers.mjs";
+
+test("onMetrics получает повторы по RetryPolicy и повторы после 401 отдельно", async () => {
+  const Metrics = [];
+  const { Mock, $fetch } = createClient({
+    RetryPolicy: { MaxAttempts: 3, BaseDelay: 1 },
+    onMetrics: Item => Metrics.push(Item),
+  });
+  Mock.queue("GET", "/users/:id", 503, { body: { id: 1 } });
+  Mock.expireAccessToken();
+
+  await $fetch.get("/users/1");
+
+  assert.equal(Metrics.length, 1);
+  assert.equal(Metrics[0].Url, "/users/1");
+  assert.equal(Metrics[0].Status, 200);
+  assert.equal(Metrics[0].Retries, 1);
+  assert.equal(Metrics[0].AuthReplays, 1);
+  assert.equal(Metrics[0].Refreshed, true);
+  assert.equal(Metrics[0].Error, null);
+});
+
+test("журнал получает сообщения не ниже LogLevel без токенов", async () => {
+  const Records = [];
+  const write = Level => (...Args) => Records.push({ Level, Text: JSON.stringify(Args) });
+  const Logger = { debug: write("debug"), info: write("info"), warn: write("warn"), error: write("error") };
+  const { Mock, $fetch, Tokens } = createClient({ Logger, LogLevel: "info" });
+  Mock.on("GET", "/me", { body: { id: 1 } });
+  Mock.expireAccessToken();
+
+  await $fetch.get("/me");
+
+  assert.ok(Records.length > 0);
+  assert.ok(Records.every(Record => Record.Level !== "debug"));
+  assert.ok(Records.every(Record => Record.Text.indexOf(Tokens.REFRESH) === -1));
+  assert.ok(Records.every(Record => Record.Text.indexOf(Mock.Auth.AccessToken) === -1));
+});
+
+test("redact скрывает заголовки, поля с токенами и Bearer-токены в строках", () => {
+  const Result = redact({
+    Headers: { Authorization: "Bearer abc", Accept: "application/json" },
+    password: "secret",
+    Message: "ответ на Bearer abc",
+  });
+
+  assert.deepEqual(Result, {
+    Headers: { Authorization: REDACTED, Accept: "application/json" },
+    password: REDACTED,
+    Message: "ответ на Bearer " + REDACTED,
+  });
+});
+
+test("Refreshed отмечается только у запроса, который ждал обновления токенов", async () => {
+  const Metrics = [];
+  const { Mock, $fetch } = createClient({ onMetrics: Item => Metrics.push(Item) });
+  Mock.on("GET", "/slow", { delay: 30, body: {} });
+  Mock.on("GET", "/me", { body: {} });
+
+  const Slow = $fetch.get("/slow");
+  await wait(5);
+  await $fetch.refreshTokens();
+  await Slow;
+  Mock.expireAccessToken();
+  await $fetch.get("/me");
+
+  assert.deepEqual(Metrics.map(Item => [Item.Url, Item.Refreshed]), [["/slow", false], ["/me", true]]);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ErrorHTTPStatus } from "../index.js";
+import { createClient } from "./helpers.mjs";
+
+test("patch и options отправляются своими методами через общий конвейер с обновлением токенов", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("PATCH", "/users/1", Request => ({ body: Request.Data }));
+  Mock.on("OPTIONS", "/users", { headers: { Allow: "GET, POST" }, body: { methods: ["GET", "POST"] } });
+  Mock.expireAccessToken();
+
+  assert.deepEqual(await $fetch.patch("/users/1", { name: "Ann" }), { name: "Ann" });
+  assert.deepEqual(await $fetch.options("/users"), { methods: ["GET", "POST"] });
+
+  assert.equal(Mock.calls("PATCH", "/users/1").length, 2);
+  assert.equal(Mock.Auth.RefreshCount, 1);
+});
+
+test("head возвращает Response с заголовками, ответ не 2xx отклоняет промис", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("HEAD", "/files/1", { headers: { "Content-Length": "42" } });
+  Mock.on("HEAD", "/files/2", 404);
+
+  const Resp = await $fetch.head("/files/1", { version: 2 });
+
+  assert.ok(Resp instanceof Response);
+  assert.equal(Resp.headers.get("Content-Length"), "42");
+  assert.deepEqual(Mock.calls("HEAD", "/files/1")[0].Query, { version: "2" });
+  await assert.rejects($fetch.head("/files/2"), Err => Err instanceof ErrorHTTPStatus && Err.status === 404);
+});
+
+test("request выполняет запрос любым методом, поля, кроме method, url, data и headers, - конфигурация", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("PUT", "/users/:id", Request => ({ body: { id: Request.Params.id, data: Request.Data } }));
+  Mock.on("HEAD", "/users", {});
+
+  const Result = await $fetch.request({
+    method: "put",
+    url: "/users/:id",
+    data: { name: "Ann" },
+    headers: { "X-Request": "1" },
+    params: { id: 7 },
+  });
+  const Resp = await $fetch.request({ method: "HEAD", url: "/users" });
+
+  assert.deepEqual(Result, { id: "7", data: { name: "Ann" } });
+  assert.equal(Mock.calls("PUT", "/users/:id")[0].Headers["x-request"], "1");
+  assert.ok(Resp instanceof Response);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MockTransport } from "../MockTransport.js";
+
+test("маршруты с параметрами пути и очередь одноразовых ответов", async () => {
+  const Mock = new MockTransport();
+  Mock.on("GET", "/users/:id", Request => ({ body: { id: Request.Params.id } }));
+  Mock.queue("GET", "/status", 503, { body: "ok" });
+
+  assert.deepEqual(await (await Mock.transport("/users/5?full=1")).json(), { id: "5" });
+  assert.equal((await Mock.transport("/status")).status, 503);
+  assert.equal(await (await Mock.transport("/status")).text(), "ok");
+  await assert.rejects(Mock.transport("/status"), /Нет маршрута/);
+  assert.equal(Mock.calls("GET", "/status").length, 3);
+  assert.deepEqual(Mock.calls("GET", "/users/:id")[0].Query, { full: "1" });
+});
+
+test("auth принимает токен в схемах Bearer и DPoP, DPoP - только с доказательством", async () => {
+  const Mock = new MockTransport();
+  const Tokens = Mock.auth();
+  Mock.on("GET", "/me", { body: { id: 1 } });
+  const send = Headers => Mock.transport("/me", { headers: Headers }).then(Resp => Resp.status);
+
+  assert.equal(await send({ Authorization: "Bearer " + Tokens.BEARER }), 200);
+  assert.equal(await send({ Authorization: "DPoP " + Tokens.BEARER, DPoP: "proof" }), 200);
+  assert.equal(await send({ Authorization: "DPoP " + Tokens.BEARER }), 401);
+  assert.equal(await send({ Authorization: "Basic " + Tokens.BEARER }), 401);
+  assert.equal(await send({}), 401);
+});
+
+test("auth с Schemes принимает только перечисленные схемы", async () => {
+  const Mock = new MockTransport();
+  const Tokens = Mock.auth({ Schemes: ["DPoP"] });
+  Mock.on("GET", "/me", {});
+
+  const Resp = await Mock.transport("/me", { headers: { Authorization: "Bearer " + Tokens.BEARER } });
+
+  assert.equal(Resp.status, 401);
+});
+
+test("auth проверяет токен только на адресах Protected и на маршрутах без auth = false", async () => {
+  const Mock = new MockTransport();
+  Mock.auth({ Protected: ["/api/*"] });
+  Mock.on("GET", "/public/info", { body: "info" });
+  Mock.on("GET", "/api/health", { body: "up" }, { auth: false });
+  Mock.on("GET", "/api/users/:id", Request => ({ body: Request.Params }));
+
+  assert.equal((await Mock.transport("/public/info")).status, 200);
+  assert.equal((await Mock.transport("/api/health")).status, 200);
+  assert.equal((await Mock.transport("/api/users/1")).status, 401);
+});
+
+test("ответ 401 не расходует одноразовый ответ маршрута", async () => {
+  const Mock = new MockTransport();
+  const Tokens = Mock.auth();
+  Mock.once("GET", "/me", { body: "me" });
+
+  assert.equal((await Mock.transport("/me")).status, 401);
+  const Resp = await Mock.transport("/me", { headers: { Authorization: "Bearer " + Tokens.BEARER } });
+  assert.equal(await Resp.text(), "me");
+});
+
+test("сервер авторизации выдает новые токены в обмен на текущий Refresh токен", async () => {
+  const Mock = new MockTransport();
+  const Tokens = Mock.auth();
+
+  const Resp = await Mock.transport("/refresh?REFRESH=" + Tokens.REFRESH);
+  const NewTokens = await Resp.json();
+  const Repeated = await Mock.transport("/refresh?REFRESH=" + Tokens.REFRESH);
+
+  assert.equal(NewTokens.BEARER, Mock.Auth.AccessToken);
+  assert.notEqual(NewTokens.REFRESH, Tokens.REFRESH);
+  assert.equal(Repeated.status, 401);
+  assert.equal(Mock.Auth.RefreshCount, 2);
+});
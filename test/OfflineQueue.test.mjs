@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  OfflineQueue,
+  MemoryStorageAdapter,
+  ErrorQueued,
+  QUEUE_REASON_NETWORK,
+  QUEUE_REASON_PENDING,
+  EVENT_REQUEST_QUEUED,
+  EVENT_QUEUED_REQUEST_SENT,
+} from "../index.js";
+import { createClient, wait } from "./helpers.mjs";
+
+test("запрос, не дошедший до сервера, сохраняется в очереди и повторяется с тем же ключом идемпотентности", async () => {
+  const { Mock, $fetch } = createClient({ OfflineQueue: true });
+  Mock.queue("POST", "/orders", { networkError: true }, { status: 201, body: { id: 1 } });
+  const Queued = [];
+  const Sent = [];
+  $fetch.on(EVENT_REQUEST_QUEUED, Entry => Queued.push(Entry));
+  $fetch.on(EVENT_QUEUED_REQUEST_SENT, Event => Sent.push(Event));
+
+  const Err = await $fetch.post("/orders", { id: 1 }).catch(Err => Err);
+  const State = await $fetch.replayOfflineQueue();
+
+  assert.ok(Err instanceof ErrorQueued);
+  assert.equal(Err.reason, QUEUE_REASON_NETWORK);
+  assert.equal(State.Pending, 0);
+  assert.equal(Queued.length, 1);
+  assert.equal(Sent.length, 1);
+  const Keys = Mock.calls("POST", "/orders").map(Request => Request.Headers["idempotency-key"]);
+  assert.deepEqual(Keys, [Err.idempotencyKey, Err.idempotencyKey]);
+});
+
+test("запрос при наличии сети, вставший за неотправленными, получает свою причину и уходит после них", async () => {
+  const { Mock, $fetch } = createClient({ OfflineQueue: true });
+  Mock.queue("POST", "/orders", { networkError: true }, { status: 201 }, { status: 201 });
+
+  const First = await $fetch.post("/orders", { id: 1 }).catch(Err => Err);
+  const Second = await $fetch.post("/orders", { id: 2 }).catch(Err => Err);
+  const State = await $fetch.replayOfflineQueue();
+
+  assert.equal(Second.reason, QUEUE_REASON_PENDING);
+  assert.doesNotMatch(Second.message, /Нет сети/);
+  assert.notEqual(Second.message, First.message);
+  assert.equal(State.Pending, 0);
+  assert.deepEqual(Mock.calls("POST", "/orders").map(Request => Request.Data), [{ id: 1 }, { id: 1 }, { id: 2 }]);
+});
+
+test("вызов replayOfflineQueue во время отправки запускает еще одну отправку после нее", async () => {
+  const { Mock, $fetch } = createClient({ OfflineQueue: true });
+  Mock.queue("POST", "/orders", { networkError: true }, { networkError: true, delay: 20 }, { status: 201 });
+  await $fetch.post("/orders", { id: 1 }).catch(() => {});
+
+  const Current = $fetch.replayOfflineQueue();
+  const Next = $fetch.replayOfflineQueue();
+
+  assert.equal((await Current).Pending, 1);
+  assert.equal((await Next).Pending, 0);
+  assert.equal(Mock.calls("POST", "/orders").length, 3);
+});
+
+test("logout до первой отправки очереди отменяет ее", async () => {
+  const Queue = new OfflineQueue({ Storage: new MemoryStorageAdapter() });
+  Queue.add({ Url: "/orders", Method: "POST", Data: { id: 1 }, Headers: {}, Config: {} });
+  const { Mock, $fetch } = createClient({ OfflineQueue: Queue, JwtLogoutUrl: "/logout" });
+  Mock.on("POST", "/orders", { status: 201 });
+  Mock.on("POST", "/logout", { delay: 20 });
+
+  await $fetch.logout();
+  await wait(10);
+
+  assert.equal(Mock.calls("POST", "/orders").length, 0);
+  assert.equal(Queue.size(), 0);
+});
+
+test("после ошибки первого запроса очереди новый запрос уходит сразу, а отправка очереди ждет паузу", async () => {
+  const { Mock, $fetch } = createClient({ OfflineQueue: true });
+  Mock.queue("POST", "/orders", { networkError: true }, 503, { status: 201 });
+  Mock.on("POST", "/items", { status: 201, body: { id: 2 } });
+  await $fetch.post("/orders", { id: 1 }).catch(() => {});
+
+  const State = await $fetch.replayOfflineQueue();
+  const Item = await $fetch.post("/items", { id: 2 });
+  await wait(10);
+
+  assert.equal(State.Pending, 1);
+  assert.deepEqual(Item, { id: 2 });
+  assert.equal(Mock.calls("POST", "/orders").length, 2);
+  assert.equal((await $fetch.replayOfflineQueue()).Pending, 0);
+});
+
+test("запрос из очереди проходит через перехватчики и onMetrics, перехватчик применяется к исходному запросу", async () => {
+  const Metrics = [];
+  const { Mock, $fetch } = createClient({ OfflineQueue: true, onMetrics: Item => Metrics.push(Item) });
+  let Attempt = 0;
+  $fetch.addRequestInterceptor(Request => Object.assign({}, Request, {
+    Url: "/v2" + Request.Url,
+    Headers: Object.assign({}, Request.Headers, { "X-Attempt": String(++Attempt) }),
+  }));
+  Mock.queue("POST", "/v2/orders", { networkError: true }, { status: 201 });
+
+  const Err = await $fetch.post("/orders", { id: 1 }).catch(Err => Err);
+  await $fetch.replayOfflineQueue();
+
+  const Calls = Mock.calls("POST", "/v2/orders");
+  assert.deepEqual(Calls.map(Request => Request.Headers["x-attempt"]), ["1", "2"]);
+  assert.deepEqual(Calls.map(Request => Request.Headers["idempotency-key"]), [Err.idempotencyKey, Err.idempotencyKey]);
+  assert.deepEqual(Metrics.map(Item => Item.Url + " " + Item.Status), ["/orders null", "/orders 201"]);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ErrorOriginNotAllowed, ErrorHTTPStatus, ORIGIN_POLICY_REJECT } from "../index.js";
+import { createClient } from "./helpers.mjs";
+
+const ALLOWED_URL = "https://api.site.ru/data";
+const FOREIGN_URL = "https://cdn.other.ru/data";
+
+/**
+ * @param {object} Options параметры конструктора FetchViaJwt
+ * @returns {object} { Mock, $fetch }, сервер отвечает заголовком Authorization запроса
+ */
+function createOriginsClient(Options = {}) {
+  const { Mock, $fetch } = createClient(Object.assign({ AllowedOrigins: ["https://api.site.ru"] }, Options));
+  Mock.on("GET", "/data", Request => ({ body: { authorization: Request.Headers["authorization"] || null } }), { auth: false });
+  return { Mock, $fetch };
+}
+
+/**
+ * @param {FetchViaJwt} $fetch
+ * @param {string} Url адрес запроса
+ * @returns {array} промисы запросов устаревшими методами, минующими fetchRouted
+ */
+function sendLegacy($fetch, Url) {
+  return [
+    $fetch.fetchViaJwt(Url),
+    $fetch.getViaJwt(Url),
+    $fetch.fetchCounted(Url, "GET"),
+    $fetch.getCounted(Url),
+  ];
+}
+
+test("токен передается только на адреса из AllowedOrigins", async () => {
+  const { $fetch } = createOriginsClient();
+
+  assert.deepEqual(await $fetch.get(FOREIGN_URL), { authorization: null });
+  assert.match((await $fetch.get(ALLOWED_URL)).authorization, /^Bearer /);
+});
+
+test("fetchViaJwt, getViaJwt, fetchCounted и getCounted не передают токен на адрес не из AllowedOrigins", async () => {
+  const { Mock, $fetch } = createOriginsClient();
+
+  const Responses = await Promise.all(sendLegacy($fetch, FOREIGN_URL));
+
+  assert.deepEqual(Responses.map(Resp => Resp.status), [200, 200, 200, 200]);
+  assert.ok(Mock.calls("GET", "/data").every(Request => !Request.Headers["authorization"]));
+  assert.match((await (await $fetch.fetchCounted(ALLOWED_URL, "GET")).json()).authorization, /^Bearer /);
+});
+
+test("с OriginPolicy = reject устаревшие методы отклоняют запрос на адрес не из AllowedOrigins", async () => {
+  const { Mock, $fetch } = createOriginsClient({ OriginPolicy: ORIGIN_POLICY_REJECT });
+
+  const Results = await Promise.allSettled(sendLegacy($fetch, FOREIGN_URL));
+
+  assert.ok(Results.every(Result => Result.reason instanceof ErrorOriginNotAllowed));
+  assert.equal(Results[0].reason.url, FOREIGN_URL);
+  assert.equal(Mock.calls("GET", "/data").length, 0);
+});
+
+test("ответ 401 с адреса не из AllowedOrigins не обновляет токены", async () => {
+  const { Mock, $fetch } = createClient({ AllowedOrigins: ["https://api.site.ru"] });
+  Mock.on("GET", "/private", {});
+
+  await assert.rejects(
+    $fetch.fetchCounted("https://cdn.other.ru/private", "GET"),
+    Err => Err instanceof ErrorHTTPStatus && Err.status === 401
+  );
+
+  assert.equal(Mock.calls("GET", "/private").length, 1);
+  assert.equal(Mock.Auth.RefreshCount, 0);
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FetchViaJwt, MemoryStorageAdapter, xhrTransport } from "../index.js";
+import { MockTransport } from "../MockTransport.js";
+import { createClient } from "./helpers.mjs";
+
+/**
+ * XMLHttpRequest для Node: сообщает о прогрессе отправки двумя событиями и отвечает JSON с кодом 201
+ */
+class FakeXMLHttpRequest {
+  constructor() {
+    this.upload = {};
+    this.Headers = {};
+    FakeXMLHttpRequest.Last = this;
+  }
+  open(Method, Url) {
+    this.Method = Method;
+    this.Url = Url;
+  }
+  setRequestHeader(Name, Value) {
+    this.Headers[Name.toLowerCase()] = Value;
+  }
+  getAllResponseHeaders() {
+    return "Content-Type: application/json\r\nX-Id: 5\r\n";
+  }
+  send(Body) {
+    this.Body = Body;
+    setTimeout(() => {
+      if (this.upload.onprogress) {
+        this.upload.onprogress({ loaded: 2, total: 4, lengthComputable: true });
+        this.upload.onprogress({ loaded: 4, total: 4, lengthComputable: true });
+      }
+      this.status = 201;
+      this.statusText = "Created";
+      this.response = new TextEncoder().encode("{\"ok\":true}").buffer;
+      this.onload();
+    });
+  }
+  abort() {
+    this.onabort();
+  }
+}
+
+test("onDownloadProgress получает прогресс чтения тела по Content-Length", async () => {
+  const { Mock, $fetch } = createClient();
+  const Encoder = new TextEncoder();
+  Mock.on("GET", "/file", () => ({
+    headers: { "Content-Length": "8", "Content-Type": "text/plain" },
+    body: new ReadableStream({
+      start(Controller) {
+        Controller.enqueue(Encoder.encode("abcd"));
+        Controller.enqueue(Encoder.encode("efgh"));
+        Controller.close();
+      },
+    }),
+  }));
+  const Events = [];
+
+  const Text = await $fetch.get("/file", null, {}, { responseType: "text", onDownloadProgress: Event => Events.push(Event) });
+
+  assert.equal(Text, "abcdefgh");
+  assert.deepEqual(Events, [{ Loaded: 4, Total: 8, Progress: 0.5 }, { Loaded: 8, Total: 8, Progress: 1 }]);
+});
+
+test("ответ с onDownloadProgress и responseType = raw сохраняет url, redirected и type", async () => {
+  const Mock = new MockTransport();
+  // стандартный fetch заполняет url и redirected сам, MockTransport - нет
+  const transport = (Url, Init) => Mock.transport(Url, Init).then((Resp) => {
+    Object.defineProperty(Resp, "url", { value: "https://api.site.ru/files/1" });
+    Object.defineProperty(Resp, "redirected", { value: true });
+    return Resp;
+  });
+  const $fetch = new FetchViaJwt("/refresh", { transport, Storage: new MemoryStorageAdapter(Mock.auth()) });
+  Mock.on("GET", "/files/:id", { body: { id: 1 } });
+  const Events = [];
+
+  const Raw = await $fetch.get("/files/1", null, {}, { responseType: "raw", onDownloadProgress: Event => Events.push(Event) });
+
+  assert.equal(Raw.url, "https://api.site.ru/files/1");
+  assert.equal(Raw.redirected, true);
+  assert.equal(Raw.type, "default");
+  assert.deepEqual(await Raw.json(), { id: 1 });
+  assert.equal(Events.length, 1);
+});
+
+test("собственный transport получает onUploadProgress в настройках запроса", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("POST", "/upload", { status: 201 });
+  const Events = [];
+
+  await $fetch.post("/upload", "abcd", {}, { onUploadProgress: Event => Events.push(Event) });
+
+  assert.deepEqual(Events, [{ Loaded: 4, Total: 4, Progress: 1 }]);
+});
+
+test("со стандартным transport запрос с onUploadProgress отправляется через XMLHttpRequest", async () => {
+  globalThis.XMLHttpRequest = FakeXMLHttpRequest;
+  try {
+    const $fetch = new FetchViaJwt("/refresh", { Storage: new MemoryStorageAdapter({ BEARER: "access", REFRESH: "refresh" }) });
+    const Events = [];
+
+    const Result = await $fetch.post("https://api.site.ru/upload", "abcd", {}, { onUploadProgress: Event => Events.push(Event.Progress) });
+
+    const Xhr = FakeXMLHttpRequest.Last;
+    assert.deepEqual(Result, { ok: true });
+    assert.deepEqual(Events, [0.5, 1]);
+    assert.equal(Xhr.Method, "POST");
+    assert.equal(Xhr.Body, "abcd");
+    assert.equal(Xhr.Headers["authorization"], "Bearer access");
+  } finally {
+    delete globalThis.XMLHttpRequest;
+  }
+});
+
+test("xhrTransport возвращает Response с заголовками и отклоняет отмененный запрос с AbortError", async () => {
+  globalThis.XMLHttpRequest = FakeXMLHttpRequest;
+  try {
+    const Resp = await xhrTransport("/items", { method: "post", body: "x" });
+
+    assert.equal(Resp.status, 201);
+    assert.equal(Resp.headers.get("X-Id"), "5");
+    assert.deepEqual(await Resp.json(), { ok: true });
+    await assert.rejects(xhrTransport("/items", { signal: AbortSignal.abort() }), { name: "AbortError" });
+  } finally {
+    delete globalThis.XMLHttpRequest;
+  }
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ErrorMaxCallCount, EVENT_SESSION_EXPIRED } from "../index.js";
+import { createTestJwt } from "../MockTransport.js";
+import { createClient } from "./helpers.mjs";
+
+test("одновременные запросы после 401 ждут одного обновления токенов", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/users/:id", Request => ({ body: { id: Request.Params.id } }));
+  Mock.expireAccessToken();
+
+  const Users = await Promise.all([$fetch.get("/users/1"), $fetch.get("/users/2"), $fetch.get("/users/3")]);
+
+  assert.deepEqual(Users, [{ id: "1" }, { id: "2" }, { id: "3" }]);
+  assert.equal(Mock.Auth.RefreshCount, 1);
+});
+
+test("запрос, получивший 401, повторяется с новым токеном", async () => {
+  const { Mock, $fetch, Tokens } = createClient();
+  Mock.on("POST", "/orders", Request => ({ status: 201, body: Request.Data }));
+  Mock.expireAccessToken();
+
+  const Order = await $fetch.post("/orders", { id: 7 });
+
+  const Calls = Mock.calls("POST", "/orders");
+  assert.deepEqual(Order, { id: 7 });
+  assert.equal(Calls.length, 2);
+  assert.equal(Calls[0].Headers["authorization"], "Bearer " + Tokens.BEARER);
+  assert.equal(Calls[1].Headers["authorization"], "Bearer " + Mock.Auth.AccessToken);
+  assert.deepEqual(Calls[1].Data, { id: 7 });
+});
+
+test("постоянный ответ 401 завершается ErrorMaxCallCount и событием sessionExpired", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/forbidden", 401);
+  const Expired = [];
+  $fetch.on(EVENT_SESSION_EXPIRED, Err => Expired.push(Err));
+
+  await assert.rejects($fetch.get("/forbidden"), ErrorMaxCallCount);
+
+  assert.equal(Mock.calls("GET", "/forbidden").length, $fetch.MAX_CALL_COUNT);
+  assert.equal(Expired.length, 1);
+  assert.ok(Expired[0] instanceof ErrorMaxCallCount);
+});
+
+test("отклоненный Refresh токен отклоняет все ожидающие запросы одной ошибкой и удаляет токены", async () => {
+  const { Mock, $fetch, Storage } = createClient();
+  Mock.on("GET", "/users/:id", {});
+  Mock.expireAccessToken();
+  Mock.rejectRefresh(401);
+
+  const Results = await Promise.allSettled([$fetch.get("/users/1"), $fetch.get("/users/2")]);
+
+  assert.deepEqual(Results.map(Result => Result.status), ["rejected", "rejected"]);
+  assert.equal(Results[0].reason, Results[1].reason);
+  assert.equal(Mock.Auth.RefreshCount, 1);
+  assert.equal(Storage.get("BEARER"), null);
+  assert.equal(Storage.get("REFRESH"), null);
+});
+
+test("после 401 токен сравнивается с тем, с которым запрос действительно ушел", async () => {
+  const { Mock, $fetch, Storage } = createClient();
+  // просроченный токен fetchViaJwt обновит заранее, уже после вызова fetchCounted
+  Storage.set("BEARER", createTestJwt({ sub: "1", exp: Math.floor(Date.now() / 1000) - 60 }));
+  let Revoked = false;
+  Mock.on("GET", "/me", () => {
+    if (!Revoked) {
+      // сервер отзывает токен, полученный при заблаговременном обновлении
+      Revoked = true;
+      Mock.expireAccessToken();
+      return 401;
+    }
+    return { body: { id: 1 } };
+  });
+
+  assert.deepEqual(await $fetch.get("/me"), { id: 1 });
+
+  assert.equal(Mock.Auth.RefreshCount, 2);
+  assert.equal(Mock.calls("GET", "/me").length, 2);
+});
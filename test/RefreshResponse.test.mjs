@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FetchViaJwt, MemoryStorageAdapter, ErrorInvalidGrant, EVENT_SESSION_EXPIRED } from "../index.js";
+import { MockTransport, createTestJwt } from "../MockTransport.js";
+
+/**
+ * @param {object} Options параметры конструктора FetchViaJwt
+ * @returns {object} { Mock, $fetch, Storage }, Access токен в хранилище просрочен,
+ * поэтому первый запрос обновит токены заранее
+ */
+function createExpiredClient(Options = {}) {
+  const Mock = new MockTransport();
+  Mock.on("GET", "/me", Request => ({ body: { authorization: Request.Headers["authorization"] } }));
+  const Storage = new MemoryStorageAdapter({
+    BEARER: createTestJwt({ sub: "1", exp: Math.floor(Date.now() / 1000) - 60 }),
+    REFRESH: "refresh-1",
+  });
+  const $fetch = new FetchViaJwt("/refresh", Object.assign({ transport: Mock.transport, Storage }, Options));
+  return { Mock, $fetch, Storage };
+}
+
+test("OAuth2: refresh_token grant в application/x-www-form-urlencoded и разбор access_token, refresh_token", async () => {
+  const { Mock, $fetch, Storage } = createExpiredClient({ OAuth2: { ClientId: "web", Scope: "api" } });
+  Mock.on("POST", "/refresh", {
+    body: { access_token: "opaque-2", refresh_token: "refresh-2", expires_in: 3600, token_type: "Bearer" },
+  });
+
+  const Result = await $fetch.get("/me");
+
+  const Body = new URLSearchParams(Mock.calls("POST", "/refresh")[0].Body);
+  assert.equal(Body.get("grant_type"), "refresh_token");
+  assert.equal(Body.get("refresh_token"), "refresh-1");
+  assert.equal(Body.get("client_id"), "web");
+  assert.equal(Body.get("scope"), "api");
+  assert.deepEqual(Result, { authorization: "Bearer opaque-2" });
+  assert.equal(Storage.get("REFRESH"), "refresh-2");
+  assert.equal($fetch.isAccessTokenExpired("opaque-2"), false);
+});
+
+test("OAuth2: invalid_grant отклоняет запрос с ErrorInvalidGrant и завершает сессию", async () => {
+  const { Mock, $fetch, Storage } = createExpiredClient({ OAuth2: { ClientId: "web" } });
+  Mock.on("POST", "/refresh", { status: 400, body: { error: "invalid_grant" } });
+  const Expired = [];
+  $fetch.on(EVENT_SESSION_EXPIRED, Err => Expired.push(Err));
+
+  await assert.rejects($fetch.get("/me"), ErrorInvalidGrant);
+
+  assert.equal(Expired.length, 1);
+  assert.equal(Storage.get("REFRESH"), null);
+});
+
+test("AccessTokenHeader: Access токен берется из заголовка ответа, Refresh токен - из тела", async () => {
+  const { Mock, $fetch, Storage } = createExpiredClient({ AccessTokenHeader: "X-Access-Token" });
+  Mock.on("GET", "/refresh", { headers: { "X-Access-Token": "Bearer header-token" }, body: { REFRESH: "refresh-2" } });
+
+  const Result = await $fetch.get("/me");
+
+  assert.deepEqual(Result, { authorization: "Bearer header-token" });
+  assert.equal(Storage.get("BEARER"), "header-token");
+  assert.equal(Storage.get("REFRESH"), "refresh-2");
+});
+
+test("setCheckBearerInHeaderFlag: Access токен в заголовке с именем JwtAccessTokenName, тело пустое", async () => {
+  const { Mock, $fetch, Storage } = createExpiredClient();
+  $fetch.setCheckBearerInHeaderFlag(true);
+  Mock.on("GET", "/refresh", { headers: { BEARER: "header-token" } });
+
+  await $fetch.get("/me");
+
+  assert.equal(Storage.get("BEARER"), "header-token");
+  assert.equal(Storage.get("REFRESH"), "refresh-1");
+});
+
+test("без заголовка с токеном токены берутся из JSON-тела ответа", async () => {
+  const { Mock, $fetch, Storage } = createExpiredClient({ AccessTokenHeader: "X-Access-Token" });
+  Mock.on("GET", "/refresh", { body: { BEARER: "body-token", REFRESH: "refresh-2" } });
+
+  await $fetch.get("/me");
+
+  assert.equal(Mock.calls("GET", "/refresh")[0].Query.REFRESH, "refresh-1");
+  assert.equal(Storage.get("BEARER"), "body-token");
+  assert.equal(Storage.get("REFRESH"), "refresh-2");
+});
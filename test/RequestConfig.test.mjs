@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createClient } from "./helpers.mjs";
+
+test("auth: false отправляет один запрос без Authorization, не затрагивая параллельные запросы", async () => {
+  const { Mock, $fetch, Tokens } = createClient();
+  Mock.on("GET", "/public", { delay: 5, body: { public: true } }, { auth: false });
+  Mock.on("GET", "/me", { body: { id: 1 } });
+
+  const Results = await Promise.all([$fetch.get("/public", null, {}, { auth: false }), $fetch.get("/me")]);
+
+  assert.deepEqual(Results, [{ public: true }, { id: 1 }]);
+  assert.equal(Mock.calls("GET", "/public")[0].Headers["authorization"], undefined);
+  assert.equal(Mock.calls("GET", "/me")[0].Headers["authorization"], "Bearer " + Tokens.BEARER);
+});
+
+test("объекты Headers и Config вызывающего кода не меняются и не передают Authorization следующему запросу", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/me", {});
+  Mock.on("GET", "/public", {}, { auth: false });
+  const Headers = { "X-Request": "1" };
+  const Config = { timeout: 1000 };
+
+  await $fetch.get("/me", null, Headers, Config);
+  await $fetch.get("/public", null, Headers, { auth: false });
+
+  assert.deepEqual(Headers, { "X-Request": "1" });
+  assert.deepEqual(Config, { timeout: 1000 });
+  assert.equal(Mock.calls("GET", "/public")[0].Headers["authorization"], undefined);
+});
+
+test("throwOnNon2xx для запроса важнее ErrorWhenNot2xxFlag", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/missing", { status: 404, body: { message: "Нет" } });
+
+  const Result = await $fetch.get("/missing", null, {}, { throwOnNon2xx: false });
+  $fetch.ErrorWhenNot2xxFlag = false;
+
+  assert.deepEqual(Result, { message: "Нет" });
+  await assert.rejects($fetch.get("/missing", null, {}, { throwOnNon2xx: true }), { status: 404 });
+});
+
+test("skipRefresh отправляет имеющийся токен и возвращает ответ 401 без обновления токенов", async () => {
+  const { Mock, $fetch, Tokens } = createClient();
+  Mock.on("GET", "/me", {});
+  Mock.expireAccessToken();
+
+  await assert.rejects($fetch.get("/me", null, {}, { skipRefresh: true }), { status: 401 });
+
+  assert.equal(Mock.Auth.RefreshCount, 0);
+  assert.equal(Mock.calls("GET", "/me")[0].Headers["authorization"], "Bearer " + Tokens.BEARER);
+});
+
+test("extend создает клиент со значениями по умолчанию и общими токенами, значения запроса важнее", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/public", {}, { auth: false });
+  Mock.on("GET", "/me", {});
+  const $public = $fetch.extend({ auth: false, headers: { "X-Client": "public" }, query: { lang: "ru" } });
+  const $v2 = $public.extend({ headers: { "X-Version": "2" } });
+
+  await $v2.get("/public", null, {}, { query: { page: 1 } });
+  Mock.expireAccessToken();
+  await $public.get("/me", null, { "X-Client": "me" }, { auth: true });
+
+  const [Public] = Mock.calls("GET", "/public");
+  const [Me] = Mock.calls("GET", "/me").slice(-1);
+  assert.equal(Public.Url, "/public?lang=ru&page=1");
+  assert.equal(Public.Headers["x-client"], "public");
+  assert.equal(Public.Headers["x-version"], "2");
+  assert.equal(Public.Headers["authorization"], undefined);
+  assert.equal(Me.Headers["x-client"], "me");
+  assert.equal(Me.Headers["authorization"], "Bearer " + Mock.Auth.AccessToken);
+  assert.equal(Mock.Auth.RefreshCount, 1);
+  assert.equal($fetch.getAccessToken($fetch.JWT_ACCESS_TOKEN_NAME), Mock.Auth.AccessToken);
+});
+
+test("флаги объекта продолжают действовать для всех запросов", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/public", { status: 500 }, { auth: false });
+
+  $fetch.setAuthorizationFlag(false);
+  $fetch.ErrorWhenNot2xxFlag = false;
+  const Result = await $fetch.get("/public", null, {}, { responseType: "raw" });
+
+  assert.equal(Result.status, 500);
+  assert.equal(Mock.calls("GET", "/public")[0].Headers["authorization"], undefined);
+});
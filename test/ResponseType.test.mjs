@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createClient } from "./helpers.mjs";
+
+test("responseType выбирает формат результата", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/report", { body: "a;b" });
+
+  const Text = await $fetch.get("/report", null, {}, { responseType: "text" });
+  const Blob = await $fetch.get("/report", null, {}, { responseType: "blob" });
+  const Buffer = await $fetch.get("/report", null, {}, { responseType: "arrayBuffer" });
+  const Stream = await $fetch.get("/report", null, {}, { responseType: "stream" });
+  const Raw = await $fetch.get("/report", null, {}, { responseType: "raw" });
+
+  assert.equal(Text, "a;b");
+  assert.equal(await Blob.text(), "a;b");
+  assert.equal(new TextDecoder().decode(Buffer), "a;b");
+  assert.equal(await new Response(Stream).text(), "a;b");
+  assert.ok(Raw instanceof Response);
+  assert.equal(await Raw.text(), "a;b");
+});
+
+test("ответы 204 и с пустым телом возвращаются как null", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("DELETE", "/users/1", 204);
+  Mock.on("GET", "/empty", { body: "" });
+
+  assert.equal(await $fetch.delete("/users/1"), null);
+  assert.equal(await $fetch.get("/empty"), null);
+});
+
+test("неизвестный responseType отклоняет промис с TypeError", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/users", { body: [] });
+
+  await assert.rejects($fetch.get("/users", null, {}, { responseType: "xml" }), TypeError);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ErrorHTTPStatus } from "../index.js";
+import { createClient } from "./helpers.mjs";
+
+const RETRY_POLICY = { MaxAttempts: 3, BaseDelay: 1 };
+
+test("по умолчанию запрос не повторяется", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.queue("GET", "/users", 503, { body: [] });
+
+  await assert.rejects($fetch.get("/users"), Err => Err instanceof ErrorHTTPStatus && Err.status === 503);
+
+  assert.equal(Mock.calls("GET", "/users").length, 1);
+});
+
+test("GET повторяется после 5xx и сетевой ошибки", async () => {
+  const { Mock, $fetch } = createClient({ RetryPolicy: RETRY_POLICY });
+  Mock.queue("GET", "/users", 503, { networkError: true }, { body: [1] });
+
+  assert.deepEqual(await $fetch.get("/users"), [1]);
+
+  assert.equal(Mock.calls("GET", "/users").length, 3);
+});
+
+test("после MaxAttempts попыток возвращается последний ответ", async () => {
+  const { Mock, $fetch } = createClient({ RetryPolicy: RETRY_POLICY });
+  Mock.on("GET", "/users", 502);
+
+  await assert.rejects($fetch.get("/users"), Err => Err instanceof ErrorHTTPStatus && Err.status === 502);
+
+  assert.equal(Mock.calls("GET", "/users").length, 3);
+});
+
+test("задержка берется из Retry-After, но не больше MaxDelay", async () => {
+  const { Mock, $fetch } = createClient({ RetryPolicy: Object.assign({ MaxDelay: 40 }, RETRY_POLICY) });
+  Mock.queue("GET", "/users", { status: 429, headers: { "Retry-After": "120" } }, { body: [1] });
+  const Started = Date.now();
+
+  assert.deepEqual(await $fetch.get("/users"), [1]);
+
+  const Elapsed = Date.now() - Started;
+  assert.ok(Elapsed >= 35 && Elapsed < 1000, "задержка " + Elapsed + " мс");
+});
+
+test("POST повторяется только с RetryNonIdempotent", async () => {
+  const { Mock, $fetch } = createClient({ RetryPolicy: RETRY_POLICY });
+  Mock.queue("POST", "/orders", 503, 503, { status: 201 });
+  const Retrying = createClient({ RetryPolicy: Object.assign({ RetryNonIdempotent: true }, RETRY_POLICY) });
+  Retrying.Mock.queue("POST", "/orders", 503, { status: 201 });
+
+  await assert.rejects($fetch.post("/orders", { id: 1 }), ErrorHTTPStatus);
+  await Retrying.$fetch.post("/orders", { id: 1 });
+
+  assert.equal(Mock.calls("POST", "/orders").length, 1);
+  assert.equal(Retrying.Mock.calls("POST", "/orders").length, 2);
+});
+
+test("запросы обновления токенов и входа не повторяются по RetryPolicy, Config.retry = false отключает повторы", async () => {
+  const { Mock, $fetch } = createClient({
+    RetryPolicy: Object.assign({ RetryNonIdempotent: true }, RETRY_POLICY),
+    JwtLoginUrl: "/login",
+  });
+  Mock.rejectRefresh(503);
+  Mock.on("POST", "/login", 503, { auth: false });
+  Mock.queue("GET", "/users", 503, { body: [1] });
+
+  await assert.rejects($fetch.get("/users", null, {}, { retry: false }), Err => Err.status === 503);
+  Mock.expireAccessToken();
+  await assert.rejects($fetch.get("/me"));
+  await assert.rejects($fetch.login({ login: "user" }), Err => Err instanceof ErrorHTTPStatus && Err.status === 503);
+
+  assert.equal(Mock.calls("*", "/refresh").length, 1);
+  assert.equal(Mock.calls("POST", "/login").length, 1);
+  assert.equal(Mock.calls("GET", "/users").length, 1);
+});
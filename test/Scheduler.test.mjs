@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FetchViaJwt, MemoryStorageAdapter, RequestScheduler } from "../index.js";
+import { MockTransport } from "../MockTransport.js";
+import { createClient, wait } from "./helpers.mjs";
+
+/**
+ * @param {RequestScheduler} Scheduler
+ * @param {array} Started имена запущенных задач в порядке запуска
+ * @param {string} Name имя задачи
+ * @param {object} Options параметры schedule
+ * @returns {object} { Promise, finish } - промис задачи и функция ее завершения
+ */
+function scheduleTask(Scheduler, Started, Name, Options) {
+  let finish = null;
+  const TaskPromise = Scheduler.schedule(() => new Promise((resolve) => {
+    Started.push(Name);
+    finish = () => resolve(Name);
+  }), Options);
+  return { Promise: TaskPromise, finish: () => finish() };
+}
+
+test("RequestScheduler запускает не больше MaxConcurrent задач, сначала задачи с большим приоритетом", async () => {
+  const Scheduler = new RequestScheduler({ MaxConcurrent: 1 });
+  const Started = [];
+  Scheduler.pause();
+  const Tasks = {
+    low: scheduleTask(Scheduler, Started, "low", { Priority: "low" }),
+    normal: scheduleTask(Scheduler, Started, "normal"),
+    high: scheduleTask(Scheduler, Started, "high", { Priority: "high" }),
+    urgent: scheduleTask(Scheduler, Started, "urgent", { Priority: 100 }),
+    normal2: scheduleTask(Scheduler, Started, "normal2", { Priority: "normal" }),
+  };
+  await wait();
+  assert.deepEqual(Started, []);
+  Scheduler.resume();
+
+  for (let Index = 0; Index < 5; Index++) {
+    await wait();
+    assert.equal(Scheduler.getState().Active, 1);
+    assert.equal(Started.length, Index + 1);
+    Tasks[Started[Index]].finish();
+  }
+  await Promise.all(Object.values(Tasks).map(Task => Task.Promise));
+
+  assert.deepEqual(Started, ["urgent", "high", "normal", "normal2", "low"]);
+  assert.deepEqual(Scheduler.getState(), { Active: 0, Queued: 0, Paused: false });
+});
+
+test("MaxPerOrigin ограничивает запросы к одному серверу, не задерживая другие серверы", async () => {
+  const Scheduler = new RequestScheduler({ MaxConcurrent: 3, MaxPerOrigin: 1 });
+  const Started = [];
+
+  const First = scheduleTask(Scheduler, Started, "a1", { Origin: "https://a.ru" });
+  const Second = scheduleTask(Scheduler, Started, "a2", { Origin: "https://a.ru" });
+  const Other = scheduleTask(Scheduler, Started, "b1", { Origin: "https://b.ru" });
+  await wait();
+
+  assert.deepEqual(Started, ["a1", "b1"]);
+  First.finish();
+  await wait();
+  assert.deepEqual(Started, ["a1", "b1", "a2"]);
+  Second.finish();
+  Other.finish();
+  await Promise.all([First.Promise, Second.Promise, Other.Promise]);
+});
+
+test("отмена сигналом удаляет ожидающую задачу из очереди с AbortError", async () => {
+  const Scheduler = new RequestScheduler({ MaxConcurrent: 1 });
+  const Started = [];
+  const Controller = new AbortController();
+
+  const First = scheduleTask(Scheduler, Started, "first");
+  const Aborted = scheduleTask(Scheduler, Started, "aborted", { Signal: Controller.signal });
+  Controller.abort();
+
+  await assert.rejects(Aborted.Promise, { name: "AbortError" });
+  assert.deepEqual(Scheduler.getState(), { Active: 1, Queued: 0, Paused: false });
+  await wait();
+  First.finish();
+  await First.Promise;
+  assert.deepEqual(Started, ["first"]);
+});
+
+test("Scheduler клиента ограничивает кол-во одновременных запросов", async () => {
+  const { Mock, $fetch } = createClient({ Scheduler: { MaxConcurrent: 2 } });
+  const Active = [];
+  Mock.on("PUT", "/items/:id", () => {
+    Active.push($fetch.Scheduler.getState().Active);
+    return { delay: 5 };
+  });
+
+  await Promise.all([1, 2, 3, 4, 5].map(Id => $fetch.put("/items/" + Id, { Id })));
+
+  assert.equal(Mock.calls("PUT", "/items/:id").length, 5);
+  assert.ok(Math.max(...Active) <= 2);
+  assert.deepEqual($fetch.Scheduler.getState(), { Active: 0, Queued: 0, Paused: false });
+});
+
+test("во время обновления токенов очередь приостановлена, ожидающий запрос уходит уже с новым токеном", async () => {
+  const Mock = new MockTransport();
+  const Storage = new MemoryStorageAdapter(Mock.auth());
+  // ответ на обновление токенов приходит с задержкой, что бы новый запрос успел встать в очередь
+  const transport = (Url, Init) => /\/refresh/.test(Url)
+    ? wait(50).then(() => Mock.transport(Url, Init))
+    : Mock.transport(Url, Init);
+  const $fetch = new FetchViaJwt("/refresh", { transport, Storage, Scheduler: true });
+  Mock.on("GET", "/a", {});
+  Mock.on("GET", "/b", {});
+  Mock.expireAccessToken();
+
+  const First = $fetch.get("/a");
+  await wait(15);
+  const Second = $fetch.get("/b");
+  await wait(5);
+
+  assert.deepEqual($fetch.Scheduler.getState(), { Active: 0, Queued: 1, Paused: true });
+  await Promise.all([First, Second]);
+  const Calls = Mock.calls("GET", "/b");
+  assert.equal(Calls.length, 1);
+  assert.equal(Calls[0].Headers["authorization"], "Bearer " + Mock.Auth.AccessToken);
+  assert.equal(Mock.Auth.RefreshCount, 1);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ErrorHTTPStatus,
+  MemoryStorageAdapter,
+  EVENT_LOGGED_IN,
+  EVENT_LOGGED_OUT,
+  EVENT_TOKENS_REFRESHED,
+} from "../index.js";
+import { createClient } from "./helpers.mjs";
+
+test("login отправляет учетные данные, сохраняет токены и отправляет событие loggedIn", async () => {
+  const Storage = new MemoryStorageAdapter();
+  const { Mock, $fetch } = createClient({ JwtLoginUrl: "/login", Storage });
+  Mock.on("POST", "/login", () => ({ body: Mock.issueTokens() }), { auth: false });
+  Mock.on("GET", "/me", { body: { id: 1 } });
+  const LoggedIn = [];
+  $fetch.on(EVENT_LOGGED_IN, Tokens => LoggedIn.push(Tokens));
+
+  const Tokens = await $fetch.login({ login: "ann", password: "secret" });
+
+  assert.deepEqual(Mock.calls("POST", "/login")[0].Data, { login: "ann", password: "secret" });
+  assert.equal(Storage.get("BEARER"), Mock.Auth.AccessToken);
+  assert.equal(Storage.get("REFRESH"), Mock.Auth.RefreshToken);
+  assert.deepEqual(LoggedIn, [Tokens]);
+  assert.deepEqual(await $fetch.get("/me"), { id: 1 });
+});
+
+test("неудачный вход отклоняет промис с ErrorHTTPStatus и не сохраняет токены", async () => {
+  const Storage = new MemoryStorageAdapter();
+  const { Mock, $fetch } = createClient({ JwtLoginUrl: "/login", Storage });
+  Mock.on("POST", "/login", { status: 401, body: { message: "Неверный пароль" } }, { auth: false });
+
+  await assert.rejects($fetch.login({ login: "ann" }), Err => Err instanceof ErrorHTTPStatus && Err.status === 401);
+
+  assert.deepEqual(Storage.Values, {});
+});
+
+test("logout отзывает Refresh токен, удаляет токены и отправляет событие loggedOut", async () => {
+  const { Mock, $fetch, Storage, Tokens } = createClient({ JwtLogoutUrl: "/logout" });
+  Mock.on("POST", "/logout", 204);
+  const LoggedOut = [];
+  $fetch.on(EVENT_LOGGED_OUT, Event => LoggedOut.push(Event));
+
+  await $fetch.logout();
+
+  const [Request] = Mock.calls("POST", "/logout");
+  assert.deepEqual(Request.Data, { REFRESH: Tokens.REFRESH });
+  assert.equal(Request.Headers["authorization"], "Bearer " + Tokens.BEARER);
+  assert.deepEqual(Storage.Values, {});
+  assert.deepEqual(LoggedOut, [{ Remote: false }]);
+});
+
+test("ошибка отзыва Refresh токена выход не прерывает", async () => {
+  const { Mock, $fetch, Storage } = createClient({ JwtLogoutUrl: "/logout" });
+  Mock.on("POST", "/logout", 500);
+
+  await $fetch.logout();
+
+  assert.deepEqual(Storage.Values, {});
+});
+
+test("once вызывает обработчик один раз, функция из on и метод off отписывают", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/me", {});
+  const Calls = [];
+  const onRefreshed = () => Calls.push("on");
+  const unsubscribe = $fetch.on(EVENT_TOKENS_REFRESHED, () => Calls.push("unsubscribed"));
+  $fetch.on(EVENT_TOKENS_REFRESHED, onRefreshed);
+  $fetch.once(EVENT_TOKENS_REFRESHED, () => Calls.push("once"));
+  unsubscribe();
+
+  Mock.expireAccessToken();
+  await $fetch.get("/me");
+  $fetch.off(EVENT_TOKENS_REFRESHED, onRefreshed);
+  Mock.expireAccessToken();
+  await $fetch.get("/me");
+
+  assert.equal(Mock.Auth.RefreshCount, 2);
+  assert.deepEqual(Calls, ["on", "once"]);
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  FetchViaJwt,
+  MemoryStorageAdapter,
+  WebStorageAdapter,
+  PrefixedStorageAdapter,
+} from "../index.js";
+import { JsonFileStorageAdapter } from "../JsonFileStorage.js";
+import { MockTransport } from "../MockTransport.js";
+
+test("Access и Refresh токены обновляются каждый в своем хранилище", async () => {
+  const Mock = new MockTransport();
+  const Tokens = Mock.auth();
+  Mock.on("GET", "/me", { body: { id: 1 } });
+  Mock.expireAccessToken();
+  const AccessTokenStorage = new MemoryStorageAdapter({ BEARER: Tokens.BEARER });
+  const RefreshTokenStorage = new MemoryStorageAdapter({ REFRESH: Tokens.REFRESH });
+  const $fetch = new FetchViaJwt("/refresh", { transport: Mock.transport, AccessTokenStorage, RefreshTokenStorage });
+
+  await $fetch.get("/me");
+
+  assert.deepEqual(AccessTokenStorage.Values, { BEARER: Mock.Auth.AccessToken });
+  assert.deepEqual(RefreshTokenStorage.Values, { REFRESH: Mock.Auth.RefreshToken });
+});
+
+test("в Node без Storage токены по умолчанию хранятся в памяти", () => {
+  const $fetch = new FetchViaJwt("/refresh", {});
+
+  $fetch.storeTokens({ BEARER: "access", REFRESH: "refresh" });
+
+  assert.ok($fetch.AccessTokenStorage instanceof MemoryStorageAdapter);
+  assert.ok($fetch.RefreshTokenStorage instanceof MemoryStorageAdapter);
+  assert.equal($fetch.getAccessToken("BEARER"), "access");
+  assert.equal($fetch.getRefreshToken(), "refresh");
+});
+
+test("WebStorageAdapter работает с любым объектом интерфейса Web Storage, PrefixedStorageAdapter добавляет префикс", () => {
+  const Values = new Map();
+  const Storage = new WebStorageAdapter({
+    getItem: Key => Values.has(Key) ? Values.get(Key) : null,
+    setItem: (Key, Value) => Values.set(Key, Value),
+    removeItem: Key => Values.delete(Key),
+  });
+  const Prefixed = new PrefixedStorageAdapter(Storage, "billing_");
+
+  Prefixed.set("BEARER", "token");
+
+  assert.equal(Storage.get("billing_BEARER"), "token");
+  assert.equal(Prefixed.get("BEARER"), "token");
+  Prefixed.remove("BEARER");
+  assert.equal(Storage.get("billing_BEARER"), null);
+});
+
+test("JsonFileStorageAdapter сохраняет токены в файл с правами только для владельца", () => {
+  const Dir = fs.mkdtempSync(path.join(os.tmpdir(), "fetch-via-jwt-"));
+  const FilePath = path.join(Dir, "tokens.json");
+  try {
+    new JsonFileStorageAdapter(FilePath).set("REFRESH", "refresh-1");
+    const Storage = new JsonFileStorageAdapter(FilePath);
+
+    assert.equal(Storage.get("REFRESH"), "refresh-1");
+    assert.equal(Storage.get("BEARER"), null);
+    if (process.platform !== "win32") {
+      assert.equal(fs.statSync(FilePath).mode & 0o777, 0o600);
+    }
+  } finally {
+    fs.rmSync(Dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ErrorHTTPStatus } from "../index.js";
+import { createClient } from "./helpers.mjs";
+
+const SSE_HEADERS = { "Content-Type": "text/event-stream" };
+
+/**
+ * @param {array} Chunks части тела ответа
+ * @returns {ReadableStream} тело, которое приходит частями
+ */
+function createChunkedBody(Chunks) {
+  const Encoder = new TextEncoder();
+  return new ReadableStream({
+    start(Controller) {
+      Chunks.forEach(Chunk => Controller.enqueue(Encoder.encode(Chunk)));
+      Controller.close();
+    },
+  });
+}
+
+/**
+ * @param {AsyncIterable} Iterable
+ * @returns {Promise} промис с массивом всех значений
+ */
+async function collect(Iterable) {
+  const Items = [];
+  for await (const Item of Iterable) {
+    Items.push(Item);
+  }
+  return Items;
+}
+
+test("stream разбирает text/event-stream и отправляет токен, 401 при подключении обновляет токены", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/events", () => ({
+    headers: SSE_HEADERS,
+    body: createChunkedBody(["id: 1\nevent: upd", "ate\ndata: {\"a\":1}\n\n: комментарий\ndata: x\ndata: y\n\n"]),
+  }));
+  Mock.expireAccessToken();
+
+  const Messages = await collect($fetch.stream("/events"));
+
+  assert.deepEqual(Messages, [
+    { Event: "update", Data: "{\"a\":1}", Id: "1", Retry: null },
+    { Event: "message", Data: "x\ny", Id: "1", Retry: null },
+  ]);
+  assert.equal(Mock.Auth.RefreshCount, 1);
+  assert.match(Mock.calls("GET", "/events")[1].Headers["accept"], /text\/event-stream/);
+});
+
+test("NDJSON определяется по Content-Type, значения собираются из частей", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/log", () => ({
+    headers: { "Content-Type": "application/x-ndjson" },
+    body: createChunkedBody(["{\"n\":1}\n{\"n\"", ":2}\n\n{\"n\":3}"]),
+  }));
+
+  assert.deepEqual(await collect($fetch.stream("/log")), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+});
+
+test("subscribe переподключается с Last-Event-ID и прекращает подписку после ответа 204", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.queue("GET", "/events", { headers: SSE_HEADERS, body: "id: 7\ndata: a\n\n" }, 204);
+  const Messages = [];
+  const Opened = [];
+
+  const Subscription = $fetch.subscribe("/events", {
+    onMessage: Message => Messages.push(Message.Data),
+    onOpen: Resp => Opened.push(Resp.status),
+  }, {}, { retryDelay: 1 });
+  await Subscription.Done;
+
+  const Calls = Mock.calls("GET", "/events");
+  assert.deepEqual(Messages, ["a"]);
+  assert.deepEqual(Opened, [200]);
+  assert.equal(Calls.length, 2);
+  assert.equal(Calls[1].Headers["last-event-id"], "7");
+});
+
+test("отказ сервера прекращает подписку, ошибка передается в onError", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/events", 403);
+  const Errors = [];
+
+  await $fetch.subscribe("/events", { onError: Err => Errors.push(Err) }, {}, { retryDelay: 1 }).Done;
+
+  assert.equal(Errors.length, 1);
+  assert.ok(Errors[0] instanceof ErrorHTTPStatus);
+  assert.equal(Mock.calls("GET", "/events").length, 1);
+});
+
+test("close прекращает подписку", async () => {
+  const { Mock, $fetch } = createClient();
+  Mock.on("GET", "/events", { headers: SSE_HEADERS, body: "data: a\n\n" });
+
+  const Subscription = $fetch.subscribe("/events", () => Subscription.close(), {}, { retryDelay: 1 });
+  await Subscription.Done;
+
+  assert.equal(Mock.calls("GET", "/events").length, 1);
+});
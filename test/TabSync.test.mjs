@@ -0,0 +1,144 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FetchViaJwt,
+  MemoryStorageAdapter,
+  OfflineQueue,
+  ErrorAbort,
+  ErrorRefreshFailed,
+  EVENT_SESSION_EXPIRED,
+} from "../index.js";
+import { MockTransport } from "../MockTransport.js";
+import { createClient, wait } from "./helpers.mjs";
+
+/**
+ * localStorage, общий для "вкладок" - экземпляров FetchViaJwt в одном процессе,
+ * сообщения между ними передает BroadcastChannel из Node
+ */
+before(() => {
+  const Values = new Map();
+  globalThis.localStorage = {
+    getItem: Key => Values.has(Key) ? Values.get(Key) : null,
+    setItem: (Key, Value) => Values.set(Key, String(Value)),
+    removeItem: Key => Values.delete(Key),
+  };
+});
+after(() => {
+  delete globalThis.localStorage;
+});
+
+/**
+ * @param {string} Channel имя канала
+ * @param {number} Count кол-во вкладок
+ * @returns {object} { Mock, Tabs }, вкладки работают с одним сервером
+ */
+function createTabs(Channel, Count = 2) {
+  const Mock = new MockTransport();
+  const Tokens = Mock.auth();
+  Mock.on("GET", "/me", { body: { id: 1 } });
+  const Tabs = Array.from({ length: Count }, () => new FetchViaJwt("/refresh", {
+    transport: Mock.transport,
+    Storage: new MemoryStorageAdapter(Tokens),
+    CrossTab: Channel,
+  }));
+  return { Mock, Tabs };
+}
+
+/**
+ * @param {array} Tabs вкладки, которые нужно освободить
+ */
+function closeTabs(Tabs) {
+  Tabs.forEach(Tab => Tab.destroy());
+}
+
+test("токены обновляет одна вкладка, остальные получают их сообщением", async () => {
+  const { Mock, Tabs } = createTabs("tabs-refresh");
+  Mock.expireAccessToken();
+  try {
+    const Results = await Promise.all(Tabs.map(Tab => Tab.get("/me")));
+
+    assert.deepEqual(Results, [{ id: 1 }, { id: 1 }]);
+    assert.equal(Mock.Auth.RefreshCount, 1);
+    assert.equal(Tabs[1].getAccessToken("BEARER"), Mock.Auth.AccessToken);
+  } finally {
+    closeTabs(Tabs);
+  }
+});
+
+test("ошибка обновления в другой вкладке отклоняет ожидающие запросы без повторного обновления", async () => {
+  const { Mock, Tabs } = createTabs("tabs-failed");
+  Mock.expireAccessToken();
+  Mock.rejectRefresh(401);
+  const Expired = [];
+  Tabs[1].on(EVENT_SESSION_EXPIRED, Err => Expired.push(Err));
+  try {
+    const Results = await Promise.allSettled(Tabs.map(Tab => Tab.get("/me")));
+
+    assert.deepEqual(Results.map(Result => Result.status), ["rejected", "rejected"]);
+    const Failed = Results.map(Result => Result.reason).find(Err => Err instanceof ErrorRefreshFailed);
+    assert.ok(Failed);
+    assert.equal(Failed.status, 401);
+    assert.equal(Failed.rejected, true);
+    assert.equal(Mock.Auth.RefreshCount, 1);
+    assert.equal(Expired.length, 1);
+  } finally {
+    closeTabs(Tabs);
+  }
+});
+
+test("если вкладка с правом обновления не ответила, право получает ожидающая вкладка", async () => {
+  const { Mock, Tabs } = createTabs("tabs-lock", 1);
+  const [Tab] = Tabs;
+  // право обновления захвачено закрытой вкладкой и скоро истечет
+  localStorage.setItem(Tab.TabSync.LOCK_KEY, JSON.stringify({ TabId: "closed", Expires: Date.now() + 100 }));
+  Mock.expireAccessToken();
+  let LockOwner = null;
+  Mock.rejectRefresh(() => {
+    LockOwner = Tab.TabSync.readLock().TabId;
+    return { body: Mock.issueTokens() };
+  });
+  try {
+    assert.deepEqual(await Tab.get("/me"), { id: 1 });
+
+    assert.equal(LockOwner, Tab.TabSync.TabId);
+    assert.equal(Mock.Auth.RefreshCount, 1);
+  } finally {
+    closeTabs(Tabs);
+  }
+});
+
+test("destroy закрывает канал и отменяет отложенную отправку очереди", async () => {
+  const Mock = new MockTransport();
+  const Queue = new OfflineQueue({ Storage: new MemoryStorageAdapter() });
+  Queue.add({ Url: "/orders", Method: "POST", Data: { id: 1 }, Headers: {}, Config: {} });
+  const Tab = new FetchViaJwt("/refresh", {
+    transport: Mock.transport,
+    Storage: new MemoryStorageAdapter(Mock.auth()),
+    CrossTab: "tabs-destroy",
+    OfflineQueue: Queue,
+  });
+  Mock.on("POST", "/orders", { status: 201 });
+
+  Tab.destroy();
+  await wait(10);
+
+  assert.equal(Tab.TabSync.Channel, null);
+  assert.equal(Mock.calls("POST", "/orders").length, 0);
+  assert.equal(Queue.size(), 1);
+});
+
+test("destroy отменяет выполняющиеся запросы и ожидающие пакеты GraphQL", async () => {
+  const { Mock, $fetch } = createClient({ GraphQL: { Batch: true, BatchInterval: 20 } });
+  Mock.on("GET", "/slow", { delay: 50 });
+  Mock.on("POST", "/graphql", { body: [] });
+
+  const Slow = $fetch.get("/slow");
+  const Operation = $fetch.graphql("query { me { id } }");
+  await wait(5);
+  $fetch.destroy();
+
+  await assert.rejects(Slow, ErrorAbort);
+  await assert.rejects(Operation, ErrorAbort);
+  await wait(30);
+  assert.equal(Mock.calls("POST", "/graphql").length, 0);
+});
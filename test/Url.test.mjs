@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildUrl, serializeQuery, applyPathParams, joinUrl } from "../index.js";
+import { createClient } from "./helpers.mjs";
+
+test("BaseUrl, параметры пути и строка запроса собираются в полный адрес", async () => {
+  const { Mock, $fetch } = createClient({ BaseUrl: "https://api.site.ru/v1/" });
+  Mock.on("GET", "/v1/users/:id/posts", Request => ({ body: Request.Params }));
+
+  const Params = await $fetch.get("/users/:id/posts", { page: 2 }, {}, { params: { id: "a b" }, query: { sort: "date" } });
+
+  const [Request] = Mock.calls("GET", "/v1/users/:id/posts");
+  assert.deepEqual(Params, { id: "a b" });
+  assert.equal(Request.Url, "https://api.site.ru/v1/users/a%20b/posts?page=2&sort=date");
+});
+
+test("QueryFormat задает формат массивов и вложенных объектов", async () => {
+  const { Mock, $fetch } = createClient({ QueryFormat: { ArrayFormat: "brackets", ObjectFormat: "dot" } });
+  Mock.on("GET", "/search", {});
+
+  await $fetch.get("/search", null, {}, { query: { tags: ["a", "b"], filter: { age: 18 } } });
+
+  assert.equal(Mock.calls("GET", "/search")[0].Url, "/search?tags[]=a&tags[]=b&filter.age=18");
+});
+
+test("serializeQuery: повтор и запятые для массивов, null - пустое значение, undefined пропускается, даты в ISO", () => {
+  const Date2024 = new Date(Date.UTC(2024, 0, 2));
+
+  assert.equal(serializeQuery({ a: [1, 2], b: null, c: undefined }), "a=1&a=2&b=");
+  assert.equal(serializeQuery({ a: [1, 2] }, { ArrayFormat: "comma" }), "a=1,2");
+  assert.equal(serializeQuery({ from: Date2024 }), "from=2024-01-02T00%3A00%3A00.000Z");
+  assert.equal(serializeQuery({ items: [{ id: 1 }] }), "items[0][id]=1");
+});
+
+test("buildUrl сохраняет существующую строку запроса и якорь, абсолютный адрес не дополняется BaseUrl", () => {
+  assert.equal(buildUrl("/list?x=1#top", { Query: { y: 2 } }), "/list?x=1&y=2#top");
+  assert.equal(joinUrl("https://api.site.ru", "https://cdn.site.ru/a"), "https://cdn.site.ru/a");
+  assert.equal(applyPathParams("https://api.site.ru:8080/users/:id", { id: 5 }), "https://api.site.ru:8080/users/5");
+  assert.throws(() => applyPathParams("/users/:id", { id: null }), TypeError);
+});
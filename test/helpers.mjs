@@ -0,0 +1,26 @@
+import { FetchViaJwt, MemoryStorageAdapter } from "../index.js";
+import { MockTransport } from "../MockTransport.js";
+
+/**
+ * Создает FetchViaJwt, работающий с MockTransport с включенной имитацией сервера авторизации,
+ * токены хранятся в памяти
+ *
+ * @param {object} Options параметры конструктора FetchViaJwt, дополняют transport и Storage
+ * @param {object} AuthOptions параметры MockTransport.auth
+ * @returns {object} { Mock, $fetch, Storage, Tokens }
+ */
+export function createClient(Options = {}, AuthOptions = {}) {
+  const Mock = new MockTransport();
+  const Tokens = Mock.auth(AuthOptions);
+  const Storage = new MemoryStorageAdapter(Tokens);
+  const $fetch = new FetchViaJwt("/refresh", Object.assign({ transport: Mock.transport, Storage }, Options));
+  return { Mock, $fetch, Storage, Tokens };
+}
+
+/**
+ * @param {number} Ms
+ * @returns {Promise} промис, который разрешится через Ms миллисекунд
+ */
+export function wait(Ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, Ms));
+}
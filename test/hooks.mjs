@@ -0,0 +1,34 @@
+/**
+ * Хуки загрузчика модулей Node для тестов:
+ * библиотека написана как ES модули для сборщика - относительные импорты без расширения,
+ * модули ./Helpers и ./Cookies приходят из зависимостей TRMJsHelpers и TRMJsCookies
+ */
+
+/**
+ * корень репозитория, его .js файлы загружаются как ES модули
+ */
+const ROOT_URL = new URL("../", import.meta.url).href;
+/**
+ * модули, которые сборщик берет из зависимостей пакета
+ */
+const DEPENDENCIES = {
+  "./Helpers": "TRMJsHelpers",
+  "./Cookies": "TRMJsCookies",
+};
+
+export async function resolve(Specifier, Context, nextResolve) {
+  if (DEPENDENCIES[Specifier]) {
+    return nextResolve(DEPENDENCIES[Specifier], Context);
+  }
+  if (/^\.\.?\//.test(Specifier) && !/\.[cm]?js$/.test(Specifier)) {
+    return nextResolve(Specifier + ".js", Context);
+  }
+  return nextResolve(Specifier, Context);
+}
+
+export async function load(Url, Context, nextLoad) {
+  if (Url.startsWith(ROOT_URL) && Url.endsWith(".js")) {
+    return nextLoad(Url, Object.assign({}, Context, { format: "module" }));
+  }
+  return nextLoad(Url, Context);
+}
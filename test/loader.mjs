@@ -0,0 +1,7 @@
+import { register } from "node:module";
+
+/**
+ * подключается через node --import ./test/loader.mjs,
+ * регистрирует хуки test/hooks.mjs, с которыми Node загружает исходники библиотеки без сборки
+ */
+register("./hooks.mjs", import.meta.url);